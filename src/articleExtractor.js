@@ -0,0 +1,299 @@
+/**
+ * Article Extractor
+ * Downloads article pages for feeds with `fetchFullText` and extracts the
+ * readable main text (boilerplate removed) into `article.content`, and the
+ * page's `<link rel="canonical">` into `article.canonicalUrl`.
+ * Extracted text is cached in the data directory by article URL.
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const Utils = require('./utils');
+const config = require('./config');
+const { TIMEOUT, HTTP, PATHS, LIMITS, TIME } = require('./constants');
+
+// Elements that never contain article text
+const BOILERPLATE_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'nav', 'header', 'footer', 'aside', 'button'];
+
+// Elements kept as paragraphs of the extracted text
+const TEXT_BLOCK_REGEX = /<(p|h[1-6]|li|pre|blockquote)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode the HTML entities that commonly appear in article text
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Convert an HTML fragment to a single line of plain text
+ * @param {string} html
+ * @returns {string}
+ */
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+class ArticleExtractor {
+  constructor() {
+    this.entries = null;
+  }
+
+  /**
+   * Get path of the cache file
+   * @returns {string}
+   */
+  getCachePath() {
+    return path.join(config.getDataDirectory(), PATHS.FULL_TEXT_CACHE_FILE);
+  }
+
+  /**
+   * Load cache contents from disk (once per process)
+   * @returns {Promise<Object>} Map of article URL -> { content, fetchedAt }
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    try {
+      const raw = await fs.readFile(this.getCachePath(), 'utf8');
+      const data = JSON.parse(raw);
+      this.entries = data.articles && typeof data.articles === 'object' ? data.articles : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Utils.log('warn', `Could not read full-text cache, starting empty: ${error.message}`);
+      }
+      this.entries = {};
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Drop expired entries and write cache contents to disk
+   */
+  async save() {
+    const entries = await this.load();
+    const cutoff = Date.now() - LIMITS.FULL_TEXT_CACHE_RETENTION_DAYS * TIME.ONE_DAY_MILLISECONDS;
+
+    for (const [url, entry] of Object.entries(entries)) {
+      if (new Date(entry.fetchedAt).getTime() < cutoff) {
+        delete entries[url];
+      }
+    }
+
+    const data = {
+      updated: new Date().toISOString(),
+      articles: entries
+    };
+    await Utils.writeFile(this.getCachePath(), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Extract the readable main text from an article page
+   * @param {string} html
+   * @returns {string} Paragraphs separated by blank lines ('' if nothing readable)
+   */
+  extractContent(html) {
+    let cleaned = html.replace(/<!--[\s\S]*?-->/g, '');
+    for (const tag of BOILERPLATE_ELEMENTS) {
+      cleaned = cleaned.replace(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}>`, 'gi'), '');
+    }
+
+    const region = this.findMainRegion(cleaned);
+    const paragraphs = [];
+
+    for (const [, tag, inner] of region.matchAll(TEXT_BLOCK_REGEX)) {
+      const text = toText(inner);
+      const isHeading = /^h\d$/i.test(tag);
+
+      if (!text || (!isHeading && text.length < LIMITS.FULL_TEXT_MIN_PARAGRAPH_LENGTH)) {
+        continue;
+      }
+
+      // Skip link lists (related articles, tag clouds, share buttons)
+      const linkText = [...inner.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)]
+        .map(([, anchor]) => toText(anchor))
+        .join('');
+      if (linkText.length / text.length > LIMITS.FULL_TEXT_MAX_LINK_DENSITY) {
+        continue;
+      }
+
+      paragraphs.push(isHeading ? `## ${text}` : text);
+    }
+
+    // Pages without paragraph markup: fall back to line breaks in the region
+    if (paragraphs.length === 0) {
+      const lines = region
+        .replace(/<br\s*\/?>|<\/(div|section|td|tr)>/gi, '\n')
+        .split('\n')
+        .map(toText)
+        .filter(line => line.length >= LIMITS.FULL_TEXT_MIN_PARAGRAPH_LENGTH);
+      paragraphs.push(...lines);
+    }
+
+    return Utils.truncate(paragraphs.join('\n\n'), LIMITS.FULL_TEXT_MAX_LENGTH);
+  }
+
+  /**
+   * Pick the element most likely to hold the article body:
+   * the longest <article>, then <main>, then <body>
+   * @param {string} html Cleaned HTML
+   * @returns {string} HTML of the region
+   */
+  findMainRegion(html) {
+    for (const tag of ['article', 'main', 'body']) {
+      const matches = [...html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'gi'))];
+      if (matches.length > 0) {
+        return matches
+          .map(([, inner]) => inner)
+          .reduce((longest, inner) => (toText(inner).length > toText(longest).length ? inner : longest));
+      }
+    }
+    return html;
+  }
+
+  /**
+   * Find the canonical URL a page declares
+   * @param {string} html
+   * @param {string} pageUrl URL the page was fetched from (base for relative links)
+   * @returns {string|null}
+   */
+  extractCanonicalUrl(html, pageUrl) {
+    for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+      if (!/\brel\s*=\s*["']?canonical\b/i.test(tag)) {
+        continue;
+      }
+
+      const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+      const value = href && (href[1] ?? href[2] ?? href[3]);
+      if (value) {
+        try {
+          return new URL(decodeEntities(value.trim()), pageUrl).href;
+        } catch {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Download an article page
+   * @param {string} url
+   * @returns {Promise<string>} HTML
+   */
+  async fetchPage(url) {
+    const response = await axios.get(url, {
+      timeout: TIMEOUT.FULL_TEXT_FETCH,
+      maxRedirects: HTTP.MAX_REDIRECTS,
+      maxContentLength: LIMITS.FULL_TEXT_MAX_DOWNLOAD_BYTES,
+      responseType: 'text',
+      headers: {
+        'User-Agent': HTTP.USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml'
+      }
+    });
+
+    const contentType = response.headers?.['content-type'] || '';
+    if (contentType && !/html/i.test(contentType)) {
+      throw new Error(`Unsupported content type: ${contentType}`);
+    }
+
+    return typeof response.data === 'string' ? response.data : String(response.data);
+  }
+
+  /**
+   * Get the extracted text for an article URL, from cache when available
+   * @param {string} url
+   * @returns {Promise<string>} Extracted text
+   */
+  async getFullText(url) {
+    const entries = await this.load();
+    if (entries[url]) {
+      return entries[url].content;
+    }
+
+    const html = await this.fetchPage(url);
+    const content = this.extractContent(html);
+    const canonicalUrl = this.extractCanonicalUrl(html, url);
+
+    entries[url] = { content, canonicalUrl, fetchedAt: new Date().toISOString() };
+    return content;
+  }
+
+  /**
+   * Replace teaser content with the extracted article text for articles
+   * from feeds that set `fetchFullText`. Failures keep the feed content.
+   * @param {Array<Object>} articles
+   * @returns {Promise<Array<Object>>} Articles (full-text ones get `fullText: true`)
+   */
+  async enrichArticles(articles) {
+    const targets = articles.filter(article => article.feedFetchFullText && article.link);
+    if (targets.length === 0) {
+      return articles;
+    }
+
+    Utils.log('info', `Fetching full text for ${targets.length} articles`);
+
+    const enriched = new Map();
+    let index = 0;
+
+    // A few workers share the list so pages download with bounded concurrency
+    const worker = async () => {
+      while (index < targets.length) {
+        const article = targets[index++];
+        try {
+          const content = await this.getFullText(article.link);
+          const feedText = Utils.stripHtml(article.content || article.description || '');
+          const canonicalUrl = this.entries[article.link]?.canonicalUrl || null;
+
+          if (content.length > feedText.length) {
+            enriched.set(article, { ...article, content, canonicalUrl, fullText: true });
+          } else if (canonicalUrl) {
+            enriched.set(article, { ...article, canonicalUrl });
+          }
+        } catch (error) {
+          Utils.log('warn', `Could not fetch full text for "${Utils.truncate(article.title)}": ${error.message}`);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(LIMITS.FULL_TEXT_CONCURRENCY, targets.length) }, worker));
+
+    if (!config.isDryRun()) {
+      try {
+        await this.save();
+      } catch (error) {
+        Utils.log('warn', `Could not save full-text cache: ${error.message}`);
+      }
+    }
+
+    Utils.log('info', `Extracted full text for ${enriched.size}/${targets.length} articles`);
+
+    return articles.map(article => enriched.get(article) || article);
+  }
+}
+
+module.exports = new ArticleExtractor();
@@ -0,0 +1,66 @@
+/**
+ * Article Scorer
+ * Ranks the articles of a category by relevance instead of publication date.
+ * The score combines:
+ *   - watch-word hits: how many configured watch words the article matches
+ *   - importance: 1-5 as judged by the LLM (SCORING_LLM_IMPORTANCE=true)
+ *   - coverage: how many other feeds carried the same story (story clustering)
+ * weighted by SCORING_WEIGHTS, and multiplies it by the feed's `priority`
+ * from feeds.json (default 1).
+ */
+
+const config = require('./config');
+const watchWordMatcher = require('./watchWordMatcher');
+const { SCORING } = require('./constants');
+
+class ArticleScorer {
+  /**
+   * Score one article
+   * @param {Object} article
+   * @param {Object} options
+   * @param {Array<Object>} options.watchWords Compiled watch words
+   * @param {number|null} options.importance LLM importance (1-5), null when not rated
+   * @param {Object} options.weights Signal weights (config.getScoringWeights())
+   * @returns {number} Score (0 or more; higher is more relevant)
+   */
+  scoreArticle(article, { watchWords = [], importance = null, weights = config.getScoringWeights() } = {}) {
+    const text = watchWordMatcher.getArticleText(article);
+    const hits = watchWords.filter(watchWord => watchWordMatcher.matches(article, watchWord, text)).length;
+    const sources = article.sources ? article.sources.length : 0;
+
+    const signals = {
+      watchWords: Math.min(hits, SCORING.MAX_WATCH_WORD_HITS) / SCORING.MAX_WATCH_WORD_HITS,
+      importance: importance ? (importance - 1) / (SCORING.IMPORTANCE_SCALE - 1) : 0,
+      coverage: Math.min(sources, SCORING.MAX_COVERAGE_SOURCES) / SCORING.MAX_COVERAGE_SOURCES
+    };
+
+    const relevance = Object.entries(signals)
+      .reduce((sum, [signal, value]) => sum + (weights[signal] || 0) * value, 0);
+    const priority = article.feedPriority ?? SCORING.DEFAULT_FEED_PRIORITY;
+
+    // Every article starts at 1 so feed priority still ranks articles without any signal
+    return Math.round((1 + relevance) * priority * 100) / 100;
+  }
+
+  /**
+   * Score articles and sort them by score (newest first on ties)
+   * @param {Array<Object>} articles
+   * @param {Map<Object, number>|null} importance LLM importance per article
+   * @returns {Array<Object>} Copies of the articles with `score`, highest first
+   */
+  rankArticles(articles, importance = null) {
+    const options = {
+      watchWords: watchWordMatcher.compileAll(config.getWatchWords()),
+      weights: config.getScoringWeights()
+    };
+
+    return articles
+      .map(article => ({
+        ...article,
+        score: this.scoreArticle(article, { ...options, importance: importance?.get(article) ?? null })
+      }))
+      .sort((a, b) => b.score - a.score || new Date(b.pubDate) - new Date(a.pubDate));
+  }
+}
+
+module.exports = new ArticleScorer();
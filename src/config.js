@@ -4,7 +4,7 @@
 
 const fs = require("fs");
 const path = require("path");
-const { DEFAULTS, PATHS, RETRY, CRON, LIMITS } = require('./constants');
+const { DEFAULTS, PATHS, RETRY, RATE_LIMIT, LOGGING, RUN_LOCK, CLUSTERING, SCORING, SUMMARIZATION, CRON, LIMITS, LLM_PROVIDERS, OUTPUT_BACKENDS } = require('./constants');
 
 // Load environment variables from .env file
 require("dotenv").config();
@@ -15,7 +15,13 @@ class Config {
   }
 
   validateRequiredEnvVars() {
-    const required = ["GEMINI_API_KEY", "OBSIDIAN_API_KEY"];
+    const required = [];
+    if (this.getLLMProvider() === LLM_PROVIDERS.GEMINI) {
+      required.push("GEMINI_API_KEY");
+    }
+    if (this.getOutputBackend() === OUTPUT_BACKENDS.OBSIDIAN && !this.isDryRun()) {
+      required.push("OBSIDIAN_API_KEY");
+    }
     const missing = required.filter((key) => !process.env[key]);
 
     if (missing.length > 0) {
@@ -83,6 +89,120 @@ class Config {
     return process.env.OUTPUT_DIRECTORY || PATHS.DEFAULT_OUTPUT_DIRECTORY;
   }
 
+  /**
+   * Get output backend name (obsidian, filesystem)
+   * @returns {string} Backend name
+   */
+  getOutputBackend() {
+    return (process.env.OUTPUT_BACKEND || DEFAULTS.OUTPUT_BACKEND).toLowerCase();
+  }
+
+  /**
+   * Get vault folder used by the filesystem output backend
+   * @returns {string} Vault directory path
+   */
+  getVaultDirectory() {
+    return process.env.OBSIDIAN_VAULT_PATH || this.getOutputDirectory();
+  }
+
+  /**
+   * Dry run: render output without writing to the vault or saving run state
+   * @returns {boolean}
+   */
+  isDryRun() {
+    return process.env.DRY_RUN === "true";
+  }
+
+  /**
+   * Directory that receives dry-run files (null prints them to stdout)
+   * @returns {string|null}
+   */
+  getDryRunDirectory() {
+    return process.env.DRY_RUN_DIRECTORY || null;
+  }
+
+  /**
+   * Get directory for persistent runtime state (seen articles, feed cache)
+   * @returns {string} Data directory path
+   */
+  getDataDirectory() {
+    return process.env.DATA_DIRECTORY || PATHS.DEFAULT_DATA_DIRECTORY;
+  }
+
+  /**
+   * Check if the persistent seen-article store is enabled
+   * @returns {boolean} Whether already processed articles are skipped
+   */
+  isSeenStoreEnabled() {
+    return process.env.SEEN_STORE_ENABLED !== "false";
+  }
+
+  /**
+   * Check if conditional GET (ETag / Last-Modified) is used for feed requests
+   * @returns {boolean} Whether cached validators are sent with feed requests
+   */
+  isConditionalFetchEnabled() {
+    return process.env.CONDITIONAL_FETCH_ENABLED !== "false";
+  }
+
+  /**
+   * Check if repeatedly failing feeds are skipped with exponential backoff
+   * @returns {boolean}
+   */
+  isFeedBackoffEnabled() {
+    return process.env.FEED_BACKOFF_ENABLED !== "false";
+  }
+
+  /**
+   * Check if near-duplicate articles from different feeds are merged into one story
+   * @returns {boolean}
+   */
+  isStoryClusteringEnabled() {
+    return process.env.STORY_CLUSTERING_ENABLED !== "false";
+  }
+
+  /**
+   * Get the similarity (0-1) at which two articles count as the same story
+   * @returns {number}
+   */
+  getStorySimilarityThreshold() {
+    const threshold = parseFloat(process.env.STORY_SIMILARITY_THRESHOLD);
+    return threshold > 0 && threshold <= 1 ? threshold : CLUSTERING.DEFAULT_SIMILARITY_THRESHOLD;
+  }
+
+  /**
+   * Check whether runs look back to the last successful run and the daemon
+   * catches up on schedules missed while it was not running
+   * @returns {boolean}
+   */
+  isCatchUpEnabled() {
+    return process.env.CATCH_UP_ENABLED !== "false";
+  }
+
+  /**
+   * Get the longest lookback window of a catch-up run
+   * @returns {number} Number of days
+   */
+  getCatchUpMaxDays() {
+    return parseInt(process.env.CATCH_UP_MAX_DAYS || DEFAULTS.CATCH_UP_MAX_DAYS.toString(), 10);
+  }
+
+  /**
+   * Get retention window for seen-article records
+   * @returns {number} Number of days a record is kept
+   */
+  getSeenRetentionDays() {
+    return parseInt(process.env.SEEN_RETENTION_DAYS || DEFAULTS.SEEN_RETENTION_DAYS.toString(), 10);
+  }
+
+  /**
+   * Get how many days of results the weekly and monthly digests can read back
+   * @returns {number}
+   */
+  getResultsRetentionDays() {
+    return parseInt(process.env.RESULTS_RETENTION_DAYS || DEFAULTS.RESULTS_RETENTION_DAYS.toString(), 10);
+  }
+
   getTimezone() {
     return process.env.TIMEZONE || DEFAULTS.TIMEZONE;
   }
@@ -99,14 +219,142 @@ class Config {
     return parseInt(process.env.GEMINI_REQUEST_DELAY || RETRY.DEFAULT_GEMINI_REQUEST_DELAY.toString(), 10);
   }
 
+  getLLMConcurrency() {
+    return Math.max(1, parseInt(process.env.LLM_CONCURRENCY || RATE_LIMIT.DEFAULT_LLM_CONCURRENCY.toString(), 10) || 1);
+  }
+
+  getLLMRequestsPerMinute() {
+    return parseInt(process.env.LLM_REQUESTS_PER_MINUTE || RATE_LIMIT.DEFAULT_LLM_REQUESTS_PER_MINUTE.toString(), 10);
+  }
+
+  getLLMTokensPerMinute() {
+    return parseInt(process.env.LLM_TOKENS_PER_MINUTE || RATE_LIMIT.DEFAULT_LLM_TOKENS_PER_MINUTE.toString(), 10);
+  }
+
   getGeminiModel() {
     return process.env.GEMINI_MODEL || DEFAULTS.GEMINI_MODEL;
   }
 
+  /**
+   * Get LLM provider name (gemini, openai, stub)
+   * @returns {string} Provider name
+   */
+  getLLMProvider() {
+    return (process.env.LLM_PROVIDER || DEFAULTS.LLM_PROVIDER).toLowerCase();
+  }
+
+  /**
+   * Get base URL of the OpenAI-compatible API (OpenAI, llama.cpp, Ollama)
+   * @returns {string} Base URL including the /v1 prefix
+   */
+  getOpenAIBaseUrl() {
+    return process.env.OPENAI_BASE_URL || DEFAULTS.OPENAI_BASE_URL;
+  }
+
+  /**
+   * Get API key for the OpenAI-compatible API (optional for local servers)
+   * @returns {string|undefined}
+   */
+  getOpenAIApiKey() {
+    return process.env.OPENAI_API_KEY;
+  }
+
+  getOpenAIModel() {
+    return process.env.OPENAI_MODEL || DEFAULTS.OPENAI_MODEL;
+  }
+
+  /**
+   * Get fixed response of the stub provider
+   * @returns {string|null} Response text, or null for prompt digests
+   */
+  getStubLLMResponse() {
+    return process.env.STUB_LLM_RESPONSE || null;
+  }
+
+  /**
+   * Port of the daemon status server (null = disabled)
+   * @returns {number|null}
+   */
+  getDaemonHttpPort() {
+    const port = parseInt(process.env.DAEMON_HTTP_PORT, 10);
+    return Number.isNaN(port) ? null : port;
+  }
+
+  getDaemonHttpHost() {
+    return process.env.DAEMON_HTTP_HOST || DEFAULTS.DAEMON_HTTP_HOST;
+  }
+
+  /**
+   * Bearer token for POST /run on the status server (unset disables the endpoint)
+   * @returns {string|null}
+   */
+  getDaemonApiToken() {
+    return process.env.DAEMON_API_TOKEN || null;
+  }
+
   isDebugMode() {
     return process.env.DEBUG === "true";
   }
 
+  /**
+   * Minimum log level (debug, info, warn, error); DEBUG=true implies debug
+   * @returns {string}
+   */
+  getLogLevel() {
+    const level = (process.env.LOG_LEVEL || "").toLowerCase();
+    if (LOGGING.LEVELS[level] !== undefined) {
+      return level;
+    }
+    return this.isDebugMode() ? "debug" : "info";
+  }
+
+  /**
+   * Console log format: text or json (JSON lines)
+   * @returns {string}
+   */
+  getLogFormat() {
+    const format = (process.env.LOG_FORMAT || LOGGING.DEFAULT_FORMAT).toLowerCase();
+    return LOGGING.FORMATS.includes(format) ? format : LOGGING.DEFAULT_FORMAT;
+  }
+
+  /**
+   * Path of the JSON lines log file (null = console only)
+   * @returns {string|null}
+   */
+  getLogFile() {
+    return process.env.LOG_FILE || null;
+  }
+
+  getLogMaxSize() {
+    return parseInt(process.env.LOG_MAX_SIZE || LOGGING.DEFAULT_MAX_SIZE.toString(), 10);
+  }
+
+  getLogMaxFiles() {
+    return parseInt(process.env.LOG_MAX_FILES || LOGGING.DEFAULT_MAX_FILES.toString(), 10);
+  }
+
+  /**
+   * What to do when a run starts while another one holds the run lock
+   * @returns {string} skip | queue | cancel
+   */
+  getRunLockPolicy() {
+    const policy = (process.env.RUN_LOCK_POLICY || RUN_LOCK.DEFAULT_POLICY).toLowerCase();
+    return RUN_LOCK.POLICIES.includes(policy) ? policy : RUN_LOCK.DEFAULT_POLICY;
+  }
+
+  getRunLockStaleMinutes() {
+    return parseInt(process.env.RUN_LOCK_STALE_MINUTES || RUN_LOCK.DEFAULT_STALE_MINUTES.toString(), 10);
+  }
+
+  /**
+   * File the metrics are written to after each run, for the node_exporter
+   * textfile collector (null = disabled)
+   * @returns {string|null}
+   */
+  getMetricsTextfile() {
+    return process.env.METRICS_TEXTFILE || null;
+  }
+
   getIgnoreSSLErrors() {
     return process.env.IGNORE_SSL_ERRORS === "true";
   }
@@ -145,8 +393,16 @@ class Config {
     }
   }
 
+  /**
+   * Get path of feeds.json
+   * @returns {string} Absolute path to feeds.json
+   */
+  getFeedsFilePath() {
+    return path.join(process.cwd(), PATHS.CONFIG_DIRECTORY, PATHS.FEEDS_CONFIG_FILE);
+  }
+
   getFeedsFromFile() {
-    const feedsPath = path.join(process.cwd(), PATHS.CONFIG_DIRECTORY, PATHS.FEEDS_CONFIG_FILE);
+    const feedsPath = this.getFeedsFilePath();
     
     if (!fs.existsSync(feedsPath)) {
       console.warn("feeds.json file not found at:", feedsPath);
@@ -167,6 +423,16 @@ class Config {
     return JSON.parse(rawData);
   }
 
+  /**
+   * Write feeds.json, keeping it human-editable
+   * @param {Object} feedsData Full feeds.json document
+   * @param {string} feedsPath
+   */
+  writeFeedsFile(feedsData, feedsPath = this.getFeedsFilePath()) {
+    fs.mkdirSync(path.dirname(feedsPath), { recursive: true });
+    fs.writeFileSync(feedsPath, JSON.stringify(feedsData, null, 2) + "\n", "utf8");
+  }
+
   processFeedsData(feedsData) {
     // Handle structured feeds format
     if (feedsData.feeds && Array.isArray(feedsData.feeds)) {
@@ -175,7 +441,9 @@ class Config {
         .map((feed) => ({
           url: feed.url,
           parentTag: feed.category || DEFAULTS.PARENT_TAG,
-          name: feed.name
+          name: feed.name,
+          fetchFullText: feed.fetchFullText === true,
+          priority: typeof feed.priority === "number" && feed.priority >= 0 ? feed.priority : SCORING.DEFAULT_FEED_PRIORITY
         }));
     }
     
@@ -190,7 +458,8 @@ class Config {
 
   /**
    * Get watch words for keyword-based article filtering
-   * @returns {Array<string>} Array of watch words
+   * (plain strings, or objects described in watchWordMatcher.js)
+   * @returns {Array<string|Object>} Array of watch words
    */
   getWatchWords() {
     // First try environment variable
@@ -199,7 +468,7 @@ class Config {
       try {
         const words = JSON.parse(watchWordsString);
         if (Array.isArray(words)) {
-          return words.filter(word => typeof word === 'string' && word.trim().length > 0);
+          return words.filter(word => this.isWatchWordEntry(word));
         }
       } catch (error) {
         console.error("Error parsing WATCH_WORDS environment variable:", error);
@@ -218,7 +487,7 @@ class Config {
 
       // Extract watch words from feeds.json
       if (feedsData.watchWords && Array.isArray(feedsData.watchWords)) {
-        return feedsData.watchWords.filter(word => typeof word === 'string' && word.trim().length > 0);
+        return feedsData.watchWords.filter(word => this.isWatchWordEntry(word));
       }
 
       return [];
@@ -228,6 +497,93 @@ class Config {
     }
   }
 
+  /**
+   * Check whether a watch word entry is a non-empty string or an object
+   * @param {*} word
+   * @returns {boolean}
+   */
+  isWatchWordEntry(word) {
+    if (typeof word === 'string') {
+      return word.trim().length > 0;
+    }
+    return word !== null && typeof word === 'object' && !Array.isArray(word);
+  }
+
+  /**
+   * Check if articles in each category file are ranked by relevance score
+   * @returns {boolean} Whether to rank by score instead of publication date
+   */
+  isScoringEnabled() {
+    return process.env.SCORING_ENABLED !== "false";
+  }
+
+  /**
+   * Check if the LLM rates the importance of each article for scoring
+   * @returns {boolean}
+   */
+  isLLMImportanceEnabled() {
+    return process.env.SCORING_LLM_IMPORTANCE === "true";
+  }
+
+  /**
+   * Get the weights of the relevance score signals
+   * @returns {{watchWords: number, importance: number, coverage: number}}
+   */
+  getScoringWeights() {
+    const weightsString = process.env.SCORING_WEIGHTS;
+    if (!weightsString) {
+      return { ...SCORING.DEFAULT_WEIGHTS };
+    }
+
+    try {
+      const weights = JSON.parse(weightsString);
+      const merged = { ...SCORING.DEFAULT_WEIGHTS };
+      for (const key of Object.keys(merged)) {
+        if (typeof weights[key] === "number" && weights[key] >= 0) {
+          merged[key] = weights[key];
+        }
+      }
+      return merged;
+    } catch (error) {
+      console.error("Error parsing SCORING_WEIGHTS environment variable:", error.message);
+      return { ...SCORING.DEFAULT_WEIGHTS };
+    }
+  }
+
+  /**
+   * Get how many top-scored articles are highlighted at the top of a category file
+   * @returns {number} 0 disables the highlights section
+   */
+  getHighlightsCount() {
+    const count = parseInt(process.env.HIGHLIGHTS_COUNT ?? SCORING.DEFAULT_HIGHLIGHTS_COUNT.toString(), 10);
+    return Number.isNaN(count) || count < 0 ? SCORING.DEFAULT_HIGHLIGHTS_COUNT : count;
+  }
+
+  /**
+   * Get how category summaries are generated
+   * @returns {string} "top" (first 10 articles, default) or "map-reduce" (every article, in chunks)
+   */
+  getSummaryMode() {
+    return (process.env.SUMMARY_MODE || SUMMARIZATION.DEFAULT_MODE).toLowerCase();
+  }
+
+  /**
+   * Get the estimated token budget of one map-reduce summary request
+   * @returns {number}
+   */
+  getSummaryChunkTokens() {
+    const tokens = parseInt(process.env.SUMMARY_CHUNK_TOKENS || SUMMARIZATION.DEFAULT_CHUNK_TOKENS.toString(), 10);
+    return tokens > 0 ? tokens : SUMMARIZATION.DEFAULT_CHUNK_TOKENS;
+  }
+
+  /**
+   * Check if per-article AI tagging and summaries are enabled
+   * @returns {boolean} Whether articles are grouped by AI tags instead of feed category
+   */
+  isArticleTaggingEnabled() {
+    return process.env.ARTICLE_TAGGING_ENABLED === "true";
+  }
+
   /**
    * Check if hourly file generation is enabled
    * @returns {boolean} Whether to include hour in filename
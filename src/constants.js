@@ -9,7 +9,8 @@ const TIMEOUT = {
   HTTP_REQUEST: 10000,
   OBSIDIAN_CONNECTION_TEST: 5000,
   OBSIDIAN_API_REQUEST: 10000,
-  GEMINI_API: 30000
+  GEMINI_API: 30000,
+  FULL_TEXT_FETCH: 10000
 };
 
 // RETRY CONFIGURATION
@@ -21,9 +22,56 @@ const RETRY = {
   KEYWORD_SUMMARY_RETRY_DELAY: 2000
 };
 
+// FEED HEALTH / BACKOFF
+// A feed that failed FEED_BACKOFF_THRESHOLD runs in a row is skipped for
+// BASE_DELAY, doubling with every further failure up to MAX_DELAY
+const FEED_HEALTH = {
+  BACKOFF_THRESHOLD: 2,
+  BACKOFF_BASE_DELAY: 60 * 60 * 1000,
+  BACKOFF_MAX_DELAY: 7 * 24 * 60 * 60 * 1000
+};
+
+// LOGGING
+const LOGGING = {
+  LEVELS: { debug: 10, info: 20, warn: 30, error: 40 },
+  FORMATS: ['text', 'json'],
+  DEFAULT_FORMAT: 'text',
+  DEFAULT_MAX_SIZE: 10 * 1024 * 1024,
+  DEFAULT_MAX_FILES: 5
+};
+
+// Run lock preventing overlapping pipeline runs
+const RUN_LOCK = {
+  POLICIES: ['skip', 'queue', 'cancel'],
+  DEFAULT_POLICY: 'skip',
+  // A lock not refreshed for this long is considered abandoned
+  DEFAULT_STALE_MINUTES: 360,
+  POLL_INTERVAL: 5000,
+  // The holder refreshes its lock this often, even in the middle of a long step
+  REFRESH_INTERVAL: 60 * 1000
+};
+
+// Prometheus metrics
+const METRICS = {
+  PREFIX: 'rss_feeder_',
+  // Histogram buckets in seconds, from fast feed fetches to slow LLM calls
+  DURATION_BUCKETS: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
+
+// LLM REQUEST SCHEDULING (0 = no limit)
+const RATE_LIMIT = {
+  DEFAULT_LLM_CONCURRENCY: 3,
+  DEFAULT_LLM_REQUESTS_PER_MINUTE: 0,
+  DEFAULT_LLM_TOKENS_PER_MINUTE: 0,
+  CHARS_PER_TOKEN_ESTIMATE: 4
+};
+
 // HTTP AND NETWORK CONFIGURATION
 const HTTP = {
   MAX_REDIRECTS: 3,
+  NOT_MODIFIED: 304,
+  TOO_MANY_REQUESTS: 429,
   USER_AGENT: 'Personal RSS Feeder Bot/1.0'
 };
 
@@ -33,7 +81,89 @@ const LIMITS = {
   SUMMARY_ARTICLES: 10,
   DEFAULT_TEXT_TRUNCATE_LENGTH: 100,
   SUMMARY_PREVIEW_LENGTH: 150,
-  DEFAULT_MAX_TAGS_PER_ARTICLE: 3
+  DEFAULT_MAX_TAGS_PER_ARTICLE: 3,
+  FEED_FORMAT_SNIFF_LENGTH: 2048,
+  ARTICLE_SUMMARY_CONTENT_LENGTH: 2000,
+  FULL_TEXT_MAX_DOWNLOAD_BYTES: 2 * 1024 * 1024,
+  FULL_TEXT_MAX_LENGTH: 20000,
+  FULL_TEXT_MIN_PARAGRAPH_LENGTH: 20,
+  FULL_TEXT_MAX_LINK_DENSITY: 0.5,
+  FULL_TEXT_CONCURRENCY: 3,
+  FULL_TEXT_CACHE_RETENTION_DAYS: 14,
+  SUMMARY_FULL_TEXT_EXCERPT_LENGTH: 500
+};
+
+// STORY CLUSTERING
+const CLUSTERING = {
+  DEFAULT_SIMILARITY_THRESHOLD: 0.5,
+  TITLE_SHINGLE_SIZE: 2,
+  TEXT_SHINGLE_SIZE: 3,
+  // Only the start of the text is compared, and short teasers are ignored
+  TEXT_SAMPLE_LENGTH: 600,
+  MIN_TEXT_LENGTH: 100,
+  TRACKING_PARAMS: [/^utm_/, /^fbclid$/, /^gclid$/, /^ref$/, /^ref_src$/, /^source$/, /^via$/, /^rss$/]
+};
+
+// RELEVANCE SCORING
+const SCORING = {
+  // Relative weight of each signal; a feed's priority multiplies the result
+  DEFAULT_WEIGHTS: { watchWords: 2, importance: 2, coverage: 1 },
+  MAX_WATCH_WORD_HITS: 3,
+  MAX_COVERAGE_SOURCES: 3,
+  IMPORTANCE_SCALE: 5,
+  IMPORTANCE_BATCH_SIZE: 30,
+  DEFAULT_FEED_PRIORITY: 1,
+  DEFAULT_HIGHLIGHTS_COUNT: 3
+};
+
+// CATEGORY SUMMARIES
+const SUMMARY_MODES = {
+  // Summarize every article in chunks, then merge the partial summaries
+  MAP_REDUCE: 'map-reduce',
+  // Summarize the first LIMITS.SUMMARY_ARTICLES articles in one request
+  TOP: 'top'
+};
+
+const SUMMARIZATION = {
+  // One request per category; map-reduce costs one request per chunk plus the merge
+  DEFAULT_MODE: SUMMARY_MODES.TOP,
+  // Estimated prompt tokens of the article list (or partial summaries) sent in one request
+  DEFAULT_CHUNK_TOKENS: 4000
+};
+
+// WEEKLY AND MONTHLY DIGESTS
+const DIGEST_PERIODS = {
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+const DIGEST = {
+  // Articles listed per category or watch word in the digest file
+  TOP_ARTICLES: 10,
+  // Article titles given to the LLM next to the daily summaries
+  PROMPT_ARTICLES: 20,
+  // Characters of an article description kept in the results store
+  STORED_DESCRIPTION_LENGTH: 300
+};
+
+// FEED FORMATS
+const FEED_FORMAT = {
+  RSS: 'rss',
+  ATOM: 'atom',
+  JSON_FEED: 'json'
+};
+
+// LLM PROVIDERS
+const LLM_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  STUB: 'stub'
+};
+
+// OUTPUT BACKENDS
+const OUTPUT_BACKENDS = {
+  OBSIDIAN: 'obsidian',
+  FILESYSTEM: 'filesystem'
 };
 
 // CRON PATTERNS
@@ -52,23 +182,43 @@ const PATHS = {
   DEFAULT_PROMPTS_DIRECTORY: "./prompts",
   OBSIDIAN_BASE_VAULT_PATH: "RSS",
   INDEX_FILE_NAME: "index.md",
-  KEYWORD_DIRECTORY_NAME: "word"
+  KEYWORD_DIRECTORY_NAME: "word",
+  DEFAULT_DATA_DIRECTORY: "./data",
+  SEEN_STORE_FILE: "seen-articles.json",
+  FEED_CACHE_FILE: "feed-cache.json",
+  FEED_STATUS_FILE: "feed-status.json",
+  FULL_TEXT_CACHE_FILE: "full-text-cache.json",
+  RUN_LOCK_FILE: "run.lock",
+  RUN_STATE_FILE: "run-state.json",
+  RESULTS_STORE_FILE: "daily-results.json",
+  WEEKLY_DIRECTORY_NAME: "weekly",
+  MONTHLY_DIRECTORY_NAME: "monthly"
 };
 
 // DEFAULT VALUES
 const DEFAULTS = {
   TIMEZONE: "Asia/Tokyo",
   GEMINI_MODEL: "gemini-2.5-flash",
+  LLM_PROVIDER: "gemini",
+  OUTPUT_BACKEND: "obsidian",
+  OPENAI_BASE_URL: "https://api.openai.com/v1",
+  OPENAI_MODEL: "gpt-4o-mini",
   OBSIDIAN_API_URL: "https://127.0.0.1:27124/",
   PARENT_TAG: 'tech',
   TAG_NAME: "uncategorized",
   ARTICLE_TITLE: 'Untitled',
-  ALLOW_MULTIPLE_PARENT_TAGS: false
+  ALLOW_MULTIPLE_PARENT_TAGS: false,
+  SEEN_RETENTION_DAYS: 30,
+  // Long enough for the monthly digest of the previous month
+  RESULTS_RETENTION_DAYS: 90,
+  CATCH_UP_MAX_DAYS: 7,
+  DAEMON_HTTP_HOST: "127.0.0.1"
 };
 
 // TIME CALCULATIONS
 const TIME = {
   ONE_DAY_MILLISECONDS: 1 * 24 * 60 * 60 * 1000,
+  ONE_MINUTE_MILLISECONDS: 60 * 1000,
   DAEMON_HEARTBEAT_INTERVAL: 1000
 };
 
@@ -98,8 +248,22 @@ const FALLBACKS = {
 module.exports = {
   TIMEOUT,
   RETRY,
+  RATE_LIMIT,
+  FEED_HEALTH,
+  LOGGING,
+  METRICS,
+  RUN_LOCK,
+  CLUSTERING,
+  SCORING,
+  SUMMARY_MODES,
+  SUMMARIZATION,
+  DIGEST_PERIODS,
+  DIGEST,
   HTTP,
   LIMITS,
+  FEED_FORMAT,
+  LLM_PROVIDERS,
+  OUTPUT_BACKENDS,
   CRON,
   PATHS,
   DEFAULTS,
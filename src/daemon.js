@@ -5,15 +5,21 @@
 
 const RSSFeeder = require('./rssFeeder');
 const Scheduler = require('./scheduler');
+const StatusServer = require('./statusServer');
+const feedStatusStore = require('./feedStatusStore');
+const runStateStore = require('./runStateStore');
 const config = require('./config');
 const Utils = require('./utils');
 const { TIME } = require('./constants');
 
 class Daemon {
   constructor() {
-    this.rssFeeder = new RSSFeeder();
+    // A failed run is recorded and reported by /status instead of ending the daemon
+    this.rssFeeder = new RSSFeeder({ exitOnError: false });
     this.scheduler = new Scheduler(this.rssFeeder);
+    this.statusServer = null;
     this.isShuttingDown = false;
+    this.startTime = new Date();
     
     // Setup signal handlers for graceful shutdown
     this.setupSignalHandlers();
@@ -35,6 +41,9 @@ class Daemon {
       // Validate configuration
       this.rssFeeder.validateConfiguration();
 
+      // Read before the scheduler records its new next run time
+      const missedRun = config.getRunOnStart() ? null : await this.findMissedSchedule();
+
       // Run initial execution if configured
       if (config.getRunOnStart()) {
         Utils.log('info', '🚀 Running initial execution...');
@@ -45,8 +54,24 @@ class Daemon {
       // Start scheduler
       this.scheduler.start();
 
+      // Start HTTP status server if a port is configured
+      const port = config.getDaemonHttpPort();
+      if (port !== null && port !== undefined) {
+        this.statusServer = new StatusServer(this, {
+          port,
+          host: config.getDaemonHttpHost(),
+          token: config.getDaemonApiToken()
+        });
+        await this.statusServer.start();
+      }
+
       Utils.log('info', '✅ RSS Feeder daemon started successfully');
       Utils.log('info', '   Use Ctrl+C or send SIGTERM to stop gracefully');
+
+      if (missedRun) {
+        Utils.log('warn', `⏰ Scheduled run at ${missedRun.toISOString()} was missed while the daemon was not running`);
+        this.triggerRun('catch-up');
+      }
       
       // Keep process alive
       this.keepAlive();
@@ -76,6 +101,11 @@ class Daemon {
         Utils.log('info', '✅ Scheduler stopped');
       }
 
+      if (this.statusServer) {
+        await this.statusServer.stop();
+        Utils.log('info', '✅ Status server stopped');
+      }
+
       Utils.log('info', '✅ RSS Feeder daemon stopped gracefully');
       process.exit(0);
     } catch (error) {
@@ -144,11 +174,84 @@ class Daemon {
       isRunning: true,
       isShuttingDown: this.isShuttingDown,
       schedulerRunning: this.scheduler.isSchedulerRunning(),
-      startTime: new Date(),
+      startTime: this.startTime,
       scheduleEnabled: config.isScheduleEnabled(),
       cronSchedule: config.getScheduleCron()
     };
   }
+
+  /**
+   * Status reported by GET /status: daemon state, runs and per-feed health
+   * @returns {Promise<Object>}
+   */
+  async getDetailedStatus() {
+    const status = this.getStatus();
+    const nextRun = this.scheduler.getNextRun();
+
+    const feeds = await Promise.all(config.getRssFeedsWithTags().map(async (feed) => {
+      const entry = await feedStatusStore.get(feed.url);
+      return {
+        name: feed.name || feed.url,
+        url: feed.url,
+        health: feedStatusStore.getHealth(entry),
+        lastSuccessAt: entry?.lastSuccessAt || null,
+        consecutiveFailures: entry?.consecutiveFailures || 0,
+        lastHttpStatus: entry?.lastHttpStatus ?? null,
+        itemCount: entry?.itemCount ?? null,
+        nextAttemptAt: entry?.nextAttemptAt || null,
+        lastError: entry?.lastError || null
+      };
+    }));
+
+    return {
+      ...status,
+      startTime: this.startTime.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - this.startTime) / 1000),
+      nextScheduledRun: nextRun ? nextRun.toISOString() : null,
+      currentRun: this.rssFeeder.currentRun,
+      lastRun: this.rssFeeder.lastRun,
+      feeds
+    };
+  }
+
+  /**
+   * Find a scheduled run that came due while the daemon was not running
+   * @returns {Promise<Date|null>} The missed run time
+   */
+  async findMissedSchedule() {
+    if (!config.isCatchUpEnabled()) {
+      return null;
+    }
+
+    try {
+      const nextScheduledRunAt = await runStateStore.getNextScheduledRunAt();
+      return nextScheduledRunAt && nextScheduledRunAt <= new Date() ? nextScheduledRunAt : null;
+    } catch (error) {
+      Utils.log('warn', `Could not read run state: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Start a pipeline run outside the schedule (e.g. POST /run)
+   * @param {string} trigger Who requested the run, for logging
+   * @returns {Object|null} The started run ({ runId, startedAt }), or null if one is already running
+   */
+  triggerRun(trigger = 'manual') {
+    if (this.rssFeeder.isRunning()) {
+      Utils.log('warn', `Ignoring ${trigger} run request: a run is already in progress`);
+      return null;
+    }
+
+    Utils.log('info', `🚀 Run triggered via ${trigger}`);
+    this.rssFeeder.run().catch((error) => {
+      Utils.log('error', `❌ Triggered run failed: ${error.message}`);
+    });
+
+    // With no run in progress, run() claims it and sets currentRun
+    // synchronously before its first await
+    return this.rssFeeder.currentRun;
+  }
 }
 
 // CLI handling for daemon mode
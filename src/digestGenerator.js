@@ -0,0 +1,153 @@
+/**
+ * Digest Generator
+ * Builds weekly and monthly digests from the results of past runs
+ * (resultsStore.js): per category and per watch word, a trend summary over
+ * the daily summaries and the period's top articles, written to
+ * RSS/weekly/<yyyy-Www>.md or RSS/monthly/<yyyy-MM>.md
+ */
+
+const Utils = require('./utils');
+const llmProcessor = require('./llmProcessor');
+const fileOutput = require('./obsidianAPI');
+const resultsStore = require('./resultsStore');
+const { DIGEST_PERIODS, DIGEST, TIME } = require('./constants');
+
+/**
+ * ISO 8601 week of a calendar date (weeks start on Monday; week 1 contains
+ * the year's first Thursday)
+ * @param {string} dateKey YYYY-MM-DD
+ * @returns {{year: number, week: number, monday: string}} Week-numbering year,
+ *   week number and the Monday the week starts on
+ */
+function getIsoWeek(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+  const monday = Utils.addDaysToDateKey(dateKey, 1 - weekday);
+
+  // The Thursday of a week decides which year the week belongs to
+  const thursday = Utils.addDaysToDateKey(monday, 3);
+  const isoYear = Number(thursday.slice(0, 4));
+  const dayOfYear = (Date.parse(thursday) - Date.UTC(isoYear, 0, 1)) / TIME.ONE_DAY_MILLISECONDS;
+
+  return { year: isoYear, week: Math.floor(dayOfYear / 7) + 1, monday };
+}
+
+class DigestGenerator {
+  /**
+   * Get the period that contains a day
+   * @param {string} period "week" or "month"
+   * @param {string} dateKey Any day of the period (YYYY-MM-DD)
+   * @returns {{period: string, label: string, start: string, end: string}}
+   *   Label (2024-W10 or 2024-03) and first and last day (inclusive)
+   * @throws {Error} For an unknown period
+   */
+  getPeriod(period, dateKey) {
+    if (period === DIGEST_PERIODS.WEEK) {
+      const { year, week, monday } = getIsoWeek(dateKey);
+      return {
+        period,
+        label: `${year}-W${String(week).padStart(2, '0')}`,
+        start: monday,
+        end: Utils.addDaysToDateKey(monday, 6)
+      };
+    }
+
+    if (period === DIGEST_PERIODS.MONTH) {
+      const [year, month] = dateKey.split('-').map(Number);
+      const start = `${dateKey.slice(0, 7)}-01`;
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return {
+        period,
+        label: dateKey.slice(0, 7),
+        start,
+        end: `${dateKey.slice(0, 7)}-${String(lastDay).padStart(2, '0')}`
+      };
+    }
+
+    throw new Error(`Unknown digest period: ${period} (use ${Object.values(DIGEST_PERIODS).join(' or ')})`);
+  }
+
+  /**
+   * Combine the stored days of a period per category or watch word
+   * @param {Array<Object>} days Stored days (resultsStore.getDays())
+   * @param {string} field "categories" or "keywords"
+   * @returns {Object} Map of name -> { dailySummaries, articles, count }, articles
+   *   by score (then newest first), sorted by article count
+   */
+  collect(days, field) {
+    const collected = {};
+
+    for (const day of days) {
+      for (const [name, entry] of Object.entries(day[field] || {})) {
+        const item = collected[name] || { dailySummaries: [], articles: new Map() };
+
+        for (const summary of entry.summaries || []) {
+          item.dailySummaries.push({ date: day.date, summary });
+        }
+        for (const article of entry.articles || []) {
+          if (!item.articles.has(article.link)) {
+            item.articles.set(article.link, article);
+          }
+        }
+
+        collected[name] = item;
+      }
+    }
+
+    const byRelevance = (a, b) => (b.score ?? 0) - (a.score ?? 0) || new Date(b.pubDate) - new Date(a.pubDate);
+
+    return Object.fromEntries(
+      Object.entries(collected)
+        .map(([name, item]) => {
+          const articles = [...item.articles.values()].sort(byRelevance);
+          return [name, { dailySummaries: item.dailySummaries, articles, count: articles.length }];
+        })
+        .sort(([, a], [, b]) => b.count - a.count)
+    );
+  }
+
+  /**
+   * Add a trend summary to every collected category or watch word
+   * @param {Object} collected From collect()
+   * @param {string} label Period label
+   * @returns {Promise<Object>} Map of name -> { summary, articles, count }
+   */
+  async summarize(collected, label) {
+    const entries = Object.entries(collected);
+    const summaries = await Promise.all(
+      entries.map(([name, item]) => llmProcessor.generateDigestSummary(name, label, item.dailySummaries, item.articles, item.count))
+    );
+
+    return Object.fromEntries(entries.map(([name, item], i) => [name, {
+      summary: summaries[i],
+      articles: item.articles.slice(0, DIGEST.TOP_ARTICLES),
+      count: item.count
+    }]));
+  }
+
+  /**
+   * Build and write the digest of the period containing a day
+   * @param {string} period "week" or "month"
+   * @param {string} dateKey Any day of the period (default: today in TIMEZONE)
+   * @returns {Promise<string|null>} Vault path of the digest, or null when
+   *   no results are stored for the period
+   */
+  async generate(period, dateKey = Utils.getDateKey(new Date())) {
+    const range = this.getPeriod(period, dateKey);
+    const days = await resultsStore.getDays(range.start, range.end);
+
+    if (days.length === 0) {
+      Utils.log('warn', `No stored results between ${range.start} and ${range.end}; digests cover runs made after results were first recorded`);
+      return null;
+    }
+
+    Utils.log('info', `📚 Building ${period} digest ${range.label} from ${days.length} days of results`);
+
+    const categories = await this.summarize(this.collect(days, 'categories'), range.label);
+    const keywords = await this.summarize(this.collect(days, 'keywords'), range.label);
+
+    return fileOutput.createDigestFile({ ...range, days: days.length, categories, keywords });
+  }
+}
+
+module.exports = new DigestGenerator();
@@ -4,6 +4,7 @@
  */
 
 const config = require('./config');
+const logger = require('./logger');
 
 class ErrorHandler {
   /**
@@ -15,24 +16,24 @@ class ErrorHandler {
    * @param {string} severity - 'fatal', 'error', 'warn', 'info'
    */
   static logError(operation, error, context = {}, attempt = 0, severity = 'error') {
-    const timestamp = new Date().toISOString();
     const contextStr = Object.entries(context)
       .map(([key, value]) => `${key}=${value}`)
       .join(', ');
     
     const retryInfo = attempt > 0 ? ` (attempt ${attempt})` : '';
-    const message = `[${timestamp}] [${severity.toUpperCase()}] ${operation}${retryInfo}: ${error.message}`;
+    const message = `${operation}${retryInfo}: ${error.message}`;
+    const fields = { operation, attempt, context };
     
     if (contextStr) {
       const fullMessage = `${message} | Context: ${contextStr}`;
-      this.logByLevel(severity, fullMessage);
+      this.logByLevel(severity, fullMessage, fields);
     } else {
-      this.logByLevel(severity, message);
+      this.logByLevel(severity, message, fields);
     }
     
     // Log stack trace in debug mode
     if (config.isDebugMode() && severity === 'error') {
-      console.error('Stack trace:', error.stack);
+      logger.log('debug', 'Stack trace:', error.stack);
     }
   }
 
@@ -94,37 +95,25 @@ class ErrorHandler {
    * @param {string} message - Success message
    */
   static logSuccess(operation, context = {}, message = 'completed successfully') {
-    const timestamp = new Date().toISOString();
     const contextStr = Object.entries(context)
       .map(([key, value]) => `${key}=${value}`)
       .join(', ');
     
     const fullMessage = contextStr 
-      ? `[${timestamp}] [INFO] ${operation}: ${message} | Context: ${contextStr}`
-      : `[${timestamp}] [INFO] ${operation}: ${message}`;
+      ? `${operation}: ${message} | Context: ${contextStr}`
+      : `${operation}: ${message}`;
     
-    if (config.isDebugMode()) {
-      console.log(fullMessage);
-    }
+    logger.log('debug', fullMessage, null, { operation, context });
   }
 
   /**
    * Log by severity level
-   * @param {string} level - Log level
+   * @param {string} level - Log level ('fatal' is logged as error)
    * @param {string} message - Message to log
+   * @param {Object} fields - Structured fields for JSON output
    */
-  static logByLevel(level, message) {
-    switch (level) {
-      case 'fatal':
-      case 'error':
-        console.error(message);
-        break;
-      case 'warn':
-        console.warn(message);
-        break;
-      default:
-        console.log(message);
-    }
+  static logByLevel(level, message, fields = {}) {
+    logger.log(level === 'fatal' ? 'error' : level, message, null, fields);
   }
 
   /**
@@ -0,0 +1,140 @@
+/**
+ * Feed Cache
+ * Persists per-feed HTTP validators (ETag / Last-Modified) for conditional GET
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Utils = require('./utils');
+const config = require('./config');
+const { PATHS } = require('./constants');
+
+class FeedCache {
+  constructor() {
+    this.entries = null;
+    this.pending = {};
+  }
+
+  /**
+   * Get path of the cache file
+   * @returns {string}
+   */
+  getCachePath() {
+    return path.join(config.getDataDirectory(), PATHS.FEED_CACHE_FILE);
+  }
+
+  /**
+   * Load cache contents from disk (once per process)
+   * @returns {Promise<Object>} Map of feed URL -> cache entry
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    try {
+      const raw = await fs.readFile(this.getCachePath(), 'utf8');
+      const data = JSON.parse(raw);
+      this.entries = data.feeds && typeof data.feeds === 'object' ? data.feeds : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Utils.log('warn', `Could not read feed cache, starting empty: ${error.message}`);
+      }
+      this.entries = {};
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Write cache contents to disk
+   */
+  async save() {
+    const entries = await this.load();
+    const data = {
+      updated: new Date().toISOString(),
+      feeds: entries
+    };
+    await Utils.writeFile(this.getCachePath(), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Get cache entry for a feed
+   * @param {string} feedUrl
+   * @returns {Promise<Object|null>} Cached validators and feed metadata
+   */
+  async get(feedUrl) {
+    const entries = await this.load();
+    return entries[feedUrl] || null;
+  }
+
+  /**
+   * Build conditional request headers for a feed
+   * @param {string} feedUrl
+   * @returns {Promise<Object>} If-None-Match / If-Modified-Since headers
+   */
+  async getConditionalHeaders(feedUrl) {
+    const entry = await this.get(feedUrl);
+    const headers = {};
+
+    if (entry?.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry?.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Stage validators and feed metadata from a successful response.
+   * Staged entries are only used once committed, so a run that fails after
+   * fetching does not hide unprocessed items behind a 304 next time.
+   * @param {string} feedUrl
+   * @param {Object} responseHeaders
+   * @param {Object} feed Parsed feed (title, description, link)
+   */
+  stage(feedUrl, responseHeaders, feed) {
+    const etag = responseHeaders?.etag;
+    const lastModified = responseHeaders?.['last-modified'];
+
+    this.pending[feedUrl] = etag || lastModified
+      ? {
+        etag: etag || null,
+        lastModified: lastModified || null,
+        title: feed.title,
+        description: feed.description,
+        link: feed.link,
+        fetchedAt: new Date().toISOString()
+      }
+      : null;
+  }
+
+  /**
+   * Drop entries staged by an earlier run that never committed them
+   */
+  discardStaged() {
+    this.pending = {};
+  }
+
+  /**
+   * Apply staged entries and write the cache to disk
+   */
+  async commit() {
+    const entries = await this.load();
+
+    for (const [feedUrl, entry] of Object.entries(this.pending)) {
+      if (entry) {
+        entries[feedUrl] = entry;
+      } else {
+        delete entries[feedUrl];
+      }
+    }
+
+    this.pending = {};
+    await this.save();
+  }
+}
+
+module.exports = new FeedCache();
@@ -1,13 +1,16 @@
 /**
  * RSS Feed Fetcher
- * Handles RSS feed retrieval and parsing
+ * Handles feed retrieval and parsing (RSS, Atom and JSON Feed)
  */
 
 const Parser = require('rss-parser');
 const axios = require('axios');
 const Utils = require('./utils');
 const config = require('./config');
-const { TIMEOUT, HTTP, DEFAULTS, TIME } = require('./constants');
+const feedCache = require('./feedCache');
+const feedStatusStore = require('./feedStatusStore');
+const metrics = require('./metrics');
+const { TIMEOUT, HTTP, DEFAULTS, LIMITS, FEED_FORMAT, SCORING } = require('./constants');
 
 class FeedFetcher {
   constructor() {
@@ -23,78 +26,253 @@ class FeedFetcher {
         ]
       }
     });
+
+    // Separate parser for Atom so raw link/author/category arrays are kept
+    this.atomParser = new Parser({
+      timeout: TIMEOUT.RSS_PARSER,
+      maxRedirects: HTTP.MAX_REDIRECTS,
+      customFields: {
+        feed: ['subtitle'],
+        item: [
+          ['link', 'links', { keepArray: true }],
+          ['author', 'authors', { keepArray: true }],
+          ['category', 'atomCategories', { keepArray: true }],
+          ['updated', 'updated']
+        ]
+      }
+    });
   }
 
   /**
    * Fetch and parse an RSS feed
    * @param {string} feedUrl 
-   * @returns {Promise<Object>} Parsed feed data
+   * @param {Object} options
+   * @param {boolean} options.conditional Send cached ETag / Last-Modified validators
+   * @returns {Promise<Object>} Parsed feed data (notModified: true on HTTP 304)
    */
-  async fetchFeed(feedUrl) {
+  async fetchFeed(feedUrl, options = {}) {
+    const { conditional = false } = options;
+    const stopTimer = metrics.startTimer();
+
     try {
       Utils.log('info', `Fetching feed: ${feedUrl}`);
+
+      const conditionalHeaders = conditional
+        ? await feedCache.getConditionalHeaders(feedUrl)
+        : {};
       
       const response = await axios.get(feedUrl, {
         timeout: TIMEOUT.HTTP_REQUEST,
         headers: {
-          'User-Agent': HTTP.USER_AGENT
-        }
+          'User-Agent': HTTP.USER_AGENT,
+          ...conditionalHeaders
+        },
+        validateStatus: status => (status >= 200 && status < 300) || status === HTTP.NOT_MODIFIED
       });
 
-      const feed = await this.parser.parseString(response.data);
+      // Unchanged since the last fetch: no new items
+      if (response.status === HTTP.NOT_MODIFIED) {
+        const cached = await feedCache.get(feedUrl);
+        Utils.log('info', `Feed not modified since last fetch: ${cached?.title || feedUrl}`);
+        this.recordFetchMetrics(feedUrl, 'not_modified', stopTimer());
+
+        return {
+          title: cached?.title,
+          description: cached?.description,
+          link: cached?.link,
+          items: [],
+          notModified: true,
+          httpStatus: response.status
+        };
+      }
+
+      const feed = await this.parseFeed(response.data);
       
-      Utils.log('info', `Successfully fetched feed: ${feed.title} (${feed.items?.length || 0} items)`);
+      Utils.log('info', `Successfully fetched ${feed.format} feed: ${feed.title} (${feed.items.length} items)`);
+      this.recordFetchMetrics(feedUrl, 'success', stopTimer());
+
+      if (conditional) {
+        feedCache.stage(feedUrl, response.headers, feed);
+      }
       
-      return {
-        title: feed.title,
-        description: feed.description,
-        link: feed.link,
-        items: feed.items?.map(item => this.normalizeItem(item)) || []
-      };
+      return { ...feed, httpStatus: response.status };
       
     } catch (error) {
       Utils.log('error', `Failed to fetch feed ${feedUrl}:`, error.message);
+      this.recordFetchMetrics(feedUrl, 'error', stopTimer());
       throw error;
     }
   }
 
+  /**
+   * Record one feed request in the fetch metrics
+   * @param {string} feedUrl
+   * @param {string} result success | not_modified | error
+   * @param {number} seconds Request duration
+   */
+  recordFetchMetrics(feedUrl, result, seconds) {
+    metrics.feedFetchesTotal.inc({ feed: feedUrl, result });
+    metrics.feedFetchDuration.observe({ feed: feedUrl }, seconds);
+  }
+
+  /**
+   * Detect feed format from a response body
+   * @param {string|Object} data Raw response body (axios may already have parsed JSON)
+   * @returns {string} One of FEED_FORMAT values
+   */
+  detectFormat(data) {
+    if (data && typeof data === 'object') {
+      return FEED_FORMAT.JSON_FEED;
+    }
+
+    const head = String(data || '').trimStart().slice(0, LIMITS.FEED_FORMAT_SNIFF_LENGTH);
+
+    if (head.startsWith('{')) {
+      return FEED_FORMAT.JSON_FEED;
+    }
+
+    // Skip XML declaration, comments and processing instructions to find the root element
+    const rootMatch = head
+      .replace(/<\?[\s\S]*?\?>/g, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .match(/<([A-Za-z][\w:.-]*)/);
+
+    if (rootMatch && rootMatch[1].split(':').pop() === 'feed') {
+      return FEED_FORMAT.ATOM;
+    }
+
+    return FEED_FORMAT.RSS;
+  }
+
+  /**
+   * Parse a feed document into the normalized feed shape
+   * @param {string|Object} data Raw response body
+   * @returns {Promise<Object>} Feed with format, metadata and normalized items
+   */
+  async parseFeed(data) {
+    const format = this.detectFormat(data);
+
+    if (format === FEED_FORMAT.JSON_FEED) {
+      const feed = typeof data === 'object' ? data : JSON.parse(data);
+
+      if (!Array.isArray(feed.items)) {
+        throw new Error('Invalid JSON Feed: missing items array');
+      }
+
+      return {
+        format,
+        title: feed.title,
+        description: feed.description || '',
+        link: feed.home_page_url || feed.feed_url || '',
+        items: feed.items.map(item => this.normalizeJsonFeedItem(item))
+      };
+    }
+
+    if (format === FEED_FORMAT.ATOM) {
+      const feed = await this.atomParser.parseString(data);
+
+      return {
+        format,
+        title: feed.title,
+        description: feed.subtitle || feed.description || '',
+        link: feed.link,
+        items: feed.items?.map(item => this.normalizeAtomItem(item)) || []
+      };
+    }
+
+    const feed = await this.parser.parseString(data);
+
+    return {
+      format,
+      title: feed.title,
+      description: feed.description,
+      link: feed.link,
+      items: feed.items?.map(item => this.normalizeItem(item)) || []
+    };
+  }
+
   /**
    * Fetch multiple RSS feeds concurrently with error handling
    * @param {Array<string>} feedUrls 
+   * @param {Object} options
+   * @param {boolean} options.conditional Set to false to skip conditional GET
    * @returns {Promise<Array<Object>>} Array of feed data
    */
-  async fetchMultipleFeeds(feedUrls) {
+  async fetchMultipleFeeds(feedUrls, options = {}) {
     if (!feedUrls || feedUrls.length === 0) {
       Utils.log('warn', 'No RSS feeds configured');
       return [];
     }
 
-    Utils.log('info', `Fetching ${feedUrls.length} RSS feeds`);
+    const conditional = config.isConditionalFetchEnabled() && options.conditional !== false;
+
+    // Validators staged by a run that failed after fetching were never
+    // processed; committing them now would hide those items behind a 304
+    feedCache.discardStaged();
+
+    // Skip feeds that are still backing off after repeated failures
+    let dueUrls = feedUrls;
+    if (config.isFeedBackoffEnabled()) {
+      dueUrls = [];
+      for (const feedUrl of feedUrls) {
+        if (await feedStatusStore.isBackingOff(feedUrl)) {
+          const status = await feedStatusStore.get(feedUrl);
+          Utils.log('warn', `Skipping feed ${feedUrl} until ${status.nextAttemptAt} (${status.consecutiveFailures} consecutive failures)`);
+        } else {
+          dueUrls.push(feedUrl);
+        }
+      }
+    }
+
+    Utils.log('info', `Fetching ${dueUrls.length} RSS feeds`);
     
-    const feedPromises = feedUrls.map(async (feedUrl) => {
+    const feedPromises = dueUrls.map(async (feedUrl) => {
       try {
-        return await Utils.retry(
-          () => this.fetchFeed(feedUrl),
+        const feed = await Utils.retry(
+          () => this.fetchFeed(feedUrl, { conditional }),
           config.getMaxRetries(),
           config.getRetryDelay(),
-          `Feed fetch for ${feedUrl}`
+          `Feed fetch for ${feedUrl}`,
+          'feed'
         );
+        await feedStatusStore.recordSuccess(feedUrl, feed);
+        return { ...feed, url: feedUrl };
       } catch (error) {
         Utils.log('error', `Skipping feed ${feedUrl} due to persistent errors:`, error.message);
+        await feedStatusStore.recordFailure(feedUrl, error);
         return null;
       }
     });
 
     const results = await Promise.allSettled(feedPromises);
+
+    // A dry run leaves the stored fetch health as it was
+    if (!config.isDryRun()) {
+      try {
+        await feedStatusStore.save();
+      } catch (error) {
+        Utils.log('warn', `Could not save feed status: ${error.message}`);
+      }
+    }
     
     const successfulFeeds = results
       .filter(result => result.status === 'fulfilled' && result.value !== null)
       .map(result => result.value);
 
     const failedCount = results.length - successfulFeeds.length;
+    const skippedCount = feedUrls.length - dueUrls.length;
+    const notModifiedCount = successfulFeeds.filter(feed => feed.notModified).length;
     
     if (failedCount > 0) {
-      Utils.log('warn', `${failedCount} feeds failed to fetch`);
+      Utils.log('warn', `${failedCount} feeds failed to fetch (run "feeds status" for details)`);
+    }
+
+    if (skippedCount > 0) {
+      Utils.log('warn', `${skippedCount} failing feeds skipped while backing off`);
+    }
+
+    if (notModifiedCount > 0) {
+      Utils.log('info', `${notModifiedCount} feeds not modified since last fetch`);
     }
     
     Utils.log('info', `Successfully fetched ${successfulFeeds.length} feeds`);
@@ -114,6 +292,7 @@ class FeedFetcher {
       description: Utils.stripHtml(item.description || item.contentSnippet || ''),
       content: item.contentEncoded || item.content || '',
       pubDate: item.pubDate ? new Date(item.pubDate) : new Date(),
+      updated: null,
       creator: item.creator || item.author || '',
       categories: item.categories || [],
       guid: item.guid || item.link || ''
@@ -121,40 +300,116 @@ class FeedFetcher {
   }
 
   /**
-   * Filter articles by date (past 1 day articles)
+   * Normalize Atom entry into the common item shape
+   * @param {Object} item Atom entry parsed by rss-parser (with raw arrays kept)
+   * @returns {Object} Normalized item
+   */
+  normalizeAtomItem(item) {
+    const links = (item.links || []).map(link => link.$ || {});
+    // Per RFC 4287 a link without rel is an alternate link
+    const alternate = links.find(link => !link.rel || link.rel === 'alternate');
+    const link = alternate?.href || item.link || links[0]?.href || '';
+
+    const authors = (item.authors || [])
+      .map(author => author?.name?.[0])
+      .filter(Boolean);
+
+    const categories = (item.atomCategories || [])
+      .map(category => category.$?.label || category.$?.term)
+      .filter(Boolean);
+
+    return {
+      title: item.title || DEFAULTS.ARTICLE_TITLE,
+      link: link,
+      description: Utils.stripHtml(item.summary || item.contentSnippet || ''),
+      content: item.content || item.summary || '',
+      pubDate: item.pubDate ? new Date(item.pubDate) : new Date(),
+      updated: item.updated ? new Date(item.updated) : null,
+      creator: authors.join(', ') || item.author || '',
+      categories: categories,
+      guid: item.id || link
+    };
+  }
+
+  /**
+   * Normalize JSON Feed (1.0 / 1.1) item into the common item shape
+   * @param {Object} item JSON Feed item
+   * @returns {Object} Normalized item
+   */
+  normalizeJsonFeedItem(item) {
+    // JSON Feed 1.1 uses authors[], 1.0 uses a single author object
+    const authors = (item.authors || (item.author ? [item.author] : []))
+      .map(author => author?.name)
+      .filter(Boolean);
+    const link = item.url || item.external_url || '';
+    const published = item.date_published || item.date_modified;
+
+    return {
+      title: item.title || DEFAULTS.ARTICLE_TITLE,
+      link: link,
+      description: Utils.stripHtml(item.summary || item.content_text || item.content_html || ''),
+      content: item.content_html || item.content_text || '',
+      pubDate: published ? new Date(published) : new Date(),
+      updated: item.date_modified ? new Date(item.date_modified) : null,
+      creator: authors.join(', '),
+      categories: Array.isArray(item.tags) ? item.tags : [],
+      guid: item.id !== undefined ? String(item.id) : link
+    };
+  }
+
+  /**
+   * Filter articles by date (past 1 day articles, or a given time range)
    * @param {Array<Object>} articles 
+   * @param {Date|null} since Start of the lookback window
+   * @param {Date|null} until End of the window (exclusive, default: no limit)
    * @returns {Array<Object>} Past 1 day articles
    */
-  filterTodayArticles(articles) {
-    const today = new Date();
-    const oneDayAgo = new Date(today.getTime() - TIME.ONE_DAY_MILLISECONDS);
-    const oneDayAgoStart = new Date(oneDayAgo.getFullYear(), oneDayAgo.getMonth(), oneDayAgo.getDate());
+  filterTodayArticles(articles, since = null, until = null) {
+    const start = since || this.getDefaultLookbackStart();
 
     const recentArticles = articles.filter(article => {
       const pubDate = new Date(article.pubDate);
-      return pubDate >= oneDayAgoStart;
+      return pubDate >= start && (!until || pubDate < until);
     });
 
-    Utils.log('info', `Filtered ${recentArticles.length} articles from past 1 day out of ${articles.length} total`);
+    const window = since
+      ? `since ${start.toISOString()}${until ? ` until ${until.toISOString()}` : ''}`
+      : 'from past 1 day';
+    Utils.log('info', `Filtered ${recentArticles.length} articles ${window} out of ${articles.length} total`);
     
     return recentArticles;
   }
 
+  /**
+   * Start of the regular lookback window: midnight of yesterday in TIMEZONE
+   * @param {Date} now
+   * @returns {Date}
+   */
+  getDefaultLookbackStart(now = new Date()) {
+    const yesterday = Utils.addDaysToDateKey(Utils.getDateKey(now), -1);
+    return Utils.startOfDayInTimezone(yesterday);
+  }
+
   /**
    * Get all articles from configured feeds
    * @param {boolean} todayOnly Whether to filter for today's articles only
+   * @param {Object} options
+   * @param {Date|null} options.since Start of the lookback window (default: midnight of yesterday)
+   * @param {Date|null} options.until End of the lookback window (exclusive)
+   * @param {boolean} options.conditional Set to false to fetch full feeds even when
+   *   unchanged (a 304 carries no items to backfill from)
    * @returns {Promise<Array<Object>>} All articles
    */
-  async getAllArticles(todayOnly = true) {
+  async getAllArticles(todayOnly = true, options = {}) {
     const feedsWithTags = config.getRssFeedsWithTags();
     const feedUrls = feedsWithTags.map(f => f.url);
-    const feeds = await this.fetchMultipleFeeds(feedUrls);
+    const feeds = await this.fetchMultipleFeeds(feedUrls, { conditional: options.conditional });
     
     let allArticles = [];
     
-    for (let i = 0; i < feeds.length; i++) {
-      const feed = feeds[i];
-      const feedConfig = feedsWithTags[i];
+    for (const feed of feeds) {
+      // Failed feeds are dropped, so match configs by URL rather than index
+      const feedConfig = feedsWithTags.find(f => f.url === feed.url) || {};
       
       if (feed && feed.items) {
         // Add feed source and parentTag to each article
@@ -162,8 +417,11 @@ class FeedFetcher {
           ...item,
           feedTitle: feed.title,
           feedLink: feed.link,
+          feedUrl: feed.url,
           feedParentTag: feedConfig.parentTag,
-          feedName: feedConfig.name
+          feedName: feedConfig.name,
+          feedFetchFullText: feedConfig.fetchFullText === true,
+          feedPriority: feedConfig.priority ?? SCORING.DEFAULT_FEED_PRIORITY
         }));
         
         allArticles = allArticles.concat(articlesWithSource);
@@ -174,7 +432,7 @@ class FeedFetcher {
 
     // Filter for today's articles if requested
     if (todayOnly) {
-      allArticles = this.filterTodayArticles(allArticles);
+      allArticles = this.filterTodayArticles(allArticles, options.since, options.until);
     }
 
     // Remove duplicates based on title and link
@@ -0,0 +1,240 @@
+/**
+ * Feed Manager
+ * Edits feeds.json (OPML import/export and feed management commands)
+ */
+
+const fs = require('fs').promises;
+const Utils = require('./utils');
+const config = require('./config');
+const Opml = require('./opml');
+const feedFetcher = require('./feedFetcher');
+const feedStatusStore = require('./feedStatusStore');
+
+class FeedManager {
+  /**
+   * Load the full feeds.json document, creating an empty skeleton if missing
+   * @returns {Object} feeds.json document
+   */
+  loadFeedsDocument() {
+    const feedsPath = config.getFeedsFilePath();
+
+    try {
+      const feedsData = config.readFeedsFile(feedsPath);
+
+      // Upgrade the simple array format to the structured one
+      if (Array.isArray(feedsData)) {
+        return {
+          feeds: feedsData.map(url => ({ name: url, url, enabled: true }))
+        };
+      }
+
+      if (!Array.isArray(feedsData.feeds)) {
+        feedsData.feeds = [];
+      }
+
+      return feedsData;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { feeds: [] };
+      }
+      throw new Error(`Failed to read ${feedsPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the feeds.json document and bump lastUpdated
+   * @param {Object} feedsData
+   */
+  saveFeedsDocument(feedsData) {
+    feedsData.lastUpdated = Utils.formatDate(new Date());
+    config.writeFeedsFile(feedsData);
+  }
+
+  /**
+   * Import feeds from an OPML file into feeds.json
+   * @param {string} filePath OPML file path
+   * @param {Object} options
+   * @param {boolean} options.replace Replace the feed list instead of merging
+   * @returns {Promise<Object>} Import result ({added, skipped, total})
+   */
+  async importOpml(filePath, options = {}) {
+    const { replace = false } = options;
+
+    const xml = await fs.readFile(filePath, 'utf8');
+    const imported = await Opml.parse(xml);
+    const feedsData = this.loadFeedsDocument();
+    const defaultEnabled = feedsData.settings?.defaultEnabled ?? true;
+
+    const existingFeeds = replace ? [] : feedsData.feeds;
+    const knownUrls = new Set(existingFeeds.map(feed => feed.url));
+    const added = [];
+    let skipped = 0;
+
+    for (const feed of imported) {
+      if (knownUrls.has(feed.url)) {
+        skipped++;
+        continue;
+      }
+
+      knownUrls.add(feed.url);
+      added.push({
+        name: feed.name,
+        url: feed.url,
+        description: feed.description || '',
+        category: feed.category,
+        enabled: feed.enabled ?? defaultEnabled
+      });
+    }
+
+    feedsData.feeds = [...existingFeeds, ...added];
+    this.saveFeedsDocument(feedsData);
+
+    Utils.log('info', `Imported ${added.length} feeds from ${filePath} (${skipped} already configured)`);
+
+    const disabledCount = added.filter(feed => !feed.enabled).length;
+    if (disabledCount > 0) {
+      Utils.log('info', `${disabledCount} imported feeds are disabled; set "enabled": true in feeds.json to activate them`);
+    }
+
+    return {
+      added: added.length,
+      skipped: skipped,
+      total: feedsData.feeds.length
+    };
+  }
+
+  /**
+   * Find a feed by name or URL
+   * @param {Array<Object>} feeds
+   * @param {string} identifier Feed name (case-insensitive) or URL
+   * @returns {number} Index in feeds
+   */
+  findFeedIndex(feeds, identifier) {
+    const byUrl = feeds.findIndex(feed => feed.url === identifier);
+    if (byUrl !== -1) {
+      return byUrl;
+    }
+
+    const needle = identifier.toLowerCase();
+    const matches = feeds
+      .map((feed, index) => ({ feed, index }))
+      .filter(({ feed }) => (feed.name || '').toLowerCase() === needle);
+
+    if (matches.length === 0) {
+      throw new Error(`No feed named or with URL "${identifier}" in feeds.json`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Several feeds are named "${identifier}"; use the feed URL instead`);
+    }
+
+    return matches[0].index;
+  }
+
+  /**
+   * List configured feeds with their last fetch status
+   * @returns {Promise<Array<Object>>} Feed entries with status and health fields
+   */
+  async listFeeds() {
+    const feedsData = this.loadFeedsDocument();
+
+    return Promise.all(feedsData.feeds.map(async feed => {
+      const status = await feedStatusStore.get(feed.url);
+      return {
+        ...feed,
+        status,
+        health: feedStatusStore.getHealth(status)
+      };
+    }));
+  }
+
+  /**
+   * Add a feed after validating it can be fetched and parsed
+   * @param {string} url Feed URL
+   * @param {Object} options
+   * @param {string} options.name Display name (defaults to the feed title)
+   * @param {string} options.category Category path, e.g. tech/go
+   * @param {string} options.description
+   * @param {boolean} options.enabled
+   * @param {boolean} options.fetchFullText Extract article text from the page for summaries
+   * @returns {Promise<Object>} Added feed entry
+   */
+  async addFeed(url, options = {}) {
+    try {
+      new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid feed URL: ${url}`);
+    }
+
+    const feedsData = this.loadFeedsDocument();
+    if (feedsData.feeds.some(feed => feed.url === url)) {
+      throw new Error(`Feed already configured: ${url}`);
+    }
+
+    Utils.log('info', `Validating feed: ${url}`);
+    let fetched;
+    try {
+      fetched = await feedFetcher.fetchFeed(url);
+      await feedStatusStore.recordSuccess(url, fetched);
+    } catch (error) {
+      throw new Error(`Feed validation failed for ${url}: ${error.message}`);
+    }
+
+    const feed = {
+      name: options.name || fetched.title || url,
+      url: url,
+      description: options.description || fetched.description || '',
+      category: options.category,
+      enabled: options.enabled ?? true,
+      ...(options.fetchFullText ? { fetchFullText: true } : {})
+    };
+
+    feedsData.feeds.push(feed);
+    this.saveFeedsDocument(feedsData);
+    await feedStatusStore.save();
+
+    Utils.log('info', `Added feed "${feed.name}" (${fetched.format}, ${fetched.items.length} items)`);
+    return feed;
+  }
+
+  /**
+   * Remove a feed
+   * @param {string} identifier Feed name or URL
+   * @returns {Object} Removed feed entry
+   */
+  removeFeed(identifier) {
+    const feedsData = this.loadFeedsDocument();
+    const index = this.findFeedIndex(feedsData.feeds, identifier);
+    const [removed] = feedsData.feeds.splice(index, 1);
+
+    this.saveFeedsDocument(feedsData);
+    Utils.log('info', `Removed feed "${removed.name}"`);
+    return removed;
+  }
+
+  /**
+   * Enable or disable a feed
+   * @param {string} identifier Feed name or URL
+   * @param {boolean} enabled
+   * @returns {Object} Updated feed entry
+   */
+  setFeedEnabled(identifier, enabled) {
+    const feedsData = this.loadFeedsDocument();
+    const feed = feedsData.feeds[this.findFeedIndex(feedsData.feeds, identifier)];
+
+    feed.enabled = enabled;
+    this.saveFeedsDocument(feedsData);
+    Utils.log('info', `${enabled ? 'Enabled' : 'Disabled'} feed "${feed.name}"`);
+    return feed;
+  }
+
+  /**
+   * Export feeds.json as an OPML document
+   * @returns {string} OPML document
+   */
+  exportOpml() {
+    const feedsData = this.loadFeedsDocument();
+    return Opml.build(feedsData.feeds, feedsData.name || 'RSS Feeds');
+  }
+}
+
+module.exports = new FeedManager();
@@ -0,0 +1,168 @@
+/**
+ * Feed Status Store
+ * Persists per-feed fetch health (last success, failure streak, HTTP status,
+ * item count) and the backoff that skips feeds which keep failing
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Utils = require('./utils');
+const config = require('./config');
+const { PATHS, FEED_HEALTH } = require('./constants');
+
+class FeedStatusStore {
+  constructor() {
+    this.entries = null;
+  }
+
+  /**
+   * Get path of the status file
+   * @returns {string}
+   */
+  getStorePath() {
+    return path.join(config.getDataDirectory(), PATHS.FEED_STATUS_FILE);
+  }
+
+  /**
+   * Load status records from disk (once per process)
+   * @returns {Promise<Object>} Map of feed URL -> status record
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    try {
+      const raw = await fs.readFile(this.getStorePath(), 'utf8');
+      const data = JSON.parse(raw);
+      this.entries = data.feeds && typeof data.feeds === 'object' ? data.feeds : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Utils.log('warn', `Could not read feed status store, starting empty: ${error.message}`);
+      }
+      this.entries = {};
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Write status records to disk
+   */
+  async save() {
+    const entries = await this.load();
+    const data = {
+      updated: new Date().toISOString(),
+      feeds: entries
+    };
+    await Utils.writeFile(this.getStorePath(), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Get status record for a feed
+   * @param {string} feedUrl
+   * @returns {Promise<Object|null>}
+   */
+  async get(feedUrl) {
+    const entries = await this.load();
+    return entries[feedUrl] || null;
+  }
+
+  /**
+   * Record a successful fetch (resets the failure streak)
+   * @param {string} feedUrl
+   * @param {Object} feed Fetched feed (items, notModified, httpStatus)
+   */
+  async recordSuccess(feedUrl, feed) {
+    const entries = await this.load();
+    const previous = entries[feedUrl] || {};
+    const now = new Date().toISOString();
+
+    entries[feedUrl] = {
+      lastFetchedAt: now,
+      lastSuccessAt: now,
+      lastResult: feed.notModified ? 'not_modified' : 'ok',
+      lastError: null,
+      lastHttpStatus: feed.httpStatus ?? null,
+      // A 304 carries no items, so keep the count from the last full response
+      itemCount: feed.notModified ? (previous.itemCount ?? 0) : feed.items.length,
+      consecutiveFailures: 0,
+      nextAttemptAt: null
+    };
+  }
+
+  /**
+   * Check whether any feed was fetched successfully since a point in time
+   * @param {Date} since
+   * @returns {Promise<boolean>}
+   */
+  async hasSuccessSince(since) {
+    const entries = await this.load();
+    return Object.values(entries).some(entry => entry.lastSuccessAt && new Date(entry.lastSuccessAt) >= since);
+  }
+
+  /**
+   * Record a failed fetch and schedule the next attempt with exponential backoff
+   * @param {string} feedUrl
+   * @param {Error} error
+   */
+  async recordFailure(feedUrl, error) {
+    const entries = await this.load();
+    const previous = entries[feedUrl] || {};
+    const consecutiveFailures = (previous.consecutiveFailures || 0) + 1;
+    const backoff = this.getBackoffDelay(consecutiveFailures);
+
+    entries[feedUrl] = {
+      ...previous,
+      lastFetchedAt: new Date().toISOString(),
+      lastResult: 'error',
+      lastError: error.message,
+      lastHttpStatus: error.response?.status ?? null,
+      consecutiveFailures,
+      nextAttemptAt: backoff > 0 ? new Date(Date.now() + backoff).toISOString() : null
+    };
+  }
+
+  /**
+   * Backoff after a number of consecutive failures
+   * @param {number} consecutiveFailures
+   * @returns {number} Delay in milliseconds (0 = fetch on the next run)
+   */
+  getBackoffDelay(consecutiveFailures) {
+    if (consecutiveFailures < FEED_HEALTH.BACKOFF_THRESHOLD) {
+      return 0;
+    }
+
+    const exponent = consecutiveFailures - FEED_HEALTH.BACKOFF_THRESHOLD;
+    return Math.min(FEED_HEALTH.BACKOFF_BASE_DELAY * Math.pow(2, exponent), FEED_HEALTH.BACKOFF_MAX_DELAY);
+  }
+
+  /**
+   * Check whether a feed is still in its backoff window
+   * @param {string} feedUrl
+   * @param {Date} now
+   * @returns {Promise<boolean>}
+   */
+  async isBackingOff(feedUrl, now = new Date()) {
+    const entry = await this.get(feedUrl);
+    return Boolean(entry?.nextAttemptAt) && new Date(entry.nextAttemptAt) > now;
+  }
+
+  /**
+   * Summarize the health of a feed from its status record
+   * @param {Object|null} entry Status record
+   * @param {Date} now
+   * @returns {string} 'unknown' | 'healthy' | 'failing' | 'backoff'
+   */
+  getHealth(entry, now = new Date()) {
+    if (!entry) {
+      return 'unknown';
+    }
+    if (!entry.consecutiveFailures) {
+      return 'healthy';
+    }
+    return entry.nextAttemptAt && new Date(entry.nextAttemptAt) > now ? 'backoff' : 'failing';
+  }
+}
+
+module.exports = new FeedStatusStore();
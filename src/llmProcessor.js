@@ -1,62 +1,86 @@
 /**
- * LLM Processor for Gemini API integration
- * Handles article tagging and summarization
+ * LLM Processor
+ * Handles article tagging and summarization through the configured LLM provider
  */
 
-const axios = require('axios');
 const Utils = require('./utils');
 const config = require('./config');
-const { TIMEOUT, LIMITS, FALLBACKS, RETRY, DEFAULTS, INDICES } = require('./constants');
+const { createLLMProvider } = require('./llmProviders');
+const RequestScheduler = require('./requestScheduler');
+const metrics = require('./metrics');
+const watchWordMatcher = require('./watchWordMatcher');
+const articleScorer = require('./articleScorer');
+const { LIMITS, FALLBACKS, RETRY, RATE_LIMIT, DEFAULTS, INDICES, SCORING, SUMMARY_MODES, DIGEST } = require('./constants');
 
 class LLMProcessor {
   constructor() {
-    this.apiKey = config.getGeminiApiKey();
-    this.model = config.getGeminiModel();
-    this.baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
+    this.provider = null;
     this.requestDelay = config.getGeminiRequestDelay();
+
+    // Shared by every LLM call so concurrency and rate limits apply run-wide
+    this.scheduler = new RequestScheduler({
+      concurrency: config.getLLMConcurrency(),
+      minInterval: this.requestDelay,
+      requestsPerMinute: config.getLLMRequestsPerMinute(),
+      tokensPerMinute: config.getLLMTokensPerMinute()
+    });
+  }
+
+  /**
+   * Get the configured LLM provider (created on first use)
+   * @returns {Object} Provider implementing generate(prompt)
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createLLMProvider();
+    }
+    return this.provider;
   }
 
   /**
-   * Make a request to Gemini API with retry logic
+   * Send a prompt to the configured LLM provider through the request scheduler
    * @param {string} prompt 
-   * @returns {Promise<string>} API response text
+   * @returns {Promise<string>} Response text
    */
-  async makeGeminiRequest(prompt) {
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }]
-    };
+  async makeLLMRequest(prompt) {
+    const tokens = this.estimateTokens(prompt);
+    return this.scheduler.schedule(() => this.generateWithMetrics(prompt, tokens), { tokens });
+  }
 
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}?key=${this.apiKey}`,
-        requestBody,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: TIMEOUT.GEMINI_API
-        }
-      );
+  /**
+   * Call the provider and record request count, latency and estimated tokens
+   * @param {string} prompt 
+   * @param {number} promptTokens Estimated prompt tokens
+   * @returns {Promise<string>} Response text
+   */
+  async generateWithMetrics(prompt, promptTokens) {
+    const provider = this.getProvider();
+    const labels = { provider: provider.name };
+    const stopTimer = metrics.startTimer();
 
-      if (response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        return response.data.candidates[0].content.parts[0].text;
-      } else {
-        throw new Error('Invalid response format from Gemini API');
-      }
+    try {
+      const response = await provider.generate(prompt);
+      metrics.llmRequestsTotal.inc({ ...labels, result: 'success' });
+      metrics.llmTokensTotal.inc({ ...labels, direction: 'prompt' }, promptTokens);
+      metrics.llmTokensTotal.inc({ ...labels, direction: 'response' }, this.estimateTokens(response));
+      return response;
     } catch (error) {
-      if (error.response) {
-        Utils.log('error', `Gemini API error ${error.response.status}:`, error.response.data);
-      } else {
-        Utils.log('error', 'Gemini API request failed:', error.message);
-      }
+      metrics.llmRequestsTotal.inc({ ...labels, result: 'error' });
       throw error;
+    } finally {
+      metrics.llmRequestDuration.observe(labels, stopTimer());
     }
   }
 
+  /**
+   * Rough token estimate for the tokens-per-minute budget
+   * @param {string} prompt 
+   * @returns {number} Estimated token count
+   */
+  estimateTokens(prompt) {
+    return Math.ceil((prompt || '').length / RATE_LIMIT.CHARS_PER_TOKEN_ESTIMATE);
+  }
+
   /**
    * Tag articles with hierarchical categories
    * @param {Array<Object>} articles 
@@ -70,36 +94,27 @@ class LLMProcessor {
 
     Utils.log('info', `Tagging ${articles.length} articles`);
 
-    const taggedArticles = [];
-
-    for (let i = 0; i < articles.length; i++) {
-      const article = articles[i];
-      
+    // Requests are rate limited by the scheduler; results keep article order
+    const taggedArticles = await Promise.all(articles.map(async (article, i) => {
       try {
-        // Rate limiting
-        if (i > 0) {
-          await Utils.sleep(this.requestDelay);
-        }
-
         const tags = await this.getArticleTags(article);
-        
-        taggedArticles.push({
-          ...article,
-          tags: tags
-        });
 
         Utils.log('info', `Tagged article ${i + 1}/${articles.length}: "${Utils.truncate(article.title)}" -> [${tags.join(', ')}]`);
-        
+
+        return {
+          ...article,
+          tags: tags
+        };
       } catch (error) {
         Utils.log('error', `Failed to tag article "${Utils.truncate(article.title)}":`, error.message);
         
         // Add article with fallback tag
-        taggedArticles.push({
+        return {
           ...article,
           tags: FALLBACKS.TAGS
-        });
+        };
       }
-    }
+    }));
 
     Utils.log('info', `Successfully tagged ${taggedArticles.length} articles`);
     return taggedArticles;
@@ -123,10 +138,11 @@ class LLMProcessor {
     });
 
     const response = await Utils.retry(
-      () => this.makeGeminiRequest(prompt),
+      () => this.makeLLMRequest(prompt),
       config.getMaxRetries(),
       config.getRetryDelay(),
-      `Tagging article: ${Utils.truncate(article.title)}`
+      `Tagging article: ${Utils.truncate(article.title)}`,
+      'llm'
     );
 
     // Parse tags from response
@@ -144,6 +160,90 @@ class LLMProcessor {
     return processedTags.length > 0 ? processedTags : [tagConfig.defaultTag];
   }
 
+  /**
+   * Generate a one-paragraph Japanese summary for a single article
+   * @param {Object} article 
+   * @returns {Promise<string>} Japanese summary
+   */
+  async generateArticleSummary(article) {
+    const content = Utils.stripHtml(article.content || '').replace(/\s+/g, ' ');
+
+    const promptTemplate = await Utils.loadPrompt('article-summary.md');
+    const prompt = Utils.replacePromptVariables(promptTemplate, {
+      title: article.title,
+      description: article.description || '説明なし',
+      content: Utils.truncate(content, LIMITS.ARTICLE_SUMMARY_CONTENT_LENGTH) || 'なし'
+    });
+
+    const summary = await Utils.retry(
+      () => this.makeLLMRequest(prompt),
+      config.getMaxRetries(),
+      config.getRetryDelay(),
+      `Summarizing article: ${Utils.truncate(article.title)}`,
+      'llm'
+    );
+
+    return summary.trim();
+  }
+
+  /**
+   * Add a per-article AI summary to each article
+   * @param {Array<Object>} articles 
+   * @returns {Promise<Array<Object>>} Articles with aiSummary
+   */
+  async summarizeArticles(articles) {
+    return Promise.all(articles.map(async (article, i) => {
+      try {
+        const aiSummary = await this.generateArticleSummary(article);
+
+        Utils.log('info', `Summarized article ${i + 1}/${articles.length}: "${Utils.truncate(article.title)}"`);
+        return { ...article, aiSummary };
+      } catch (error) {
+        Utils.log('error', `Failed to summarize article "${Utils.truncate(article.title)}":`, error.message);
+        return article;
+      }
+    }));
+  }
+
+  /**
+   * Get the category path for an AI-tagged article (e.g. ai/llm).
+   * Falls back to the feed category when tagging found no known parent tag.
+   * @param {Object} article Article with tags from getArticleTags()
+   * @returns {string} Category path
+   */
+  getArticleTagPath(article) {
+    const availableParentTags = config.getAvailableParentTags();
+    const tags = article.tags || [];
+    const parentTag = tags.find(tag => availableParentTags.includes(tag));
+
+    if (!parentTag) {
+      return article.feedParentTag || DEFAULTS.PARENT_TAG;
+    }
+
+    const subtags = config.getSubtags(parentTag);
+    const subtag = tags.find(tag => subtags.includes(tag));
+
+    return subtag ? `${parentTag}/${subtag}` : parentTag;
+  }
+
+  /**
+   * Group AI-tagged articles by their tag path
+   * @param {Array<Object>} articles 
+   * @returns {Object} Articles grouped by tag path
+   */
+  groupArticlesByAITags(articles) {
+    const grouped = Utils.groupBy(articles, article => this.getArticleTagPath(article));
+
+    // Sort articles in each group by publication date (newest first)
+    for (const tag in grouped) {
+      grouped[tag].sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
+    }
+
+    Utils.log('info', `Grouped articles into ${Object.keys(grouped).length} AI tag categories`);
+
+    return grouped;
+  }
+
   /**
    * Group articles by parent tags (from feeds)
    * @param {Array<Object>} articles 
@@ -172,7 +272,86 @@ class LLMProcessor {
   }
 
   /**
-   * Generate Japanese summary for a group of articles
+   * Sort a group's articles by relevance score (see articleScorer.js)
+   * @param {string} tag
+   * @param {Array<Object>} articles
+   * @returns {Promise<Array<Object>>} Articles with `score`, highest first
+   */
+  async rankArticles(tag, articles) {
+    const importance = config.isLLMImportanceEnabled()
+      ? await this.rateArticleImportance(tag, articles)
+      : null;
+    return articleScorer.rankArticles(articles, importance);
+  }
+
+  /**
+   * Ask the LLM how important each article is (1-5), in batches.
+   * Articles in a batch that fails or is not understood stay unrated.
+   * @param {string} tag
+   * @param {Array<Object>} articles
+   * @returns {Promise<Map<Object, number>>} Importance per article
+   */
+  async rateArticleImportance(tag, articles) {
+    const importance = new Map();
+    const promptTemplate = await Utils.loadPrompt('article-importance.md');
+
+    const batches = [];
+    for (let i = 0; i < articles.length; i += SCORING.IMPORTANCE_BATCH_SIZE) {
+      batches.push(articles.slice(i, i + SCORING.IMPORTANCE_BATCH_SIZE));
+    }
+
+    await Promise.all(batches.map(async (batch) => {
+      const articleList = batch
+        .map((article, index) => `${index + 1}. ${article.title}\n   ${Utils.truncate(this.getArticleExcerpt(article), LIMITS.SUMMARY_PREVIEW_LENGTH)}`)
+        .join('\n\n');
+      const prompt = Utils.replacePromptVariables(promptTemplate, {
+        tag: tag,
+        articleList: articleList
+      });
+
+      try {
+        const response = await Utils.retry(
+          () => this.makeLLMRequest(prompt),
+          config.getMaxRetries(),
+          config.getRetryDelay(),
+          `Importance rating for ${tag}`,
+          'llm'
+        );
+
+        // One "number: rating" line per article
+        for (const [, number, rating] of response.matchAll(/(\d+)\s*[:：.]\s*([1-5])\b/g)) {
+          const article = batch[parseInt(number, 10) - 1];
+          if (article) {
+            importance.set(article, parseInt(rating, 10));
+          }
+        }
+      } catch (error) {
+        Utils.log('warn', `Could not rate article importance for ${tag}: ${error.message}`);
+      }
+    }));
+
+    Utils.log('info', `Rated importance of ${importance.size}/${articles.length} articles in ${tag}`);
+    return importance;
+  }
+
+  /**
+   * Text used to describe an article in group summary prompts:
+   * the beginning of the extracted article text when available, else the feed description
+   * @param {Object} article 
+   * @returns {string}
+   */
+  getArticleExcerpt(article) {
+    if (article.fullText && article.content) {
+      return Utils.truncate(article.content.replace(/\s+/g, ' '), LIMITS.SUMMARY_FULL_TEXT_EXCERPT_LENGTH);
+    }
+    return article.description || '説明なし';
+  }
+
+  /**
+   * Generate Japanese summary for a group of articles.
+   * In map-reduce mode (default) every article is covered: the articles are
+   * summarized in chunks that fit SUMMARY_CHUNK_TOKENS and the partial summaries
+   * are merged. In top mode only the first LIMITS.SUMMARY_ARTICLES are summarized.
    * @param {string} tag 
    * @param {Array<Object>} articles 
    * @returns {Promise<string>} Japanese summary
@@ -182,9 +361,68 @@ class LLMProcessor {
       return '';
     }
 
+    try {
+      const summary = config.getSummaryMode() === SUMMARY_MODES.TOP
+        ? await this.requestSummary(tag, articles.slice(0, LIMITS.SUMMARY_ARTICLES))
+        : await this.mapReduceSummary(tag, articles);
+
+      Utils.log('info', `Generated summary for ${tag} (${articles.length} articles)`);
+      
+      return summary;
+      
+    } catch (error) {
+      Utils.log('error', `Failed to generate summary for ${tag}:`, error.message);
+      return `${tag}カテゴリの記事 ${articles.length}件を収集しました。詳細は各記事をご確認ください。`;
+    }
+  }
+
+  /**
+   * Describe an article in group summary prompts
+   * @param {Object} article 
+   * @returns {string}
+   */
+  formatSummaryEntry(article) {
+    return `- ${article.title}\n  ${this.getArticleExcerpt(article)}`;
+  }
+
+  /**
+   * Split prompt entries into consecutive chunks within an estimated token budget.
+   * An entry larger than the budget gets a chunk of its own.
+   * @param {Array<string>} entries 
+   * @param {number} maxTokens 
+   * @returns {Array<Array<string>>} Chunks in entry order
+   */
+  chunkByTokens(entries, maxTokens) {
+    const chunks = [];
+    let chunk = [];
+    let chunkTokens = 0;
+
+    for (const entry of entries) {
+      const tokens = this.estimateTokens(entry);
+      if (chunk.length > 0 && chunkTokens + tokens > maxTokens) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkTokens = 0;
+      }
+      chunk.push(entry);
+      chunkTokens += tokens;
+    }
+
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  /**
+   * Summarize a list of articles in one request
+   * @param {string} tag 
+   * @param {Array<Object>} articles 
+   * @returns {Promise<string>} Japanese summary
+   */
+  async requestSummary(tag, articles) {
     const articleList = articles
-      .slice(0, LIMITS.SUMMARY_ARTICLES) // Limit to top 10 articles to avoid token limits
-      .map(article => `- ${article.title}\n  ${article.description || '説明なし'}`)
+      .map(article => this.formatSummaryEntry(article))
       .join('\n\n');
 
     // Load prompt template and replace variables
@@ -194,23 +432,165 @@ class LLMProcessor {
       articleList: articleList
     });
 
-    try {
-      await Utils.sleep(this.requestDelay);
-      
-      const summary = await Utils.retry(
-        () => this.makeGeminiRequest(prompt),
+    const summary = await Utils.retry(
+      () => this.makeLLMRequest(prompt),
+      config.getMaxRetries(),
+      config.getRetryDelay(),
+      `Generating summary for tag: ${tag}`,
+      'llm'
+    );
+    return summary.trim();
+  }
+
+  /**
+   * Summarize every article of a group: one partial summary per chunk of
+   * articles (map), then the partial summaries merged into one (reduce).
+   * A group that fits into one chunk is summarized in a single request.
+   * @param {string} tag 
+   * @param {Array<Object>} articles 
+   * @returns {Promise<string>} Japanese summary
+   * @throws {Error} When no chunk could be summarized or the merge fails
+   */
+  async mapReduceSummary(tag, articles) {
+    const maxTokens = config.getSummaryChunkTokens();
+    const chunks = this.chunkByTokens(articles.map(article => this.formatSummaryEntry(article)), maxTokens);
+
+    if (chunks.length === 1) {
+      return this.requestSummary(tag, articles);
+    }
+
+    Utils.log('info', `Summarizing ${tag} in ${chunks.length} chunks (${articles.length} articles)`);
+
+    const promptTemplate = await Utils.loadPrompt('summarization-chunk.md');
+    const partials = await Promise.all(chunks.map(async (chunk, i) => {
+      const prompt = Utils.replacePromptVariables(promptTemplate, {
+        tag: tag,
+        part: String(i + 1),
+        parts: String(chunks.length),
+        articleList: chunk.join('\n\n')
+      });
+
+      try {
+        const partial = await Utils.retry(
+          () => this.makeLLMRequest(prompt),
+          config.getMaxRetries(),
+          config.getRetryDelay(),
+          `Summarizing chunk ${i + 1}/${chunks.length} of ${tag}`,
+          'llm'
+        );
+        return partial.trim();
+      } catch (error) {
+        // The merged summary still covers the other chunks
+        Utils.log('warn', `Skipping chunk ${i + 1}/${chunks.length} of ${tag}: ${error.message}`);
+        return '';
+      }
+    }));
+
+    const summaries = partials.filter(Boolean);
+    if (summaries.length === 0) {
+      throw new Error(`No chunk of ${tag} could be summarized`);
+    }
+
+    return this.mergeSummaries(tag, summaries, articles.length);
+  }
+
+  /**
+   * Merge partial summaries into one. Partial summaries that do not fit into
+   * one request are merged in groups first, level by level.
+   * @param {string} tag 
+   * @param {Array<string>} summaries Partial summaries
+   * @param {number} count Number of articles the partial summaries cover
+   * @returns {Promise<string>} Japanese summary
+   */
+  async mergeSummaries(tag, summaries, count) {
+    const maxTokens = config.getSummaryChunkTokens();
+    const promptTemplate = await Utils.loadPrompt('summarization-merge.md');
+
+    const merge = async (group) => {
+      const prompt = Utils.replacePromptVariables(promptTemplate, {
+        tag: tag,
+        count: String(count),
+        summaryList: group.map((summary, i) => `### ${i + 1}\n${summary}`).join('\n\n')
+      });
+      const merged = await Utils.retry(
+        () => this.makeLLMRequest(prompt),
         config.getMaxRetries(),
         config.getRetryDelay(),
-        `Generating summary for tag: ${tag}`
+        `Merging ${group.length} partial summaries of ${tag}`,
+        'llm'
       );
+      return merged.trim();
+    };
 
-      Utils.log('info', `Generated summary for ${tag} (${articles.length} articles)`);
-      
+    return merge(await this.reduceToBudget(summaries, merge, maxTokens));
+  }
+
+  /**
+   * Merge entries in token-budgeted groups, level by level, until they fit
+   * into one request
+   * @param {Array<string>} entries 
+   * @param {Function} merge (group) => Promise<string> merging one group
+   * @param {number} maxTokens 
+   * @returns {Promise<Array<string>>} Entries that fit into one request
+   */
+  async reduceToBudget(entries, merge, maxTokens) {
+    let level = entries;
+    let groups = this.chunkByTokens(level, maxTokens);
+
+    // Stop once a level no longer shrinks (every entry alone exceeds the budget)
+    while (groups.length > 1 && groups.length < level.length) {
+      level = await Promise.all(groups.map(group => (group.length === 1 ? group[0] : merge(group))));
+      groups = this.chunkByTokens(level, maxTokens);
+    }
+
+    return level;
+  }
+
+  /**
+   * Generate the trend summary of a category or watch word for a weekly or
+   * monthly digest from its daily summaries and top articles. Daily summaries
+   * that do not fit into one request are condensed into sub-period summaries first.
+   * @param {string} name Category or watch word
+   * @param {string} period Period label (e.g. 2024-W10)
+   * @param {Array<{date: string, summary: string}>} dailySummaries Oldest first
+   * @param {Array<Object>} articles Top articles of the period
+   * @param {number} count Number of articles in the period
+   * @returns {Promise<string>} Japanese trend summary
+   */
+  async generateDigestSummary(name, period, dailySummaries, articles, count) {
+    const promptTemplate = await Utils.loadPrompt('digest-summary.md');
+    const articleList = articles
+      .slice(0, DIGEST.PROMPT_ARTICLES)
+      .map(article => `- ${article.title}${article.description ? `\n  ${article.description}` : ''}`)
+      .join('\n');
+
+    const summarize = async (entries) => {
+      const prompt = Utils.replacePromptVariables(promptTemplate, {
+        name: name,
+        period: period,
+        count: String(count),
+        dailySummaries: entries.join('\n\n'),
+        articleList: articleList
+      });
+      const summary = await Utils.retry(
+        () => this.makeLLMRequest(prompt),
+        config.getMaxRetries(),
+        config.getRetryDelay(),
+        `Digest summary for ${name} (${period})`,
+        'llm'
+      );
       return summary.trim();
-      
+    };
+
+    try {
+      const entries = dailySummaries.map(({ date, summary }) => `### ${date}\n${summary}`);
+      const summary = await summarize(await this.reduceToBudget(entries, summarize, config.getSummaryChunkTokens()));
+
+      Utils.log('info', `Generated digest summary for ${name} (${count} articles)`);
+      return summary;
     } catch (error) {
-      Utils.log('error', `Failed to generate summary for ${tag}:`, error.message);
-      return `${tag}カテゴリの記事 ${articles.length}件を収集しました。詳細は各記事をご確認ください。`;
+      Utils.log('error', `Failed to generate digest summary for ${name}: ${error.message}`);
+      return `${name}に関する記事 ${count}件を収集しました。詳細は各記事をご確認ください。`;
     }
   }
 
@@ -225,41 +605,60 @@ class LLMProcessor {
       return {};
     }
 
-    Utils.log('info', `Starting parent tag-based processing for ${articles.length} articles`);
+    let groupedArticles;
 
-    // Skip individual article tagging, use parent tags from feeds
-    // Group directly by parent tags
-    const groupedArticles = this.groupArticlesByParentTags(articles);
+    if (config.isArticleTaggingEnabled()) {
+      // Opt-in: tag and summarize each article, then group by AI tags
+      Utils.log('info', `Starting per-article AI processing for ${articles.length} articles`);
+      const taggedArticles = await this.tagArticles(articles);
+      const summarizedArticles = await this.summarizeArticles(taggedArticles);
+      groupedArticles = this.groupArticlesByAITags(summarizedArticles);
+    } else {
+      Utils.log('info', `Starting parent tag-based processing for ${articles.length} articles`);
 
-    // Generate summaries for each parent tag group
-    const processedData = {};
+      // Skip individual article tagging, use parent tags from feeds
+      // Group directly by parent tags
+      groupedArticles = this.groupArticlesByParentTags(articles);
+    }
 
-    for (const [parentTag, tagArticles] of Object.entries(groupedArticles)) {
-      if (tagArticles.length === 0) {
-        continue;
-      }
+    // Rank each group by relevance, so the top articles lead both the file and the summary
+    let groups = Object.entries(groupedArticles).filter(([, tagArticles]) => tagArticles.length > 0);
+    if (config.isScoringEnabled()) {
+      const rankedGroups = await Promise.all(
+        groups.map(([parentTag, tagArticles]) => this.rankArticles(parentTag, tagArticles))
+      );
+      groups = groups.map(([parentTag], i) => [parentTag, rankedGroups[i]]);
+    }
 
-      const summary = await this.generateSummary(parentTag, tagArticles);
-      
+    // Generate summaries for each parent tag group (run through the request scheduler)
+    const summaries = await Promise.all(
+      groups.map(([parentTag, tagArticles]) => this.generateSummary(parentTag, tagArticles))
+    );
+
+    const processedData = {};
+
+    groups.forEach(([parentTag, tagArticles], i) => {
       processedData[parentTag] = {
         articles: tagArticles,
-        summary: summary,
+        summary: summaries[i],
         count: tagArticles.length
       };
-    }
+    });
 
-    Utils.log('info', `Parent tag processing complete. Generated ${Object.keys(processedData).length} parent tag summaries`);
+    Utils.log('info', `Tag processing complete. Generated ${Object.keys(processedData).length} category summaries`);
     
     return processedData;
   }
 
   /**
-   * Filter articles that contain any of the watch words
+   * Filter articles that match any of the watch words
    * @param {Array<Object>} articles 
-   * @param {Array<string>} watchWords 
-   * @returns {Object} Articles grouped by keywords
+   * @param {Array<Object>} watchWords Compiled watch words (watchWordMatcher.compileAll())
+   * @param {Map<Object, Set<string>>} rejectedBy Watch words the LLM check rejected
+   *   each article for; those are skipped
+   * @returns {Object} Articles grouped by watch word name
    */
-  filterArticlesByKeywords(articles, watchWords) {
+  filterArticlesByKeywords(articles, watchWords, rejectedBy = new Map()) {
     if (!watchWords || watchWords.length === 0) {
       return {};
     }
@@ -267,16 +666,15 @@ class LLMProcessor {
     const keywordArticles = {};
 
     for (const article of articles) {
-      const title = (article.title || '').toLowerCase();
-      const description = (article.description || '').toLowerCase();
-      const content = title + ' ' + description;
+      const text = watchWordMatcher.getArticleText(article);
 
       // Check each watch word
-      for (const keyword of watchWords) {
-        const keywordLower = keyword.toLowerCase();
-        
-        // Check if article content contains the keyword
-        if (content.includes(keywordLower)) {
+      for (const watchWord of watchWords) {
+        if (rejectedBy.get(article)?.has(watchWord.name)) {
+          continue;
+        }
+        if (watchWordMatcher.matches(article, watchWord, text)) {
+          const keyword = watchWord.name;
           if (!keywordArticles[keyword]) {
             keywordArticles[keyword] = [];
           }
@@ -298,6 +696,84 @@ class LLMProcessor {
     return keywordArticles;
   }
 
+  /**
+   * Ask the LLM which matched articles are really about a watch word
+   * (for watch words with `llmCheck`). If the check fails, every match is kept.
+   * @param {Object} watchWord Compiled watch word
+   * @param {Array<Object>} articles Articles matched by terms and patterns
+   * @returns {Promise<Array<Object>>} Relevant articles
+   */
+  async confirmKeywordMatches(watchWord, articles) {
+    const articleList = articles
+      .map((article, index) => `${index + 1}. ${article.title}\n   ${this.getArticleExcerpt(article)}`)
+      .join('\n\n');
+
+    const promptTemplate = await Utils.loadPrompt('watch-word-check.md');
+    const prompt = Utils.replacePromptVariables(promptTemplate, {
+      keyword: watchWord.name,
+      description: watchWord.description || watchWord.name,
+      articleList: articleList
+    });
+
+    try {
+      const response = await Utils.retry(
+        () => this.makeLLMRequest(prompt),
+        RETRY.KEYWORD_SUMMARY_RETRIES,
+        RETRY.KEYWORD_SUMMARY_RETRY_DELAY,
+        `Watch word check for "${watchWord.name}"`,
+        'keyword_summary'
+      );
+
+      const numbers = response.match(/\d+/g);
+      if (!numbers) {
+        Utils.log('warn', `Could not read watch word check for "${watchWord.name}", keeping all ${articles.length} matches`);
+        return articles;
+      }
+
+      const relevant = new Set(numbers.map(number => parseInt(number, 10)));
+      const confirmed = articles.filter((_, index) => relevant.has(index + 1));
+      Utils.log('info', `Watch word check for "${watchWord.name}": ${confirmed.length}/${articles.length} articles relevant`);
+      return confirmed;
+    } catch (error) {
+      Utils.log('warn', `Watch word check for "${watchWord.name}" failed, keeping all matches: ${error.message}`);
+      return articles;
+    }
+  }
+
+  /**
+   * Run the LLM check of every watch word with `llmCheck` over its matches.
+   * Rejected articles are removed from the groups and recorded in rejectedBy.
+   * @param {Object} keywordArticles Articles grouped by watch word name (updated in place)
+   * @param {Array<Object>} watchWords Compiled watch words
+   * @param {Map<Object, Set<string>>} rejectedBy Watch words each article was rejected for
+   * @returns {Promise<Array<Object>>} Articles rejected by this check
+   */
+  async checkKeywordMatches(keywordArticles, watchWords, rejectedBy) {
+    const checkedWatchWords = watchWords.filter(watchWord => watchWord.llmCheck && keywordArticles[watchWord.name]);
+    const confirmedArticles = await Promise.all(
+      checkedWatchWords.map(watchWord => this.confirmKeywordMatches(watchWord, keywordArticles[watchWord.name]))
+    );
+    const rejected = [];
+
+    checkedWatchWords.forEach((watchWord, i) => {
+      const confirmed = new Set(confirmedArticles[i]);
+      for (const article of keywordArticles[watchWord.name]) {
+        if (!confirmed.has(article)) {
+          rejectedBy.set(article, (rejectedBy.get(article) || new Set()).add(watchWord.name));
+          rejected.push(article);
+        }
+      }
+
+      if (confirmedArticles[i].length > 0) {
+        keywordArticles[watchWord.name] = confirmedArticles[i];
+      } else {
+        delete keywordArticles[watchWord.name];
+      }
+    });
+
+    return rejected;
+  }
+
   /**
    * Generate keyword-specific summary
    * @param {string} keyword 
@@ -312,7 +788,7 @@ class LLMProcessor {
     Utils.log('info', `Generating keyword summary for "${keyword}" (${articles.length} articles)`);
 
     const articleList = articles
-      .map(article => `- ${article.title}\n  ${article.description || '説明なし'}`)
+      .map(article => this.formatSummaryEntry(article))
       .join('\n\n');
 
     // Load prompt template and replace variables
@@ -323,11 +799,12 @@ class LLMProcessor {
     });
 
     try {
-      await Utils.sleep(this.requestDelay);
       const response = await Utils.retry(
-        () => this.makeGeminiRequest(prompt),
+        () => this.makeLLMRequest(prompt),
         RETRY.KEYWORD_SUMMARY_RETRIES,
-        RETRY.KEYWORD_SUMMARY_RETRY_DELAY
+        RETRY.KEYWORD_SUMMARY_RETRY_DELAY,
+        `Keyword summary for "${keyword}"`,
+        'keyword_summary'
       );
       
       const summary = response.trim();
@@ -416,7 +893,7 @@ class LLMProcessor {
    */
   async processKeywordArticles(articles) {
     const config = require('./config');
-    const watchWords = config.getWatchWords();
+    const watchWords = watchWordMatcher.compileAll(config.getWatchWords());
 
     if (!watchWords || watchWords.length === 0) {
       Utils.log('info', 'No watch words configured, skipping keyword processing');
@@ -428,32 +905,44 @@ class LLMProcessor {
       return {};
     }
 
-    Utils.log('info', `Starting keyword processing for ${articles.length} articles with ${watchWords.length} watch words: ${watchWords.join(', ')}`);
+    Utils.log('info', `Starting keyword processing for ${articles.length} articles with ${watchWords.length} watch words: ${watchWords.map(watchWord => watchWord.name).join(', ')}`);
+
+    // Filter articles by keywords and let the LLM drop false positives for
+    // watch words that ask for it; a rejected article is matched again
+    // against the watch words it was not rejected for
+    const keywordArticles = {};
+    const rejectedBy = new Map();
+    let pending = articles;
+
+    while (pending.length > 0) {
+      const matched = this.filterArticlesByKeywords(pending, watchWords, rejectedBy);
+      pending = await this.checkKeywordMatches(matched, watchWords, rejectedBy);
 
-    // Filter articles by keywords
-    const keywordArticles = this.filterArticlesByKeywords(articles, watchWords);
+      for (const [keyword, matchedArticles] of Object.entries(matched)) {
+        keywordArticles[keyword] = (keywordArticles[keyword] || []).concat(matchedArticles);
+      }
+    }
 
     if (Object.keys(keywordArticles).length === 0) {
       Utils.log('info', 'No articles matched any watch words');
       return {};
     }
 
-    // Generate summaries for each keyword
-    const processedData = {};
+    // Generate summaries for each keyword (run through the request scheduler)
+    const groups = Object.entries(keywordArticles).filter(([, keywordMatchedArticles]) => keywordMatchedArticles.length > 0);
+    const summaries = await Promise.all(
+      groups.map(([keyword, keywordMatchedArticles]) => this.generateKeywordSummary(keyword, keywordMatchedArticles))
+    );
 
-    for (const [keyword, keywordMatchedArticles] of Object.entries(keywordArticles)) {
-      if (keywordMatchedArticles.length === 0) {
-        continue;
-      }
+    const processedData = {};
 
-      const summary = await this.generateKeywordSummary(keyword, keywordMatchedArticles);
-      
+    groups.forEach(([keyword, keywordMatchedArticles], i) => {
       processedData[keyword] = {
         articles: keywordMatchedArticles,
-        summary: summary,
+        summary: summaries[i],
         count: keywordMatchedArticles.length
       };
-    }
+    });
 
     Utils.log('info', `Keyword processing complete. Generated ${Object.keys(processedData).length} keyword summaries`);
     
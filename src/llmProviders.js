@@ -0,0 +1,179 @@
+/**
+ * LLM Providers
+ * Interchangeable text-generation backends used by LLMProcessor.
+ * Every provider implements `generate(prompt) -> Promise<string>`.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const Utils = require('./utils');
+const config = require('./config');
+const { TIMEOUT, LLM_PROVIDERS } = require('./constants');
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = LLM_PROVIDERS.GEMINI;
+    this.apiKey = options.apiKey;
+    this.model = options.model;
+    this.baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
+  }
+
+  /**
+   * @param {string} prompt
+   * @returns {Promise<string>} Response text
+   */
+  async generate(prompt) {
+    const requestBody = {
+      contents: [{
+        parts: [{
+          text: prompt
+        }]
+      }]
+    };
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}?key=${this.apiKey}`,
+        requestBody,
+        {
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          timeout: TIMEOUT.GEMINI_API
+        }
+      );
+
+      if (response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
+        return response.data.candidates[0].content.parts[0].text;
+      } else {
+        throw new Error('Invalid response format from Gemini API');
+      }
+    } catch (error) {
+      if (error.response) {
+        Utils.log('error', `Gemini API error ${error.response.status}:`, error.response.data);
+      } else {
+        Utils.log('error', 'Gemini API request failed:', error.message);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions API
+ * (OpenAI, llama.cpp server, Ollama, vLLM, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = LLM_PROVIDERS.OPENAI;
+    this.apiKey = options.apiKey;
+    this.model = options.model;
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * @param {string} prompt
+   * @returns {Promise<string>} Response text
+   */
+  async generate(prompt) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        {
+          model: this.model,
+          messages: [{ role: 'user', content: prompt }]
+        },
+        {
+          headers,
+          timeout: TIMEOUT.GEMINI_API
+        }
+      );
+
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (typeof text === 'string' && text.length > 0) {
+        return text;
+      }
+      throw new Error('Invalid response format from chat completions API');
+    } catch (error) {
+      if (error.response) {
+        Utils.log('error', `Chat completions API error ${error.response.status}:`, error.response.data);
+      } else {
+        Utils.log('error', 'Chat completions API request failed:', error.message);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Deterministic offline provider for tests and dry runs.
+ * Returns the configured response, or a stable digest of the prompt.
+ */
+class StubProvider {
+  constructor(options = {}) {
+    this.name = LLM_PROVIDERS.STUB;
+    this.model = 'stub';
+    this.response = options.response || null;
+    this.calls = [];
+  }
+
+  /**
+   * @param {string} prompt
+   * @returns {Promise<string>} Response text
+   */
+  async generate(prompt) {
+    this.calls.push(prompt);
+
+    if (this.response) {
+      return this.response;
+    }
+
+    const digest = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+    return `stub response ${digest}`;
+  }
+}
+
+/**
+ * Create the provider selected by LLM_PROVIDER
+ * @param {string} providerName
+ * @returns {Object} Provider instance
+ */
+function createLLMProvider(providerName = config.getLLMProvider()) {
+  switch (providerName) {
+    case LLM_PROVIDERS.GEMINI:
+      return new GeminiProvider({
+        apiKey: config.getGeminiApiKey(),
+        model: config.getGeminiModel()
+      });
+
+    case LLM_PROVIDERS.OPENAI:
+      return new OpenAICompatibleProvider({
+        apiKey: config.getOpenAIApiKey(),
+        model: config.getOpenAIModel(),
+        baseUrl: config.getOpenAIBaseUrl()
+      });
+
+    case LLM_PROVIDERS.STUB:
+      return new StubProvider({
+        response: config.getStubLLMResponse()
+      });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${providerName} (expected one of ${Object.values(LLM_PROVIDERS).join(', ')})`);
+  }
+}
+
+module.exports = {
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  StubProvider,
+  createLLMProvider
+};
@@ -0,0 +1,173 @@
+/**
+ * Logger
+ * Leveled logging as text or JSON lines, with an optional size-rotated log file.
+ * Context set with runWithContext() (e.g. the run ID) is attached to every
+ * entry logged inside that async call chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+const { LOGGING } = require('./constants');
+
+class Logger {
+  constructor() {
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function with fields attached to all of its log entries
+   * @param {Object} fields e.g. { runId }
+   * @param {Function} fn
+   * @returns {any} Result of fn
+   */
+  runWithContext(fields, fn) {
+    return this.context.run({ ...this.getContext(), ...fields }, fn);
+  }
+
+  /**
+   * Fields of the current logging context
+   * @returns {Object}
+   */
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  /**
+   * Check whether a level passes the LOG_LEVEL threshold
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    const threshold = LOGGING.LEVELS[config.getLogLevel()] ?? LOGGING.LEVELS.info;
+    return (LOGGING.LEVELS[level] ?? LOGGING.LEVELS.info) >= threshold;
+  }
+
+  /**
+   * Log a message
+   * @param {string} level debug | info | warn | error
+   * @param {string} message
+   * @param {any} data Extra value printed after the message
+   * @param {Object} fields Structured fields (JSON output only)
+   */
+  log(level, message, data = null, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      ...this.getContext(),
+      ...fields
+    };
+    if (data !== null && data !== undefined && data !== '') {
+      entry.data = this.serialize(data);
+    }
+
+    const json = this.stringify(entry);
+    const line = config.getLogFormat() === 'json'
+      ? json
+      : this.formatText(entry);
+
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+
+    const logFile = config.getLogFile();
+    if (logFile) {
+      this.appendToFile(logFile, json);
+    }
+  }
+
+  /**
+   * Human-readable line: [timestamp] [LEVEL] [run:id] message data
+   * @param {Object} entry
+   * @returns {string}
+   */
+  formatText(entry) {
+    const run = entry.runId ? ` [run:${entry.runId}]` : '';
+    let line = `[${entry.timestamp}] [${entry.level.toUpperCase()}]${run} ${entry.message}`;
+
+    if (entry.data !== undefined) {
+      line += ` ${typeof entry.data === 'string' ? entry.data : this.stringify(entry.data)}`;
+    }
+
+    return line;
+  }
+
+  /**
+   * Make errors and other values JSON-friendly
+   * @param {any} data
+   * @returns {any}
+   */
+  serialize(data) {
+    if (data instanceof Error) {
+      return { message: data.message, stack: data.stack };
+    }
+    return data;
+  }
+
+  /**
+   * JSON.stringify that survives circular structures
+   * @param {any} value
+   * @returns {string}
+   */
+  stringify(value) {
+    try {
+      return JSON.stringify(value);
+    } catch (error) {
+      return JSON.stringify({ ...value, data: String(value.data) });
+    }
+  }
+
+  /**
+   * Append a line to the log file, rotating it first when it would exceed LOG_MAX_SIZE
+   * (app.log -> app.log.1 -> app.log.2 ..., keeping LOG_MAX_FILES rotated files)
+   * @param {string} logFile
+   * @param {string} line
+   */
+  appendToFile(logFile, line) {
+    try {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+
+      const size = fs.existsSync(logFile) ? fs.statSync(logFile).size : 0;
+      if (size > 0 && size + Buffer.byteLength(line) + 1 > config.getLogMaxSize()) {
+        this.rotate(logFile);
+      }
+
+      fs.appendFileSync(logFile, line + '\n', 'utf8');
+    } catch (error) {
+      console.error(`Could not write log file ${logFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shift rotated files up by one and move the current file to .1
+   * @param {string} logFile
+   */
+  rotate(logFile) {
+    const maxFiles = config.getLogMaxFiles();
+
+    fs.rmSync(`${logFile}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${logFile}.${i}`)) {
+        fs.renameSync(`${logFile}.${i}`, `${logFile}.${i + 1}`);
+      }
+    }
+
+    if (maxFiles > 0) {
+      fs.renameSync(logFile, `${logFile}.1`);
+    } else {
+      fs.rmSync(logFile, { force: true });
+    }
+  }
+}
+
+module.exports = new Logger();
@@ -5,7 +5,257 @@
  * Handles command line interface for RSS feeder
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Apply per-run output options by setting their environment variables and
+ * removing them from argv. This has to happen before config is loaded,
+ * because config validates the API keys the chosen backend needs.
+ *   --output <backend>     Output backend for this run
+ *   --dry-run              Print rendered files instead of writing them
+ *   --dry-run-dir [dir]    Write rendered files to dir (default: a new temp dir)
+ * @param {Array<string>} argv process.argv
+ */
+function applyRunOptions(argv) {
+  const outputIndex = argv.indexOf("--output");
+  if (outputIndex !== -1 && argv[outputIndex + 1]) {
+    process.env.OUTPUT_BACKEND = argv[outputIndex + 1];
+    argv.splice(outputIndex, 2);
+  }
+
+  const dryRunIndex = argv.indexOf("--dry-run");
+  if (dryRunIndex !== -1) {
+    process.env.DRY_RUN = "true";
+    argv.splice(dryRunIndex, 1);
+  }
+
+  const dryRunDirIndex = argv.indexOf("--dry-run-dir");
+  if (dryRunDirIndex !== -1) {
+    const next = argv[dryRunDirIndex + 1];
+    const hasValue = next !== undefined && !next.startsWith("--");
+    process.env.DRY_RUN = "true";
+    process.env.DRY_RUN_DIRECTORY = hasValue
+      ? next
+      : fs.mkdtempSync(path.join(os.tmpdir(), "rss-dry-run-"));
+    argv.splice(dryRunDirIndex, hasValue ? 2 : 1);
+  }
+}
+
+if (require.main === module) {
+  applyRunOptions(process.argv);
+}
+
 const RSSFeeder = require('./rssFeeder');
+const Utils = require('./utils');
+
+/**
+ * Split CLI arguments into positionals and --option values
+ * @param {Array<string>} args
+ * @returns {{positionals: Array<string>, options: Object}}
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith("--")) {
+      const key = arg.slice(2);
+      const next = args[i + 1];
+      if (next !== undefined && !next.startsWith("--")) {
+        options[key] = next;
+        i++;
+      } else {
+        options[key] = true;
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * Parse a --since / --until value. A date (YYYY-MM-DD) is a whole day in
+ * TIMEZONE, so --until includes that day; a date-time is used as given.
+ * @param {string} value
+ * @param {string} name Option name for error messages
+ * @param {boolean} endOfDay Resolve a date to the end of that day
+ * @returns {Date}
+ */
+function parseDateArgument(value, name, endOfDay = false) {
+  if (typeof value !== "string") {
+    throw new Error(`--${name} needs a date (YYYY-MM-DD) or ISO date-time`);
+  }
+
+  const dateOnly = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    const [year, month, day] = dateOnly.slice(1).map(Number);
+    const calendarDay = new Date(Date.UTC(year, month - 1, day));
+    if (calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day) {
+      throw new Error(`Invalid --${name} date: ${value}`);
+    }
+    return Utils.startOfDayInTimezone(endOfDay ? Utils.addDaysToDateKey(value, 1) : value);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --${name} date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Build the run window from --since / --until
+ * @param {Object} options Parsed CLI options
+ * @returns {{since: Date|null, until: Date|null}}
+ */
+function parseRunWindow(options) {
+  const since = options.since !== undefined ? parseDateArgument(options.since, "since") : null;
+  const until = options.until !== undefined ? parseDateArgument(options.until, "until", true) : null;
+
+  if (since && until && since >= until) {
+    throw new Error("--since must be before --until");
+  }
+
+  return { since, until };
+}
+
+/**
+ * Print configured feeds with enabled state and last fetch status
+ * @param {Array<Object>} feeds Feed entries from feedManager.listFeeds()
+ */
+function printFeedList(feeds) {
+  if (feeds.length === 0) {
+    console.log("No feeds configured in config/feeds.json");
+    return;
+  }
+
+  feeds.forEach((feed) => {
+    const marker = feed.enabled ? "[x]" : "[ ]";
+    const category = feed.category || "(default)";
+    let status = "never fetched";
+    if (feed.status) {
+      const when = new Date(feed.status.lastFetchedAt).toLocaleString();
+      status = feed.status.lastResult === "error"
+        ? `error at ${when}: ${feed.status.lastError}`
+        : `${feed.status.lastResult} at ${when} (${feed.status.itemCount} items)`;
+    }
+    console.log(`${marker} ${feed.name}  [${category}]`);
+    console.log(`    ${feed.url}`);
+    console.log(`    last fetch: ${status}`);
+  });
+
+  const enabledCount = feeds.filter((feed) => feed.enabled).length;
+  console.log(`\n${enabledCount}/${feeds.length} feeds enabled`);
+}
+
+/**
+ * Print per-feed fetch health
+ * @param {Array<Object>} feeds Feed entries from feedManager.listFeeds()
+ */
+function printFeedStatus(feeds) {
+  const formatTime = (value) => (value ? new Date(value).toLocaleString() : "never");
+
+  feeds.forEach((feed) => {
+    const status = feed.status || {};
+    let health = feed.health;
+    if (feed.health === "failing") {
+      health = `failing (${status.consecutiveFailures} in a row)`;
+    } else if (feed.health === "backoff") {
+      health = `backing off until ${formatTime(status.nextAttemptAt)} (${status.consecutiveFailures} failures in a row)`;
+    }
+
+    console.log(`${feed.enabled ? "[x]" : "[ ]"} ${feed.name}: ${health}`);
+    console.log(`    ${feed.url}`);
+    if (feed.status) {
+      console.log(`    last success: ${formatTime(status.lastSuccessAt)}, last HTTP status: ${status.lastHttpStatus ?? "-"}, items: ${status.itemCount ?? "-"}`);
+      if (status.lastError) {
+        console.log(`    last error: ${status.lastError}`);
+      }
+    }
+  });
+
+  const unhealthy = feeds.filter((feed) => feed.health === "failing" || feed.health === "backoff");
+  console.log(`\n${unhealthy.length}/${feeds.length} feeds failing`);
+}
+
+/**
+ * Handle "feeds" subcommands
+ * @param {Array<string>} args Arguments after "feeds"
+ */
+async function handleFeedsCommand(args) {
+  const feedManager = require('./feedManager');
+  const { positionals, options } = parseArgs(args.slice(1));
+  const subcommand = args[0];
+
+  switch (subcommand) {
+    case "list":
+      printFeedList(await feedManager.listFeeds());
+      break;
+
+    case "status":
+      printFeedStatus(await feedManager.listFeeds());
+      break;
+
+    case "add": {
+      const url = positionals[0];
+      if (!url) {
+        throw new Error("Usage: feeds add <url> [--category tech/go] [--name NAME] [--description TEXT] [--disabled] [--full-text]");
+      }
+      await feedManager.addFeed(url, {
+        name: typeof options.name === "string" ? options.name : undefined,
+        category: typeof options.category === "string" ? options.category : undefined,
+        description: typeof options.description === "string" ? options.description : undefined,
+        enabled: !options.disabled,
+        fetchFullText: Boolean(options["full-text"])
+      });
+      break;
+    }
+
+    case "remove":
+    case "enable":
+    case "disable": {
+      const identifier = positionals.join(" ");
+      if (!identifier) {
+        throw new Error(`Usage: feeds ${subcommand} <name|url>`);
+      }
+      if (subcommand === "remove") {
+        feedManager.removeFeed(identifier);
+      } else {
+        feedManager.setFeedEnabled(identifier, subcommand === "enable");
+      }
+      break;
+    }
+
+    case "import": {
+      const filePath = positionals[0];
+      if (!filePath) {
+        throw new Error("Usage: feeds import <file.opml> [--replace]");
+      }
+      await feedManager.importOpml(filePath, { replace: Boolean(options.replace) });
+      break;
+    }
+
+    case "export": {
+      const opml = feedManager.exportOpml();
+      const filePath = positionals[0];
+      if (filePath) {
+        const Utils = require('./utils');
+        await Utils.writeFile(filePath, opml);
+      } else {
+        process.stdout.write(opml + "\n");
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown feeds subcommand: ${subcommand || "(none)"}. Use list, status, add, remove, enable, disable, import or export.`);
+  }
+}
 
 // CLI handling
 async function main() {
@@ -23,6 +273,39 @@ async function main() {
       await feeder.testRun();
       break;
 
+    case "seen":
+      if (args[1] !== "purge") {
+        console.error(`Unknown seen subcommand: ${args[1] || "(none)"}. Use "seen purge".`);
+        process.exit(1);
+      }
+      await feeder.purgeSeenArticles();
+      break;
+
+    case "feeds":
+      await handleFeedsCommand(args.slice(1));
+      break;
+
+    case "backfill": {
+      const window = parseRunWindow(parseArgs(args.slice(1)).options);
+      if (!window.since) {
+        throw new Error("Usage: backfill --since <YYYY-MM-DD> [--until <YYYY-MM-DD>]");
+      }
+      await feeder.run({ ...window, backfill: true });
+      break;
+    }
+
+    case "digest": {
+      const { options } = parseArgs(args.slice(1));
+      if (typeof options.period !== "string") {
+        throw new Error("Usage: digest --period week|month [--date <YYYY-MM-DD>]");
+      }
+      const dateKey = options.date !== undefined
+        ? Utils.getDateKey(parseDateArgument(options.date, "date"))
+        : undefined;
+      await feeder.generateDigest(options.period, dateKey);
+      break;
+    }
+
     case "daemon":
       const { startDaemon } = require('./daemon');
       await startDaemon();
@@ -33,33 +316,104 @@ async function main() {
 RSS Feeder - Personal RSS Processing Tool
 
 Usage:
-  node src/main.js [command]
+  node src/main.js [command] [--output obsidian|filesystem] [--dry-run | --dry-run-dir [dir]]
+                   [--since <date>] [--until <date>]
 
 Commands:
   (no command)  Run the full RSS processing pipeline once
+  backfill --since <date> [--until <date>]
+                Regenerate past days: write the articles published on each day
+                into that day's RSS/<date>/ folder (already processed articles included)
+  digest --period week|month [--date <date>]
+                Summarize the trends of a week or month per category and watch word
+                from the results of past runs into RSS/weekly/<yyyy-Www>.md or
+                RSS/monthly/<yyyy-MM>.md (period containing --date, default: today)
   daemon        Run in daemon mode with scheduler (12-hour intervals)
   health        Run health check
   test          Run with limited data for testing
+  seen purge    Forget all previously processed articles
+  feeds list    Show configured feeds with enabled state and last fetch status
+  feeds status  Show fetch health: last success, consecutive failures, HTTP status, backoff
+  feeds add <url> [--category tech/go] [--name NAME] [--description TEXT] [--disabled] [--full-text]
+                Validate a feed by fetching it once, then add it to config/feeds.json
+                (--full-text sets fetchFullText: summarize the article page, not the feed teaser)
+  feeds remove <name|url>
+                Remove a feed from config/feeds.json
+  feeds enable <name|url> / feeds disable <name|url>
+                Turn a feed on or off
+  feeds import <file.opml> [--replace]
+                Add feeds from an OPML file to config/feeds.json
+  feeds export [file.opml]
+                Write config/feeds.json as OPML (stdout if no file given)
   help          Show this help
 
+Run options (default command and test):
+  --output <backend>   Output backend for this run (obsidian or filesystem)
+  --dry-run            Run the full pipeline but print every vault path and rendered
+                       markdown instead of writing it; run state is not saved
+  --dry-run-dir [dir]  Like --dry-run, but write the files to dir (default: a new temp dir)
+  --since <date>       Only include articles published from this date (YYYY-MM-DD in
+                       TIMEZONE, or an ISO date-time); overrides the default one-day window
+  --until <date>       Only include articles published up to and including this date
+
 Configuration:
   config/feeds.json      Required: RSS feeds configuration file
-  GEMINI_API_KEY         Required: Your Gemini API key (environment variable)
-  OBSIDIAN_API_KEY       Required: Obsidian Local REST API key (environment variable)
+  GEMINI_API_KEY         Required for LLM_PROVIDER=gemini: Your Gemini API key (environment variable)
+  OBSIDIAN_API_KEY       Required for OUTPUT_BACKEND=obsidian: Obsidian Local REST API key (environment variable)
 
 Environment Variables:
   RSS_FEEDS              Optional: JSON array of RSS feed URLs (overrides feeds.json)
   OBSIDIAN_API_URL       Optional: Obsidian API URL (default: https://127.0.0.1:27124/)
+  OUTPUT_BACKEND         Optional: obsidian (Local REST API) or filesystem (default: obsidian)
+  OBSIDIAN_VAULT_PATH    Optional: Vault directory for OUTPUT_BACKEND=filesystem (default: ./output)
+  DRY_RUN                Optional: Same as --dry-run (true/false)
+  DRY_RUN_DIRECTORY      Optional: Same as --dry-run-dir <dir>
   DEBUG                  Optional: Enable debug mode (true/false)
-  TIMEZONE               Optional: Timezone (default: Asia/Tokyo)
+  TIMEZONE               Optional: Timezone of dates, RSS/<date>/ folders and the daily window (default: Asia/Tokyo)
   MAX_RETRIES            Optional: Max retry attempts (default: 3)
-  GEMINI_REQUEST_DELAY   Optional: Delay between API calls in ms (default: 1000)
+  GEMINI_REQUEST_DELAY   Optional: Minimum delay between LLM request starts in ms (default: 1000)
+  LLM_CONCURRENCY        Optional: Max concurrent LLM requests (default: 3)
+  LLM_REQUESTS_PER_MINUTE Optional: LLM requests per minute, 0 = unlimited (default: 0)
+  LLM_TOKENS_PER_MINUTE  Optional: Estimated LLM tokens per minute, 0 = unlimited (default: 0)
+  LLM_PROVIDER           Optional: gemini, openai (OpenAI-compatible, e.g. Ollama) or stub (default: gemini)
+  OPENAI_BASE_URL        Optional: OpenAI-compatible API base URL (default: https://api.openai.com/v1)
+  OPENAI_API_KEY         Optional: OpenAI-compatible API key
+  OPENAI_MODEL           Optional: OpenAI-compatible model (default: gpt-4o-mini)
+  DATA_DIRECTORY         Optional: Directory for runtime state (default: ./data)
+  SEEN_STORE_ENABLED     Optional: Skip articles processed in earlier runs (default: true)
+  SEEN_RETENTION_DAYS    Optional: Days to remember processed articles (default: 30)
+  RESULTS_RETENTION_DAYS Optional: Days of results kept for weekly/monthly digests (default: 90)
+  ARTICLE_TAGGING_ENABLED Optional: Per-article AI tags and summaries (default: false)
+  CONDITIONAL_FETCH_ENABLED Optional: Use ETag/Last-Modified for feed requests (default: true)
+  FEED_BACKOFF_ENABLED   Optional: Skip repeatedly failing feeds with exponential backoff (default: true)
+  WATCH_WORDS            Optional: JSON array of watch words (overrides feeds.json watchWords)
+  SUMMARY_MODE           Optional: top (first 10) or map-reduce (every article, one request per chunk plus the merge) (default: top)
+  SUMMARY_CHUNK_TOKENS   Optional: Estimated prompt tokens per summary request (default: 4000)
+  SCORING_ENABLED        Optional: Rank articles in category files by relevance score (default: true)
+  SCORING_LLM_IMPORTANCE Optional: Let the LLM rate article importance for the score (default: false)
+  SCORING_WEIGHTS        Optional: JSON weights {"watchWords":2,"importance":2,"coverage":1}
+  HIGHLIGHTS_COUNT       Optional: Top-scored articles highlighted per category file (default: 3)
+  STORY_CLUSTERING_ENABLED Optional: Merge near-duplicate articles from different feeds (default: true)
+  STORY_SIMILARITY_THRESHOLD Optional: Similarity (0-1) at which articles are merged (default: 0.5)
+  LOG_LEVEL              Optional: debug, info, warn or error (default: info)
+  LOG_FORMAT             Optional: text or json (JSON lines with run IDs) (default: text)
+  LOG_FILE               Optional: Also append JSON log lines to this file (rotated)
+  LOG_MAX_SIZE           Optional: Rotate LOG_FILE at this size in bytes (default: 10485760)
+  LOG_MAX_FILES          Optional: Rotated log files to keep (default: 5)
 
 Scheduler Environment Variables:
   SCHEDULE_ENABLED       Optional: Enable scheduler for daemon mode (true/false)
   SCHEDULE_CRON          Optional: Cron pattern (default: "0 */12 * * *" - every 12 hours)
   SCHEDULE_TIMEZONE      Optional: Scheduler timezone (default: same as TIMEZONE)
   RUN_ON_START           Optional: Run immediately when daemon starts (true/false)
+  DAEMON_HTTP_PORT       Optional: Serve /healthz, /status and POST /run on this port
+  DAEMON_HTTP_HOST       Optional: Status server bind address (default: 127.0.0.1)
+  DAEMON_API_TOKEN       Optional: Bearer token required by POST /run (unset disables it)
+  CATCH_UP_ENABLED       Optional: Catch up on articles and schedules missed during downtime (default: true)
+  CATCH_UP_MAX_DAYS      Optional: Longest catch-up lookback in days (default: 7)
+  RUN_LOCK_POLICY        Optional: skip, queue or cancel when another run is in progress (default: skip)
+  RUN_LOCK_STALE_MINUTES Optional: Take over run locks not refreshed for this long (default: 360)
+  METRICS_TEXTFILE       Optional: Write Prometheus metrics to this file after each run
 
 Example:
   # Setup Obsidian Local REST API plugin and get API key, then:
@@ -71,6 +425,16 @@ Example:
   export SCHEDULE_ENABLED=true
   node src/main.js daemon
   
+  # Write straight into a vault folder without running Obsidian:
+  export OBSIDIAN_VAULT_PATH="$HOME/Documents/MyVault"
+  node src/main.js --output filesystem
+  
+  # Regenerate a week that was missed:
+  node src/main.js backfill --since 2024-03-04 --until 2024-03-10
+  
+  # Weekly review of last week (written to RSS/weekly/2024-W10.md):
+  node src/main.js digest --period week --date 2024-03-08
+  
   # Or use RSS_FEEDS environment variable:
   export RSS_FEEDS='["https://example.com/feed.xml"]'
   node src/main.js
@@ -78,7 +442,7 @@ Example:
       break;
 
     default:
-      await feeder.run();
+      await feeder.run(parseRunWindow(parseArgs(args).options));
   }
 }
 
@@ -0,0 +1,230 @@
+/**
+ * Metrics
+ * In-process counters, gauges and histograms for pipeline runs, rendered in the
+ * Prometheus text exposition format. The daemon serves them on GET /metrics;
+ * one-shot runs can write them to a file for the node_exporter textfile collector.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const { METRICS } = require('./constants');
+
+/**
+ * Escape a label value for the exposition format
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"} ('' when empty)
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base class for a metric family; one series per distinct label set
+ */
+class Metric {
+  /**
+   * @param {string} name Full metric name
+   * @param {string} help
+   * @param {Array<string>} labelNames
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get (or create) the series for a label set
+   * @param {Object} labels
+   * @returns {Object} { labels, ...state }
+   */
+  getSeries(labels) {
+    const picked = {};
+    for (const name of this.labelNames) {
+      picked[name] = labels[name] ?? '';
+    }
+
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...this.initialState() });
+    }
+    return this.series.get(key);
+  }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = METRICS.DURATION_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  initialState() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const bucketLines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`
+    );
+    return [
+      ...bucketLines,
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+      `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+    ];
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+
+    this.feedFetchesTotal = this.counter('feed_fetches_total', 'Feed HTTP requests by result (success, not_modified, error)', ['feed', 'result']);
+    this.feedFetchDuration = this.histogram('feed_fetch_duration_seconds', 'Feed fetch latency', ['feed']);
+    this.articlesTotal = this.counter('articles_total', 'Articles by pipeline stage (fetched, new, processed)', ['stage']);
+    this.llmRequestsTotal = this.counter('llm_requests_total', 'LLM requests by provider and result', ['provider', 'result']);
+    this.llmRequestDuration = this.histogram('llm_request_duration_seconds', 'LLM request latency (excluding scheduler queueing)', ['provider']);
+    this.llmTokensTotal = this.counter('llm_tokens_total', 'Estimated LLM tokens by direction (prompt, response)', ['provider', 'direction']);
+    this.retriesTotal = this.counter('retries_total', 'Retried attempts by operation type', ['operation']);
+    this.outputWritesTotal = this.counter('output_writes_total', 'Files written by output backend and result', ['backend', 'result']);
+    this.runsTotal = this.counter('runs_total', 'Pipeline runs by result', ['result']);
+    this.lastRunDuration = this.gauge('last_run_duration_seconds', 'Duration of the last pipeline run');
+    this.lastRunTimestamp = this.gauge('last_run_timestamp_seconds', 'Unix time the last pipeline run finished', ['result']);
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(METRICS.PREFIX + name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(METRICS.PREFIX + name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(METRICS.PREFIX + name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Start a duration measurement
+   * @returns {Function} Returns the elapsed seconds when called
+   */
+  startTimer() {
+    const start = process.hrtime.bigint();
+    return () => Number(process.hrtime.bigint() - start) / 1e9;
+  }
+
+  /**
+   * Record the outcome of a pipeline run
+   * @param {string} result success | failed
+   * @param {number} durationMs
+   */
+  recordRun(result, durationMs) {
+    this.runsTotal.inc({ result });
+    this.lastRunDuration.set({}, durationMs / 1000);
+    this.lastRunTimestamp.set({ result }, Math.floor(Date.now() / 1000));
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    return this.metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+  }
+
+  /**
+   * Write the metrics for the textfile collector. The file is replaced
+   * atomically so the collector never reads a partial file.
+   * @param {string|null} filePath Defaults to METRICS_TEXTFILE
+   * @returns {Promise<boolean>} Whether a file was written
+   */
+  async writeTextfile(filePath = config.getMetricsTextfile()) {
+    if (!filePath) {
+      return false;
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, this.render(), 'utf8');
+    await fs.rename(tempPath, filePath);
+    return true;
+  }
+
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+module.exports = new MetricsRegistry();
@@ -1,32 +1,38 @@
 /**
- * Obsidian Local REST API Client
- * Creates markdown files in Obsidian Vault via Local REST API
+ * Vault Output
+ * Renders markdown files for the vault and hands them to the configured
+ * output writer (Obsidian Local REST API or a vault folder on disk)
  */
 
-const axios = require("axios");
-const https = require("https");
-const path = require("path");
 const Utils = require("./utils");
 const config = require("./config");
-const { TIMEOUT, PATHS, TEXT, LIMITS } = require("./constants");
+const { createOutputWriter } = require("./outputWriters");
+const metrics = require("./metrics");
+const { PATHS, TEXT, LIMITS, OUTPUT_BACKENDS, DIGEST_PERIODS } = require("./constants");
 
 class ObsidianAPI {
   constructor() {
-    this.apiUrl = config.getObsidianApiUrl();
-    this.apiKey = config.getObsidianApiKey();
     this.baseVaultPath = PATHS.OBSIDIAN_BASE_VAULT_PATH; // Base path in Obsidian vault
+    this.writer = null;
+  }
 
-    // Configure HTTPS agent to handle self-signed certificates
-    this.httpsAgent = new https.Agent({
-      rejectUnauthorized: !config.getIgnoreSSLErrors(),
-    });
-
-    // Validate configuration
-    if (!this.apiKey) {
-      throw new Error(
-        "OBSIDIAN_API_KEY environment variable is required for Obsidian integration"
-      );
+  /**
+   * Get the configured output writer (created on first use)
+   * @returns {Object} Writer implementing testConnection/write/describe
+   */
+  getWriter() {
+    if (!this.writer) {
+      this.writer = createOutputWriter();
     }
+    return this.writer;
+  }
+
+  /**
+   * Replace the output writer, e.g. to select a backend for a single run
+   * @param {Object} writer
+   */
+  setWriter(writer) {
+    this.writer = writer;
   }
 
   /**
@@ -40,30 +46,25 @@ class ObsidianAPI {
   }
 
   /**
-   * Test connection to Obsidian Local REST API
+   * Test that the output backend is reachable and writable
    * @returns {Promise<boolean>} Connection status
    */
   async testConnection() {
-    try {
-      const response = await axios.get(`${this.apiUrl}/vault/`, {
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-        },
-        httpsAgent: this.httpsAgent,
-        timeout: TIMEOUT.OBSIDIAN_CONNECTION_TEST,
-      });
+    return this.getWriter().testConnection();
+  }
 
-      Utils.log("info", "Successfully connected to Obsidian Local REST API");
-      return response.status === 200;
-    } catch (error) {
-      Utils.log("error", `Failed to connect to Obsidian API: ${error.message}`);
-      if (error.code === "ECONNREFUSED") {
-        Utils.log(
-          "error",
-          "Make sure Obsidian is running with Local REST API plugin enabled"
-        );
-      }
-      return false;
+  /**
+   * Ensure the output backend is usable before writing
+   */
+  async ensureConnected() {
+    const connected = await this.testConnection();
+    if (!connected) {
+      const writer = this.getWriter();
+      throw new Error(
+        writer.name === OUTPUT_BACKENDS.OBSIDIAN
+          ? "Cannot connect to Obsidian Local REST API. Please ensure Obsidian is running with the plugin enabled."
+          : `Cannot write to ${writer.name} output backend.`
+      );
     }
   }
 
@@ -121,53 +122,27 @@ class ObsidianAPI {
     const content = await this.generateMarkdownContent(tag, tagData, date);
     const fullContent = frontmatter + content;
 
-    // Create file via Obsidian API
-    await this.createObsidianFile(vaultPath, fullContent);
+    // Create file via the output writer
+    await this.writeVaultFile(vaultPath, fullContent);
 
     Utils.log(
       "info",
-      `Created Obsidian file: ${vaultPath} (${count} articles)`
+      `Created file: ${vaultPath} (${count} articles)`
     );
   }
 
   /**
-   * Create file in Obsidian vault via REST API
+   * Write a file into the vault through the output writer
    * @param {string} vaultPath Path within vault
    * @param {string} content File content
    */
-  async createObsidianFile(vaultPath, content) {
+  async writeVaultFile(vaultPath, content) {
+    const writer = this.getWriter();
     try {
-      const response = await Utils.retry(
-        async () => {
-          return await axios.put(`${this.apiUrl}/vault/${vaultPath}`, content, {
-            headers: {
-              Authorization: `Bearer ${this.apiKey}`,
-              "Content-Type": "text/markdown",
-            },
-            httpsAgent: this.httpsAgent,
-            timeout: TIMEOUT.OBSIDIAN_API_REQUEST,
-          });
-        },
-        config.getMaxRetries(),
-        config.getRetryDelay(),
-        `Creating Obsidian file: ${vaultPath}`
-      );
-
-      if (response.status === 200 || response.status === 201) {
-        Utils.log(
-          "info",
-          `Successfully created file in Obsidian: ${vaultPath}`
-        );
-      }
+      await writer.write(vaultPath, content);
+      metrics.outputWritesTotal.inc({ backend: writer.name, result: "success" });
     } catch (error) {
-      Utils.log(
-        "error",
-        `Failed to create Obsidian file ${vaultPath}:`,
-        error.message
-      );
-      if (error.response) {
-        Utils.log("error", `API Response:`, error.response.data);
-      }
+      metrics.outputWritesTotal.inc({ backend: writer.name, result: "error" });
       throw error;
     }
   }
@@ -210,12 +185,30 @@ class ObsidianAPI {
         article.description && article.description.trim()
           ? article.description
           : null,
+      aiSummary: article.aiSummary || null,
       tags: formattedTags || null,
+      sources: this.formatSources(article.sources),
     };
 
     return Utils.replaceTemplateVariables(template, variables);
   }
 
+  /**
+   * Format the other sources of a story merged from several feeds
+   * @param {Array<Object>} sources Entries of article.sources
+   * @returns {string|null} Markdown list
+   */
+  formatSources(sources) {
+    if (!sources || sources.length === 0) return null;
+
+    return sources
+      .map((source) => {
+        const feed = source.feedTitle ? ` (${source.feedTitle})` : "";
+        return `- [${source.title || source.link}](${source.link})${feed}`;
+      })
+      .join("\n");
+  }
+
   /**
    * Generate articles list for markdown content
    * @param {Array<Object>} articles
@@ -243,6 +236,7 @@ class ObsidianAPI {
 
     // Use existing method to generate articles list
     const articlesList = await this.generateArticlesList(articles);
+    const highlights = this.formatHighlights(articles);
 
     // Load template and replace variables
     const template = await Utils.loadTemplate("article.md");
@@ -250,16 +244,38 @@ class ObsidianAPI {
       tag: tag.toUpperCase(),
       dateString: dateString,
       summary: summary,
+      highlights: highlights,
       count: count,
       articlesList: articlesList,
       generatedTime: new Date().toLocaleString("ja-JP", {
-        timeZone: "Asia/Tokyo",
+        timeZone: config.getTimezone(),
       }),
     };
 
     return Utils.replaceTemplateVariables(template, variables);
   }
 
+  /**
+   * Format the top-scored articles of a category (HIGHLIGHTS_COUNT)
+   * @param {Array<Object>} articles Articles in score order
+   * @returns {string|null} Markdown list, or null when articles are not scored
+   *   or there are no more articles than highlights
+   */
+  formatHighlights(articles) {
+    const highlightsCount = config.getHighlightsCount();
+    if (highlightsCount === 0 || articles.length <= highlightsCount || articles[0].score === undefined) {
+      return null;
+    }
+
+    return articles
+      .slice(0, highlightsCount)
+      .map((article, index) => {
+        const feed = article.feedTitle ? ` - ${article.feedTitle}` : "";
+        return `${index + 1}. **[${article.title}](${article.link})**${feed}`;
+      })
+      .join("\n");
+  }
+
   /**
    * Format date for display in articles
    * @param {Date} date
@@ -270,7 +286,7 @@ class ObsidianAPI {
 
     try {
       return new Date(date).toLocaleString("ja-JP", {
-        timeZone: "Asia/Tokyo",
+        timeZone: config.getTimezone(),
         year: "numeric",
         month: "2-digit",
         day: "2-digit",
@@ -367,20 +383,20 @@ class ObsidianAPI {
       categoriesCount: Object.keys(processedData).length,
       categoriesList: categoriesList,
       generatedTime: new Date().toLocaleString("ja-JP", {
-        timeZone: "Asia/Tokyo",
+        timeZone: config.getTimezone(),
       }),
     };
 
     const content = Utils.replaceTemplateVariables(template, variables);
     const fullContent = frontmatter + content;
 
-    await this.createObsidianFile(indexPath, fullContent);
+    await this.writeVaultFile(indexPath, fullContent);
 
     Utils.log("info", `Created index file: ${indexPath}`);
   }
 
   /**
-   * Generate all output files in Obsidian vault
+   * Generate all output files in the vault
    * @param {Object} processedData
    * @param {Date} date
    * @param {boolean} includeHour Whether to include hour in filename
@@ -392,12 +408,7 @@ class ObsidianAPI {
     }
 
     // Test connection first
-    const connected = await this.testConnection();
-    if (!connected) {
-      throw new Error(
-        "Cannot connect to Obsidian Local REST API. Please ensure Obsidian is running with the plugin enabled."
-      );
-    }
+    await this.ensureConnected();
 
     await this.createAllFiles(processedData, date, includeHour);
     await this.createIndexFile(processedData, date);
@@ -405,7 +416,7 @@ class ObsidianAPI {
     const vaultPath = this.getDateVaultPath(date);
     Utils.log(
       "info",
-      `Output generation complete. Files created in Obsidian vault: ${vaultPath}`
+      `Output generation complete. Files created in ${this.getWriter().describe(vaultPath)}`
     );
   }
 
@@ -460,7 +471,7 @@ ${articlesList}
 `;
 
     try {
-      await this.createObsidianFile(filePath, content);
+      await this.writeVaultFile(filePath, content);
       Utils.log(
         "info",
         `Created keyword summary file: ${filePath} (${count} articles)`
@@ -487,12 +498,7 @@ ${articlesList}
     }
 
     // Test connection first
-    const connected = await this.testConnection();
-    if (!connected) {
-      throw new Error(
-        "Cannot connect to Obsidian Local REST API. Please ensure Obsidian is running with the plugin enabled."
-      );
-    }
+    await this.ensureConnected();
 
     Utils.log(
       "info",
@@ -509,8 +515,104 @@ ${articlesList}
     const vaultPath = this.getDateVaultPath(date);
     Utils.log(
       "info",
-      `Keyword output generation complete. Files created in: ${vaultPath}/word/`
+      `Keyword output generation complete. Files created in: ${this.getWriter().describe(`${vaultPath}/${PATHS.KEYWORD_DIRECTORY_NAME}`)}/`
+    );
+  }
+
+  /**
+   * Get vault path of a weekly or monthly digest
+   * @param {string} period "week" or "month"
+   * @param {string} label Period label (2024-W10 or 2024-03)
+   * @returns {string} Vault file path
+   */
+  getDigestVaultPath(period, label) {
+    const directory = period === DIGEST_PERIODS.WEEK
+      ? PATHS.WEEKLY_DIRECTORY_NAME
+      : PATHS.MONTHLY_DIRECTORY_NAME;
+    return `${this.baseVaultPath}/${directory}/${label}.md`;
+  }
+
+  /**
+   * Format the trend sections of a digest (categories or watch words)
+   * @param {Object} entries Map of name -> { summary, articles, count }
+   * @param {boolean} upperCase Show names in upper case (categories)
+   * @returns {string} Markdown sections
+   */
+  formatDigestSections(entries, upperCase) {
+    return Object.entries(entries)
+      .map(([name, entry]) => {
+        const articles = entry.articles
+          .map((article, index) => {
+            const feed = article.feedTitle ? ` - ${article.feedTitle}` : "";
+            const published = article.pubDate
+              ? ` (${Utils.formatDate(new Date(article.pubDate)).slice(5).replace("-", "/")})`
+              : "";
+            return `${index + 1}. [${article.title}](${article.link})${feed}${published}`;
+          })
+          .join("\n");
+
+        return `### ${upperCase ? name.toUpperCase() : name} (${entry.count}件)\n\n${entry.summary}\n\n**主な記事**:\n${articles}`;
+      })
+      .join("\n\n");
+  }
+
+  /**
+   * Create the weekly or monthly digest file
+   * @param {Object} digest
+   * @param {string} digest.period "week" or "month"
+   * @param {string} digest.label Period label (2024-W10 or 2024-03)
+   * @param {string} digest.start First day (YYYY-MM-DD)
+   * @param {string} digest.end Last day (YYYY-MM-DD)
+   * @param {number} digest.days Number of days with results
+   * @param {Object} digest.categories Map of category -> { summary, articles, count }
+   * @param {Object} digest.keywords Map of watch word -> { summary, articles, count }
+   * @returns {Promise<string>} Vault path of the digest
+   */
+  async createDigestFile(digest) {
+    const { period, label, start, end, days, categories, keywords } = digest;
+
+    await this.ensureConnected();
+
+    const vaultPath = this.getDigestVaultPath(period, label);
+    const totalArticles = Object.values(categories).reduce(
+      (sum, data) => sum + data.count,
+      0
     );
+
+    const frontmatter = Utils.generateYamlFrontmatter({
+      type: "digest",
+      period: period,
+      label: label,
+      start: start,
+      end: end,
+      days: days,
+      total_articles: totalArticles,
+      categories: Object.keys(categories).length,
+      keywords: Object.keys(keywords),
+      generated: new Date().toISOString(),
+    });
+
+    const startDate = Utils.startOfDayInTimezone(start);
+    const template = await Utils.loadTemplate("digest.md");
+    const variables = {
+      title: period === DIGEST_PERIODS.WEEK
+        ? `週間ダイジェスト ${label}`
+        : `月間ダイジェスト ${Utils.formatDateJapanese(startDate).slice(0, 8)}`,
+      periodRange: `${Utils.formatDateJapanese(startDate)} 〜 ${Utils.formatDateJapanese(Utils.startOfDayInTimezone(end))}`,
+      totalArticles: totalArticles,
+      categoriesCount: Object.keys(categories).length,
+      categoriesList: this.formatDigestSections(categories, true),
+      keywordsList: this.formatDigestSections(keywords, false),
+      generatedTime: new Date().toLocaleString("ja-JP", {
+        timeZone: config.getTimezone(),
+      }),
+    };
+
+    const content = Utils.replaceTemplateVariables(template, variables);
+    await this.writeVaultFile(vaultPath, frontmatter + content);
+
+    Utils.log("info", `Created digest: ${this.getWriter().describe(vaultPath)} (${totalArticles} articles)`);
+    return vaultPath;
   }
 }
 
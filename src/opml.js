@@ -0,0 +1,159 @@
+/**
+ * OPML conversion
+ * Converts between OPML outlines and feeds.json feed entries
+ */
+
+const xml2js = require('xml2js');
+
+class Opml {
+  /**
+   * Parse an OPML document into feeds.json feed entries.
+   * Nested folder outlines become the category path (e.g. cryptography/attacks).
+   * @param {string} xml OPML document
+   * @returns {Promise<Array<Object>>} Feed entries ({name, url, description, category, enabled})
+   */
+  static async parse(xml) {
+    const document = await xml2js.parseStringPromise(xml);
+    const body = document?.opml?.body?.[0];
+
+    if (!body) {
+      throw new Error('Invalid OPML: missing <opml><body>');
+    }
+
+    const feeds = [];
+    this.collectOutlines(body.outline || [], [], feeds);
+    return feeds;
+  }
+
+  /**
+   * Walk outlines recursively, collecting feed outlines
+   * @param {Array<Object>} outlines xml2js outline nodes
+   * @param {Array<string>} categoryPath Folder names of the enclosing outlines
+   * @param {Array<Object>} feeds Accumulator
+   */
+  static collectOutlines(outlines, categoryPath, feeds) {
+    for (const outline of outlines) {
+      const attrs = outline.$ || {};
+      const label = attrs.text || attrs.title || '';
+
+      if (attrs.xmlUrl) {
+        const feed = {
+          name: label || attrs.xmlUrl,
+          url: attrs.xmlUrl
+        };
+
+        if (attrs.description) {
+          feed.description = attrs.description;
+        }
+
+        const category = categoryPath.length > 0
+          ? categoryPath.join('/')
+          : this.parseCategoryAttribute(attrs.category);
+        if (category) {
+          feed.category = category;
+        }
+
+        if (attrs.enabled !== undefined) {
+          feed.enabled = attrs.enabled !== 'false';
+        }
+
+        feeds.push(feed);
+      }
+
+      if (outline.outline) {
+        const childPath = attrs.xmlUrl || !label ? categoryPath : [...categoryPath, label];
+        this.collectOutlines(outline.outline, childPath, feeds);
+      }
+    }
+  }
+
+  /**
+   * Read the first path of an OPML category attribute ("/a/b,/c" -> "a/b")
+   * @param {string} value
+   * @returns {string|null}
+   */
+  static parseCategoryAttribute(value) {
+    if (!value) {
+      return null;
+    }
+
+    const first = value.split(',')[0].trim().replace(/^\/+|\/+$/g, '');
+    return first || null;
+  }
+
+  /**
+   * Build an OPML document from feeds.json feed entries.
+   * Category paths become nested folder outlines.
+   * @param {Array<Object>} feeds feeds.json feed entries
+   * @param {string} title Document title
+   * @returns {string} OPML document
+   */
+  static build(feeds, title = 'RSS Feeds') {
+    const root = { children: new Map(), feeds: [] };
+
+    for (const feed of feeds) {
+      let node = root;
+      const segments = (feed.category || '').split('/').filter(Boolean);
+
+      for (const segment of segments) {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, { children: new Map(), feeds: [] });
+        }
+        node = node.children.get(segment);
+      }
+
+      node.feeds.push(feed);
+    }
+
+    const builder = new xml2js.Builder({
+      rootName: 'opml',
+      xmldec: { version: '1.0', encoding: 'UTF-8' },
+      renderOpts: { pretty: true, indent: '  ', newline: '\n' }
+    });
+
+    return builder.buildObject({
+      $: { version: '2.0' },
+      head: [{ title: [title], dateCreated: [new Date().toUTCString()] }],
+      body: [{ outline: this.buildOutlines(root) }]
+    });
+  }
+
+  /**
+   * Convert a category tree node into xml2js outline nodes
+   * @param {Object} node Tree node with children and feeds
+   * @returns {Array<Object>} xml2js outline nodes
+   */
+  static buildOutlines(node) {
+    const outlines = [];
+
+    for (const [name, child] of node.children) {
+      outlines.push({
+        $: { text: name, title: name },
+        outline: this.buildOutlines(child)
+      });
+    }
+
+    for (const feed of node.feeds) {
+      const attrs = {
+        type: 'rss',
+        text: feed.name || feed.url,
+        title: feed.name || feed.url,
+        xmlUrl: feed.url
+      };
+
+      if (feed.description) {
+        attrs.description = feed.description;
+      }
+      if (feed.category) {
+        attrs.category = `/${feed.category}`;
+      }
+      attrs.enabled = String(feed.enabled === true);
+
+      outlines.push({ $: attrs });
+    }
+
+    return outlines;
+  }
+}
+
+module.exports = Opml;
@@ -0,0 +1,248 @@
+/**
+ * Output Writers
+ * Interchangeable backends that store rendered markdown at a vault-relative path.
+ * Every writer implements `testConnection() -> Promise<boolean>`,
+ * `write(vaultPath, content) -> Promise<void>` and `describe(vaultPath) -> string`.
+ */
+
+const axios = require("axios");
+const https = require("https");
+const fs = require("fs");
+const path = require("path");
+const Utils = require("./utils");
+const config = require("./config");
+const { TIMEOUT, OUTPUT_BACKENDS } = require("./constants");
+
+/**
+ * Obsidian Local REST API plugin
+ */
+class ObsidianRestWriter {
+  constructor() {
+    this.name = OUTPUT_BACKENDS.OBSIDIAN;
+    this.apiUrl = config.getObsidianApiUrl();
+    this.apiKey = config.getObsidianApiKey();
+
+    // Configure HTTPS agent to handle self-signed certificates
+    this.httpsAgent = new https.Agent({
+      rejectUnauthorized: !config.getIgnoreSSLErrors(),
+    });
+
+    // Validate configuration
+    if (!this.apiKey) {
+      throw new Error(
+        "OBSIDIAN_API_KEY environment variable is required for Obsidian integration"
+      );
+    }
+  }
+
+  /**
+   * Test connection to Obsidian Local REST API
+   * @returns {Promise<boolean>} Connection status
+   */
+  async testConnection() {
+    try {
+      const response = await axios.get(`${this.apiUrl}/vault/`, {
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+        httpsAgent: this.httpsAgent,
+        timeout: TIMEOUT.OBSIDIAN_CONNECTION_TEST,
+      });
+
+      Utils.log("info", "Successfully connected to Obsidian Local REST API");
+      return response.status === 200;
+    } catch (error) {
+      Utils.log("error", `Failed to connect to Obsidian API: ${error.message}`);
+      if (error.code === "ECONNREFUSED") {
+        Utils.log(
+          "error",
+          "Make sure Obsidian is running with Local REST API plugin enabled"
+        );
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Create file in Obsidian vault via REST API
+   * @param {string} vaultPath Path within vault
+   * @param {string} content File content
+   */
+  async write(vaultPath, content) {
+    try {
+      const response = await Utils.retry(
+        async () => {
+          return await axios.put(`${this.apiUrl}/vault/${vaultPath}`, content, {
+            headers: {
+              Authorization: `Bearer ${this.apiKey}`,
+              "Content-Type": "text/markdown",
+            },
+            httpsAgent: this.httpsAgent,
+            timeout: TIMEOUT.OBSIDIAN_API_REQUEST,
+          });
+        },
+        config.getMaxRetries(),
+        config.getRetryDelay(),
+        `Creating Obsidian file: ${vaultPath}`,
+        "output"
+      );
+
+      if (response.status === 200 || response.status === 201) {
+        Utils.log(
+          "info",
+          `Successfully created file in Obsidian: ${vaultPath}`
+        );
+      }
+    } catch (error) {
+      Utils.log(
+        "error",
+        `Failed to create Obsidian file ${vaultPath}:`,
+        error.message
+      );
+      if (error.response) {
+        Utils.log("error", `API Response:`, error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} vaultPath
+   * @returns {string} Human-readable location
+   */
+  describe(vaultPath) {
+    return `Obsidian vault: ${vaultPath}`;
+  }
+}
+
+/**
+ * Vault folder on the local filesystem (works without Obsidian running)
+ */
+class FileSystemWriter {
+  constructor(rootDirectory = config.getVaultDirectory()) {
+    this.name = OUTPUT_BACKENDS.FILESYSTEM;
+    this.rootDirectory = rootDirectory;
+  }
+
+  /**
+   * Resolve a vault-relative path inside the root directory
+   * @param {string} vaultPath
+   * @returns {string} Filesystem path
+   */
+  resolvePath(vaultPath) {
+    const root = path.resolve(this.rootDirectory);
+    const filePath = path.resolve(root, vaultPath);
+
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to write outside the vault directory: ${vaultPath}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Check that the vault directory exists (creating it if needed) and is writable
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    try {
+      await Utils.ensureDirectory(this.rootDirectory);
+      await fs.promises.access(this.rootDirectory, fs.constants.W_OK);
+      Utils.log("info", `Writing output to vault directory: ${path.resolve(this.rootDirectory)}`);
+      return true;
+    } catch (error) {
+      Utils.log("error", `Vault directory is not writable (${this.rootDirectory}): ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Write file into the vault directory
+   * @param {string} vaultPath Path within vault
+   * @param {string} content File content
+   */
+  async write(vaultPath, content) {
+    await Utils.writeFile(this.resolvePath(vaultPath), content);
+  }
+
+  /**
+   * @param {string} vaultPath
+   * @returns {string} Human-readable location
+   */
+  describe(vaultPath) {
+    return path.join(this.rootDirectory, vaultPath);
+  }
+}
+
+/**
+ * Dry run: print every file (or write it into a scratch directory)
+ * instead of touching the vault
+ */
+class DryRunWriter {
+  constructor(outputDirectory = config.getDryRunDirectory()) {
+    this.name = "dry-run";
+    this.outputDirectory = outputDirectory;
+    this.fileWriter = outputDirectory ? new FileSystemWriter(outputDirectory) : null;
+    this.files = [];
+  }
+
+  async testConnection() {
+    Utils.log("info", `Dry run: output goes to ${this.outputDirectory ? path.resolve(this.outputDirectory) : "stdout"}, nothing is written to the vault`);
+    return this.fileWriter ? this.fileWriter.testConnection() : true;
+  }
+
+  /**
+   * @param {string} vaultPath Path within vault
+   * @param {string} content File content
+   */
+  async write(vaultPath, content) {
+    this.files.push(vaultPath);
+
+    if (this.fileWriter) {
+      await this.fileWriter.write(vaultPath, content);
+      Utils.log("info", `[dry-run] ${vaultPath} -> ${this.fileWriter.describe(vaultPath)}`);
+      return;
+    }
+
+    process.stdout.write(`\n===== [dry-run] ${vaultPath} =====\n${content}\n===== end ${vaultPath} =====\n`);
+  }
+
+  /**
+   * @param {string} vaultPath
+   * @returns {string} Human-readable location
+   */
+  describe(vaultPath) {
+    return this.fileWriter
+      ? `dry-run directory: ${this.fileWriter.describe(vaultPath)}`
+      : `dry run (stdout): ${vaultPath}`;
+  }
+}
+
+/**
+ * Create the writer selected by OUTPUT_BACKEND (or the dry-run writer when DRY_RUN is set)
+ * @param {string} backendName
+ * @returns {Object} Writer instance
+ */
+function createOutputWriter(backendName = config.getOutputBackend()) {
+  if (config.isDryRun()) {
+    return new DryRunWriter();
+  }
+
+  switch (backendName) {
+    case OUTPUT_BACKENDS.OBSIDIAN:
+      return new ObsidianRestWriter();
+
+    case OUTPUT_BACKENDS.FILESYSTEM:
+      return new FileSystemWriter();
+
+    default:
+      throw new Error(`Unknown output backend: ${backendName} (expected one of ${Object.values(OUTPUT_BACKENDS).join(", ")})`);
+  }
+}
+
+module.exports = {
+  ObsidianRestWriter,
+  FileSystemWriter,
+  DryRunWriter,
+  createOutputWriter
+};
@@ -0,0 +1,176 @@
+/**
+ * Request Scheduler
+ * Runs async tasks with bounded concurrency under request/token rate limits.
+ * A 429 response with Retry-After pauses every queued task until it expires.
+ */
+
+const Utils = require('./utils');
+const { HTTP } = require('./constants');
+
+/**
+ * Continuously refilling token bucket sized for one minute of budget
+ */
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * @param {number} amount
+   * @param {number} now
+   * @returns {number} Milliseconds until amount is available
+   */
+  getWaitTime(amount, now) {
+    this.refill(now);
+    // A single request larger than the whole budget only waits for a full bucket
+    const missing = Math.min(amount, this.capacity) - this.tokens;
+    return missing > 0 ? Math.ceil(missing / this.refillPerMs) : 0;
+  }
+
+  take(amount, now) {
+    this.refill(now);
+    this.tokens -= Math.min(amount, this.capacity);
+  }
+}
+
+class RequestScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency Maximum tasks running at once
+   * @param {number} options.minInterval Minimum delay between task starts in ms
+   * @param {number} options.requestsPerMinute Request budget (0 = unlimited)
+   * @param {number} options.tokensPerMinute Token budget (0 = unlimited)
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.minInterval = options.minInterval || 0;
+    this.requestBucket = options.requestsPerMinute > 0 ? new TokenBucket(options.requestsPerMinute) : null;
+    this.tokenBucket = options.tokensPerMinute > 0 ? new TokenBucket(options.tokensPerMinute) : null;
+
+    this.queue = [];
+    this.active = 0;
+    this.nextStartAt = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Queue a task
+   * @param {Function} task Async function to run
+   * @param {Object} options
+   * @param {number} options.tokens Estimated tokens the task consumes
+   * @returns {Promise<any>} Task result
+   */
+  schedule(task, { tokens = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, tokens, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Start queued tasks while limits allow, otherwise wait for the next slot
+   */
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const wait = this.getWaitTime(this.queue[0].tokens);
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, wait);
+        return;
+      }
+
+      this.start(this.queue.shift());
+    }
+  }
+
+  /**
+   * @param {number} tokens
+   * @returns {number} Milliseconds until a task of this size may start
+   */
+  getWaitTime(tokens) {
+    const now = Date.now();
+    return Math.max(
+      0,
+      this.pausedUntil - now,
+      this.nextStartAt - now,
+      this.requestBucket ? this.requestBucket.getWaitTime(1, now) : 0,
+      this.tokenBucket && tokens > 0 ? this.tokenBucket.getWaitTime(tokens, now) : 0
+    );
+  }
+
+  async start(job) {
+    const now = Date.now();
+    this.active++;
+    this.nextStartAt = now + this.minInterval;
+    if (this.requestBucket) this.requestBucket.take(1, now);
+    if (this.tokenBucket && job.tokens > 0) this.tokenBucket.take(job.tokens, now);
+
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      const retryAfter = RequestScheduler.getRetryAfter(error);
+      if (retryAfter !== null) {
+        this.pause(retryAfter);
+      }
+      job.reject(error);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Hold back every task that has not started yet
+   * @param {number} delay Milliseconds
+   */
+  pause(delay) {
+    const until = Date.now() + delay;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      Utils.log('warn', `Rate limited by LLM API, pausing requests for ${Math.ceil(delay / 1000)}s`);
+    }
+  }
+
+  /**
+   * Read the Retry-After delay from a 429 error (seconds or HTTP date)
+   * @param {Error} error Axios error
+   * @returns {number|null} Delay in milliseconds, or null when not rate limited
+   */
+  static getRetryAfter(error) {
+    const response = error && error.response;
+    if (!response || response.status !== HTTP.TOO_MANY_REQUESTS) {
+      return null;
+    }
+
+    const headers = response.headers || {};
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,166 @@
+/**
+ * Results Store
+ * Keeps the category and watch-word results written to each day's
+ * RSS/<date>/ folder (summaries and article references), so weekly and
+ * monthly digests can be built without reading the vault back
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Utils = require('./utils');
+const config = require('./config');
+const { PATHS, DIGEST } = require('./constants');
+
+class ResultsStore {
+  constructor() {
+    this.days = null;
+  }
+
+  /**
+   * Get path of the store file
+   * @returns {string}
+   */
+  getStorePath() {
+    return path.join(config.getDataDirectory(), PATHS.RESULTS_STORE_FILE);
+  }
+
+  /**
+   * Load stored days from disk (once per process)
+   * @returns {Promise<Object>} Map of YYYY-MM-DD -> { categories, keywords }
+   */
+  async load() {
+    if (this.days) {
+      return this.days;
+    }
+
+    try {
+      const raw = await fs.readFile(this.getStorePath(), 'utf8');
+      const data = JSON.parse(raw);
+      this.days = data.days && typeof data.days === 'object' ? data.days : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Utils.log('warn', `Could not read results store, starting empty: ${error.message}`);
+      }
+      this.days = {};
+    }
+
+    return this.days;
+  }
+
+  /**
+   * Write stored days to disk
+   */
+  async save() {
+    const days = await this.load();
+    const data = {
+      updated: new Date().toISOString(),
+      days: days
+    };
+    await Utils.writeFile(this.getStorePath(), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Reduce an article to what a digest lists
+   * @param {Object} article
+   * @returns {Object} { title, link, feedTitle, pubDate, score, description }
+   */
+  toRecord(article) {
+    const pubDate = new Date(article.pubDate);
+    const description = Utils.stripHtml(String(article.description || '')).replace(/\s+/g, ' ').trim();
+
+    return {
+      title: article.title,
+      link: article.link,
+      feedTitle: article.feedTitle || null,
+      pubDate: Number.isNaN(pubDate.getTime()) ? null : pubDate.toISOString(),
+      score: article.score ?? null,
+      description: description ? Utils.truncate(description, DIGEST.STORED_DESCRIPTION_LENGTH) : null
+    };
+  }
+
+  /**
+   * Add results to a day entry: summaries are appended (one per run) and
+   * articles are merged by link
+   * @param {Object} entries Map of category or watch word -> { summaries, articles }
+   * @param {Object} results processedData or keywordData of a run
+   */
+  mergeResults(entries, results) {
+    for (const [name, data] of Object.entries(results || {})) {
+      const entry = entries[name] || { summaries: [], articles: [] };
+      const links = new Set(entry.articles.map(article => article.link));
+
+      if (data.summary) {
+        entry.summaries.push(data.summary);
+      }
+      for (const article of data.articles || []) {
+        if (!links.has(article.link)) {
+          links.add(article.link);
+          entry.articles.push(this.toRecord(article));
+        }
+      }
+
+      entries[name] = entry;
+    }
+  }
+
+  /**
+   * Record the results written into the folder of a day
+   * @param {Date} date Date of the output folder
+   * @param {Object} processedData Category results (llmProcessor.processArticles())
+   * @param {Object} keywordData Watch word results (llmProcessor.processKeywordArticles())
+   * @param {Object} options
+   * @param {boolean} options.replace Replace the day instead of adding to it (backfill)
+   */
+  async recordDay(date, processedData, keywordData, { replace = false } = {}) {
+    const days = await this.load();
+    const dateKey = Utils.getDateKey(date);
+
+    if (replace || !days[dateKey]) {
+      days[dateKey] = { categories: {}, keywords: {} };
+    }
+
+    this.mergeResults(days[dateKey].categories, processedData);
+    this.mergeResults(days[dateKey].keywords, keywordData);
+  }
+
+  /**
+   * Get the stored days of a date range
+   * @param {string} startKey First day (YYYY-MM-DD)
+   * @param {string} endKey Last day, inclusive (YYYY-MM-DD)
+   * @returns {Promise<Array<Object>>} { date, categories, keywords }, oldest first
+   */
+  async getDays(startKey, endKey) {
+    const days = await this.load();
+
+    return Object.keys(days)
+      .filter(dateKey => dateKey >= startKey && dateKey <= endKey)
+      .sort()
+      .map(dateKey => ({ date: dateKey, ...days[dateKey] }));
+  }
+
+  /**
+   * Remove days older than the retention window
+   * @param {number} retentionDays
+   * @returns {Promise<number>} Number of removed days
+   */
+  async prune(retentionDays = config.getResultsRetentionDays()) {
+    const days = await this.load();
+    const cutoff = Utils.addDaysToDateKey(Utils.getDateKey(new Date()), -retentionDays);
+    let removed = 0;
+
+    for (const dateKey of Object.keys(days)) {
+      if (dateKey < cutoff) {
+        delete days[dateKey];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      Utils.log('info', `Pruned ${removed} days of results older than ${retentionDays} days`);
+    }
+
+    return removed;
+  }
+}
+
+module.exports = new ResultsStore();
@@ -5,6 +5,8 @@
 
 const { RETRY, TIMEOUT } = require('./constants');
 const ErrorHandler = require('./errorHandler');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 class RetryManager {
   /**
@@ -16,6 +18,7 @@ class RetryManager {
    */
   static async executeWithRetry(operation, fn, options = {}) {
     const {
+      operationType = 'other',
       maxRetries = RETRY.DEFAULT_MAX_RETRIES,
       baseDelay = RETRY.DEFAULT_RETRY_DELAY,
       context = {},
@@ -43,6 +46,7 @@ class RetryManager {
             : baseDelay;
 
           ErrorHandler.logError(operation, error, context, attempt, 'warn');
+          metrics.retriesTotal.inc({ operation: operationType });
           await this.sleep(delay);
         } else {
           ErrorHandler.logError(operation, error, context, attempt, 'error');
@@ -134,7 +138,7 @@ class RetryManager {
    */
   static async executeWithConfig(operationType, operation, fn, context = {}, overrides = {}) {
     const config = { ...this.getRetryConfig(operationType), ...overrides };
-    return this.executeWithRetry(operation, fn, { ...config, context });
+    return this.executeWithRetry(operation, fn, { ...config, operationType, context });
   }
 
   /**
@@ -178,7 +182,7 @@ class RetryManager {
         const op = operations[i];
         try {
           if (logProgress) {
-            console.log(`Executing ${op.operation} (${i + 1}/${operations.length})`);
+            logger.log('info', `Executing ${op.operation} (${i + 1}/${operations.length})`);
           }
           const result = await this.executeWithRetry(op.operation, op.fn, op.options || {});
           results.push(result);
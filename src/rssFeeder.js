@@ -6,18 +6,292 @@
 const feedFetcher = require("./feedFetcher");
 const llmProcessor = require("./llmProcessor");
 const fileOutput = require("./obsidianAPI");
+const seenStore = require("./seenStore");
+const feedCache = require("./feedCache");
+const feedStatusStore = require("./feedStatusStore");
+const articleExtractor = require("./articleExtractor");
+const storyClusterer = require("./storyClusterer");
+const watchWordMatcher = require("./watchWordMatcher");
 const config = require("./config");
 const Utils = require("./utils");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const runLock = require("./runLock");
+const runStateStore = require("./runStateStore");
+const resultsStore = require("./resultsStore");
+const digestGenerator = require("./digestGenerator");
+const crypto = require("crypto");
+const { LLM_PROVIDERS, OUTPUT_BACKENDS, SUMMARY_MODES, TIME } = require("./constants");
 
 class RSSFeeder {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.exitOnError Exit the process when a run fails
+   *   (the daemon keeps running and records the failure instead)
+   */
+  constructor(options = {}) {
+    this.startTime = new Date();
+    this.runId = null;
+    this.exitOnError = options.exitOnError ?? true;
+    this.currentRun = null;
+    this.lastRun = null;
+    // Settles when the run in progress in this process ends
+    this.activeRun = null;
+  }
+
+  /**
+   * Create a short correlation ID attached to every log entry of a run
+   * @returns {string}
+   */
+  createRunId() {
+    return crypto.randomBytes(4).toString("hex");
+  }
+
+  /**
+   * Main execution function. Overlapping runs in this process and in other
+   * processes (run lock) are handled according to RUN_LOCK_POLICY.
+   * @param {Object} options
+   * @param {Date|null} options.since Start of the lookback window (overrides catch-up)
+   * @param {Date|null} options.until End of the lookback window (exclusive)
+   * @param {boolean} options.backfill Write each day's articles into that day's folder
+   * @returns {Promise<boolean>} false when the run was skipped
+   */
+  async run(options = {}) {
+    const policy = config.getRunLockPolicy();
+
+    // Checking and claiming activeRun happen without an await in between,
+    // so two queued runs cannot both start when the current one ends
+    while (this.activeRun) {
+      if (policy === "skip") {
+        Utils.log("warn", `Skipping run: run ${this.runId} is still in progress`);
+        return false;
+      }
+      if (policy === "cancel" && this.currentRun) {
+        this.currentRun.cancelRequested = true;
+        Utils.log("info", `Asked run ${this.runId} to cancel`);
+      }
+      Utils.log("info", `Waiting for run ${this.runId} to finish`);
+      await this.activeRun;
+    }
+
+    let settle;
+    this.activeRun = new Promise((resolve) => {
+      settle = resolve;
+    });
+
+    try {
+      return await this.runExclusive(options);
+    } finally {
+      this.activeRun = null;
+      settle();
+    }
+  }
+
+  /**
+   * Run the pipeline once this process has the run to itself
+   * @param {Object} options See run()
+   * @returns {Promise<boolean>} false when another process holds the run lock
+   */
+  async runExclusive(options = {}) {
+    // The daemon reuses one instance, so each run gets its own start time and ID
     this.startTime = new Date();
+    this.runId = this.createRunId();
+    this.currentRun = {
+      runId: this.runId,
+      startedAt: this.startTime.toISOString(),
+      articleCount: 0
+    };
+
+    return logger.runWithContext({ runId: this.runId }, async () => {
+      // Dry runs write nothing to the vault and never wait for the lock
+      if (!config.isDryRun() && !(await runLock.acquire(this.runId))) {
+        this.finishRun("skipped");
+        return false;
+      }
+
+      try {
+        await this.runPipeline(options);
+      } finally {
+        await runLock.release();
+      }
+
+      // A window that ends in the past says nothing about articles since then
+      if (!options.until) {
+        await this.recordSuccessfulRun();
+      }
+      this.finishRun("success");
+      await this.exportMetrics();
+      return true;
+    });
   }
 
   /**
-   * Main execution function
+   * Remember this run as the start of the next run's lookback window.
+   * A run in which no feed could be fetched (e.g. offline) does not count,
+   * so the next run still covers the gap.
    */
-  async run() {
+  async recordSuccessfulRun() {
+    if (config.isDryRun()) {
+      return;
+    }
+
+    try {
+      if (await feedStatusStore.hasSuccessSince(this.startTime)) {
+        await runStateStore.recordSuccess(this.runId, this.startTime);
+      } else {
+        Utils.log("warn", "No feed could be fetched; the next run will look back to the last successful run");
+      }
+    } catch (error) {
+      Utils.log("warn", `Could not save run state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start of this run's lookback window. After downtime (e.g. a weekend
+   * offline) it reaches back to the last successful run instead of one day,
+   * capped at CATCH_UP_MAX_DAYS.
+   * @returns {Promise<Date|null>} null for the regular one-day window
+   */
+  async getLookbackStart() {
+    if (!config.isCatchUpEnabled()) {
+      return null;
+    }
+
+    const lastSuccessAt = await runStateStore.getLastSuccessAt();
+    const defaultStart = feedFetcher.getDefaultLookbackStart(this.startTime);
+    if (!lastSuccessAt || lastSuccessAt >= defaultStart) {
+      return null;
+    }
+
+    const earliest = new Date(this.startTime.getTime() - config.getCatchUpMaxDays() * TIME.ONE_DAY_MILLISECONDS);
+    const since = lastSuccessAt > earliest ? lastSuccessAt : earliest;
+
+    Utils.log("info", `⏪ Catching up: last successful run was ${lastSuccessAt.toISOString()}, looking back to ${since.toISOString()}`);
+    return since;
+  }
+
+  /**
+   * Stop the run at a step boundary if a newer run asked it to cancel
+   * (RUN_LOCK_POLICY=cancel). Also refreshes the run lock.
+   */
+  async throwIfCancelled() {
+    const cancelled = this.currentRun?.cancelRequested || await runLock.heartbeat();
+
+    if (cancelled) {
+      const error = new Error("Run cancelled by a newer run");
+      error.code = "RUN_CANCELLED";
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a run is in progress. A run counts until run() returns,
+   * including the metrics export after its result is recorded.
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.activeRun !== null;
+  }
+
+  /**
+   * Record the outcome of the current run as lastRun
+   * @param {string} result success | failed | cancelled | skipped
+   * @param {Error} error
+   */
+  finishRun(result, error = null) {
+    if (!this.currentRun) {
+      return;
+    }
+
+    const finishedAt = new Date();
+    this.lastRun = {
+      ...this.currentRun,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startTime,
+      result,
+      error: error ? error.message : null
+    };
+    this.currentRun = null;
+
+    metrics.recordRun(result, this.lastRun.durationMs);
+  }
+
+  /**
+   * Write metrics for the textfile collector when METRICS_TEXTFILE is set
+   */
+  async exportMetrics() {
+    try {
+      if (await metrics.writeTextfile()) {
+        Utils.log("debug", `Metrics written to ${config.getMetricsTextfile()}`);
+      }
+    } catch (error) {
+      Utils.log("warn", `Could not write metrics file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Split articles into batches by publication day in TIMEZONE
+   * @param {Array<Object>} articles
+   * @returns {Array<{date: Date, articles: Array<Object>}>} Oldest day first
+   */
+  groupArticlesByDay(articles) {
+    const days = new Map();
+
+    for (const article of articles) {
+      const dateKey = Utils.getDateKey(new Date(article.pubDate));
+      if (!days.has(dateKey)) {
+        days.set(dateKey, []);
+      }
+      days.get(dateKey).push(article);
+    }
+
+    return [...days.keys()].sort().map((dateKey) => ({
+      date: Utils.startOfDayInTimezone(dateKey),
+      articles: days.get(dateKey)
+    }));
+  }
+
+  /**
+   * Process one batch of articles and write it into the folder for date
+   * @param {Array<Object>} articles
+   * @param {Date} date Date of the output folder
+   * @param {boolean} includeHour Add the hour to output filenames
+   * @returns {Promise<Object|null>} { processedData, keywordData }, or null when nothing was generated
+   */
+  async processBatch(articles, date, includeHour) {
+    // Step 2: Process articles with LLM (tagging and summarization)
+    Utils.log("info", `🤖 Processing articles with ${config.getLLMProvider()} LLM provider...`);
+    const processedData = await llmProcessor.processArticles(articles);
+
+    if (!processedData || Object.keys(processedData).length === 0) {
+      return null;
+    }
+
+    // Step 3: Process keyword-based articles (if watch words are configured)
+    Utils.log("info", "🔍 Processing keyword-based articles...");
+    const keywordData = await llmProcessor.processKeywordArticles(articles);
+
+    // Last chance to stop before anything is written to the vault
+    await this.throwIfCancelled();
+
+    // Step 4: Generate output files
+    Utils.log("info", "📁 Generating output files...");
+    await fileOutput.generateOutput(processedData, date, includeHour);
+
+    // Step 5: Generate keyword output files (if any keyword data exists)
+    if (keywordData && Object.keys(keywordData).length > 0) {
+      Utils.log("info", "📝 Generating keyword summary files...");
+      await fileOutput.generateKeywordOutput(keywordData, date);
+    }
+
+    return { processedData, keywordData };
+  }
+
+  /**
+   * Full pipeline for one run (logs carry the run ID set by run())
+   * @param {Object} options See run()
+   */
+  async runPipeline(options = {}) {
     try {
       Utils.log("info", "🚀 RSS Feeder starting...");
 
@@ -26,42 +300,94 @@ class RSSFeeder {
 
       // Step 1: Fetch all articles from RSS feeds
       Utils.log("info", "📰 Fetching RSS feeds...");
-      const articles = await feedFetcher.getAllArticles(true); // Only today's articles
+      const since = options.since || await this.getLookbackStart();
+      let articles = await feedFetcher.getAllArticles(true, {
+        since,
+        until: options.until,
+        // A 304 carries no items, so a backfill always fetches full feeds
+        conditional: !options.backfill
+      });
+      metrics.articlesTotal.inc({ stage: "fetched" }, articles?.length || 0);
+      await this.throwIfCancelled();
 
       if (!articles || articles.length === 0) {
         Utils.log("warn", "No articles found for today. Exiting.");
+        await this.persistRunState([]);
         return;
       }
 
+      // Skip articles already processed by an earlier run. A backfill
+      // regenerates its days, so it keeps articles that were already written.
+      if (config.isSeenStoreEnabled() && !options.backfill) {
+        articles = await seenStore.filterUnseen(articles);
+
+        if (articles.length === 0) {
+          Utils.log("info", "No new articles since the last run. Exiting.");
+          await this.persistRunState([]);
+          return;
+        }
+      }
+
       Utils.log("info", `Found ${articles.length} articles to process`);
+      metrics.articlesTotal.inc({ stage: "new" }, articles.length);
+
+      // Replace teasers with the article text for feeds that set fetchFullText
+      articles = await articleExtractor.enrichArticles(articles);
+      await this.throwIfCancelled();
+
+      // Merge the same story syndicated across feeds into one entry with
+      // several sources (every merged article is still marked as seen)
+      const stories = config.isStoryClusteringEnabled()
+        ? storyClusterer.clusterArticles(articles)
+        : articles;
+
+      // A backfill writes each day into its own folder; a regular run writes
+      // everything into today's folder
+      const batches = options.backfill
+        ? this.groupArticlesByDay(stories)
+        : [{ date: this.startTime, articles: stories }];
+      const includeHour = !options.backfill && config.getEnableHourlyFiles();
+      const processedData = {};
+      const keywordData = {};
+
+      for (const batch of batches) {
+        if (options.backfill) {
+          Utils.log("info", `📆 Backfilling ${Utils.formatDate(batch.date)}: ${batch.articles.length} articles`);
+        }
 
-      // Step 2: Process articles with LLM (tagging and summarization)
-      Utils.log("info", "🤖 Processing articles with Gemini API...");
-      const processedData = await llmProcessor.processArticles(articles);
+        const result = await this.processBatch(batch.articles, batch.date, includeHour);
+        if (!result) {
+          if (options.backfill) {
+            Utils.log("warn", `No processed data generated for ${Utils.formatDate(batch.date)}`);
+          }
+          continue;
+        }
+
+        // Kept for the weekly and monthly digests; a backfill regenerates the whole day
+        await resultsStore.recordDay(batch.date, result.processedData, result.keywordData, {
+          replace: Boolean(options.backfill)
+        });
+
+        // Totals for the summary below (counts are summed across days)
+        for (const [tag, data] of Object.entries(result.processedData)) {
+          processedData[tag] = { count: (processedData[tag]?.count || 0) + data.count };
+        }
+        for (const [keyword, data] of Object.entries(result.keywordData || {})) {
+          keywordData[keyword] = { count: (keywordData[keyword]?.count || 0) + data.count };
+        }
+      }
 
-      if (!processedData || Object.keys(processedData).length === 0) {
+      if (Object.keys(processedData).length === 0) {
         Utils.log("warn", "No processed data generated. Exiting.");
         return;
       }
 
-      // Step 3: Process keyword-based articles (if watch words are configured)
-      Utils.log("info", "🔍 Processing keyword-based articles...");
-      const keywordData = await llmProcessor.processKeywordArticles(articles);
-
-      // Step 4: Generate output files
-      Utils.log("info", "📁 Generating output files...");
-      const includeHour = config.getEnableHourlyFiles();
-      await fileOutput.generateOutput(processedData, this.startTime, includeHour);
-
-      // Step 5: Generate keyword output files (if any keyword data exists)
-      if (keywordData && Object.keys(keywordData).length > 0) {
-        Utils.log("info", "📝 Generating keyword summary files...");
-        await fileOutput.generateKeywordOutput(keywordData);
-      }
+      // Step 6: Remember processed articles and feed validators for the next run
+      await this.persistRunState(articles);
 
       // Summary
       const totalCategories = Object.keys(processedData).length;
-      const totalKeywords = keywordData ? Object.keys(keywordData).length : 0;
+      const totalKeywords = Object.keys(keywordData).length;
       const totalProcessedArticles = Object.values(processedData).reduce(
         (sum, data) => sum + data.count,
         0
@@ -84,17 +410,57 @@ class RSSFeeder {
         );
       }
       Utils.log("info", `⏱️  Execution time: ${executionTime} seconds`);
+
+      this.currentRun.articleCount = totalProcessedArticles;
+      metrics.articlesTotal.inc({ stage: "processed" }, totalProcessedArticles);
     } catch (error) {
-      Utils.log("error", "❌ RSS Feeder failed:", error.message);
+      const cancelled = error.code === "RUN_CANCELLED";
 
-      if (config.isDebugMode()) {
+      if (cancelled) {
+        Utils.log("warn", "🛑 RSS Feeder run cancelled before writing output");
+      } else {
+        Utils.log("error", "❌ RSS Feeder failed:", error.message);
+      }
+
+      if (config.isDebugMode() && !cancelled) {
         console.error("Full error details:", error);
       }
 
+      this.finishRun(cancelled ? "cancelled" : "failed", error);
+      await this.exportMetrics();
+
+      if (!this.exitOnError) {
+        throw error;
+      }
+      await runLock.release();
       process.exit(1);
     }
   }
 
+  /**
+   * Persist state that lets the next run skip work already done
+   * @param {Array<Object>} processedArticles Articles written to output in this run
+   */
+  async persistRunState(processedArticles) {
+    if (config.isDryRun()) {
+      Utils.log("info", "Dry run: not updating the seen-article store or feed cache");
+      return;
+    }
+
+    if (config.isSeenStoreEnabled()) {
+      await seenStore.markSeen(processedArticles, this.startTime);
+      await seenStore.prune();
+      await seenStore.save();
+    }
+
+    if (config.isConditionalFetchEnabled()) {
+      await feedCache.commit();
+    }
+
+    await resultsStore.prune();
+    await resultsStore.save();
+  }
+
   /**
    * Validate configuration before starting
    */
@@ -102,14 +468,38 @@ class RSSFeeder {
     Utils.log("info", "🔧 Validating configuration...");
 
     // Check required API keys
-    if (!config.getGeminiApiKey()) {
+    if (config.getLLMProvider() === LLM_PROVIDERS.GEMINI && !config.getGeminiApiKey()) {
       throw new Error("GEMINI_API_KEY environment variable is required");
     }
 
-    if (!config.getObsidianApiKey()) {
+    if (!Object.values(LLM_PROVIDERS).includes(config.getLLMProvider())) {
+      throw new Error(`Unknown LLM_PROVIDER: ${config.getLLMProvider()}`);
+    }
+
+    if (!Object.values(OUTPUT_BACKENDS).includes(config.getOutputBackend())) {
+      throw new Error(`Unknown OUTPUT_BACKEND: ${config.getOutputBackend()}`);
+    }
+
+    if (config.getOutputBackend() === OUTPUT_BACKENDS.OBSIDIAN && !config.isDryRun() && !config.getObsidianApiKey()) {
       throw new Error("OBSIDIAN_API_KEY environment variable is required");
     }
 
+    if (!Object.values(SUMMARY_MODES).includes(config.getSummaryMode())) {
+      throw new Error(`Unknown SUMMARY_MODE: ${config.getSummaryMode()}`);
+    }
+
+    try {
+      Utils.getDateKey(new Date());
+    } catch (error) {
+      throw new Error(`Unknown TIMEZONE: ${config.getTimezone()}`);
+    }
+
+    // Report broken watch words (e.g. query syntax errors) before any work is done
+    const watchWordErrors = watchWordMatcher.validate(config.getWatchWords());
+    if (watchWordErrors.length > 0) {
+      throw new Error(`Invalid watch words:\n${watchWordErrors.map((message) => `  - ${message}`).join("\n")}`);
+    }
+
     // Check RSS feeds
     const feeds = config.getRssFeeds();
     if (!feeds || feeds.length === 0) {
@@ -133,14 +523,28 @@ class RSSFeeder {
     // Log configuration (without sensitive data)
     if (config.isDebugMode()) {
       Utils.log("info", "Configuration:");
-      Utils.log("info", `- Obsidian API URL: ${config.getObsidianApiUrl()}`);
+      Utils.log("info", `- Output backend: ${config.isDryRun() ? "dry run" : config.getOutputBackend()}`);
+      if (config.getOutputBackend() === OUTPUT_BACKENDS.OBSIDIAN) {
+        Utils.log("info", `- Obsidian API URL: ${config.getObsidianApiUrl()}`);
+      } else {
+        Utils.log("info", `- Vault directory: ${config.getVaultDirectory()}`);
+      }
       Utils.log("info", `- Timezone: ${config.getTimezone()}`);
       Utils.log("info", `- Max retries: ${config.getMaxRetries()}`);
+      Utils.log("info", `- LLM provider: ${config.getLLMProvider()} (${llmProcessor.getProvider().model})`);
+      Utils.log(
+        "info",
+        `- LLM request delay: ${config.getGeminiRequestDelay()}ms`
+      );
       Utils.log(
         "info",
-        `- Gemini request delay: ${config.getGeminiRequestDelay()}ms`
+        `- LLM concurrency: ${config.getLLMConcurrency()} (RPM limit: ${config.getLLMRequestsPerMinute() || "none"}, TPM limit: ${config.getLLMTokensPerMinute() || "none"})`
       );
       Utils.log("info", `- RSS feeds: ${feeds.length} configured`);
+      Utils.log(
+        "info",
+        `- Seen-article store: ${config.isSeenStoreEnabled() ? `enabled (${config.getSeenRetentionDays()} days)` : "disabled"}`
+      );
     }
   }
 
@@ -151,15 +555,21 @@ class RSSFeeder {
     try {
       Utils.log("info", "🏥 Running health check...");
 
-      // Check Obsidian API connection
-      const obsidianConnected = await fileOutput.testConnection();
-      if (!obsidianConnected) {
-        throw new Error("Obsidian API connection failed");
+      // Check output backend (Obsidian API or vault directory)
+      const outputConnected = await fileOutput.testConnection();
+      if (!outputConnected) {
+        throw new Error(`Output backend check failed (${config.getOutputBackend()})`);
       }
 
-      // Check if we can access Gemini API
+      // Check if we can access the LLM provider
       const testPrompt = await Utils.loadPrompt('health-check.md');
-      await llmProcessor.makeGeminiRequest(testPrompt);
+      await llmProcessor.makeLLMRequest(testPrompt);
+
+      // Report feeds whose recent fetches failed
+      const feedsHealthy = await this.checkFeedHealth();
+      if (!feedsHealthy) {
+        throw new Error("All configured feeds are failing");
+      }
 
       Utils.log("info", "✅ Health check passed");
       return true;
@@ -169,10 +579,51 @@ class RSSFeeder {
     }
   }
 
+  /**
+   * Log feeds that are failing or backing off
+   * @returns {Promise<boolean>} False when every fetched feed is failing
+   */
+  async checkFeedHealth() {
+    const feedUrls = config.getRssFeedsWithTags().map((feed) => feed.url);
+    let fetchedCount = 0;
+    let failingCount = 0;
+
+    for (const feedUrl of feedUrls) {
+      const status = await feedStatusStore.get(feedUrl);
+      const health = feedStatusStore.getHealth(status);
+
+      if (health === "unknown") {
+        continue;
+      }
+
+      fetchedCount++;
+      if (health === "failing" || health === "backoff") {
+        failingCount++;
+        const retry = health === "backoff" ? `, skipped until ${status.nextAttemptAt}` : "";
+        Utils.log(
+          "warn",
+          `Feed failing: ${feedUrl} (${status.consecutiveFailures} consecutive failures, last HTTP status ${status.lastHttpStatus ?? "-"}, last success ${status.lastSuccessAt || "never"}${retry}): ${status.lastError}`
+        );
+      }
+    }
+
+    Utils.log("info", `Feed health: ${fetchedCount - failingCount}/${fetchedCount} fetched feeds healthy`);
+
+    return fetchedCount === 0 || failingCount < fetchedCount;
+  }
+
   /**
    * Test run with limited data
    */
   async testRun() {
+    this.runId = this.createRunId();
+    return logger.runWithContext({ runId: this.runId }, () => this.runTestPipeline());
+  }
+
+  /**
+   * Test pipeline (logs carry the run ID set by testRun())
+   */
+  async runTestPipeline() {
     try {
       Utils.log("info", "🧪 Running test mode...");
 
@@ -215,6 +666,32 @@ class RSSFeeder {
       throw error;
     }
   }
+
+  /**
+   * Write the weekly or monthly digest of the period containing a day
+   * from the results of past runs
+   * @param {string} period "week" or "month"
+   * @param {string} dateKey Any day of the period (default: today in TIMEZONE)
+   * @returns {Promise<string|null>} Vault path of the digest, or null when nothing was stored
+   */
+  async generateDigest(period, dateKey) {
+    this.runId = this.createRunId();
+    return logger.runWithContext({ runId: this.runId }, async () => {
+      this.validateConfiguration();
+      return digestGenerator.generate(period, dateKey);
+    });
+  }
+
+  /**
+   * Purge the persistent seen-article store
+   * @returns {Promise<number>} Number of removed records
+   */
+  async purgeSeenArticles() {
+    Utils.log("info", "🧹 Purging seen-article store...");
+    const removed = await seenStore.purge();
+    Utils.log("info", `✅ Removed ${removed} records from ${seenStore.getStorePath()}`);
+    return removed;
+  }
 }
 
 module.exports = RSSFeeder;
\ No newline at end of file
@@ -0,0 +1,375 @@
+/**
+ * Run Lock
+ * Lockfile in the data directory that keeps pipeline runs in different
+ * processes (daemon, manual `node src/main.js`) from writing the same vault
+ * files at once. The holder refreshes the lock on a timer; a lock whose process
+ * is gone, or which has not been refreshed for RUN_LOCK_STALE_MINUTES, is
+ * treated as abandoned and taken over.
+ * Only the holder rewrites the lockfile; other processes ask it to cancel
+ * through a separate marker file keyed by its run ID.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Utils = require('./utils');
+const config = require('./config');
+const { PATHS, RUN_LOCK, TIME } = require('./constants');
+
+class RunLock {
+  constructor() {
+    this.runId = null;
+    this.refreshTimer = null;
+    // Lock refreshes run one after another so they never write at the same time
+    this.refreshing = Promise.resolve();
+  }
+
+  /**
+   * Get path of the lockfile
+   * @returns {string}
+   */
+  getLockPath() {
+    return path.join(config.getDataDirectory(), PATHS.RUN_LOCK_FILE);
+  }
+
+  /**
+   * Get path of the marker file that asks a run to cancel
+   * @param {string} runId
+   * @returns {string}
+   */
+  getCancelPath(runId) {
+    const safeRunId = String(runId).replace(/[^\w-]/g, '_');
+    return path.join(config.getDataDirectory(), `${PATHS.RUN_LOCK_FILE}.${safeRunId}.cancel`);
+  }
+
+  /**
+   * Read a lockfile as written
+   * @param {string} filePath Default: the lockfile
+   * @returns {Promise<string|null>} Contents, null when the file does not exist
+   */
+  async readLockFile(filePath = this.getLockPath()) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse lockfile contents
+   * @param {string|null} raw
+   * @returns {Object|null} { runId, pid, hostname, startedAt, updatedAt },
+   *   {} for an unreadable lockfile, null when unlocked
+   */
+  parseHolder(raw) {
+    if (raw === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Read the current lock holder
+   * @returns {Promise<Object|null>} See parseHolder()
+   */
+  async readHolder() {
+    try {
+      return this.parseHolder(await this.readLockFile());
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Write lockfile contents through a temporary file so readers never see a partial file
+   * @param {Object} holder
+   * @param {boolean} exclusive Fail with EEXIST instead of replacing an existing lock
+   */
+  async writeHolder(holder, exclusive = false) {
+    const lockPath = this.getLockPath();
+    const tempPath = `${lockPath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(holder, null, 2), 'utf8');
+
+    try {
+      if (exclusive) {
+        await fs.link(tempPath, lockPath);
+      } else {
+        await fs.rename(tempPath, lockPath);
+      }
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Check whether a lock was abandoned by its process
+   * @param {Object} holder
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isStale(holder, now = new Date()) {
+    if (!holder.runId || !holder.pid) {
+      return true;
+    }
+
+    if (holder.hostname === os.hostname() && !this.isProcessAlive(holder.pid)) {
+      return true;
+    }
+
+    const updatedAt = new Date(holder.updatedAt || holder.startedAt).getTime();
+    if (Number.isNaN(updatedAt)) {
+      return true;
+    }
+    return now.getTime() - updatedAt >= config.getRunLockStaleMinutes() * TIME.ONE_MINUTE_MILLISECONDS;
+  }
+
+  /**
+   * Check whether a process exists on this host
+   * @param {number} pid
+   * @returns {boolean}
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Take the lock once, replacing a stale one
+   * @param {string} runId
+   * @returns {Promise<Object|null>} null when acquired, otherwise the live holder
+   */
+  async tryAcquire(runId) {
+    const now = new Date().toISOString();
+    const holder = { runId, pid: process.pid, hostname: os.hostname(), startedAt: now, updatedAt: now };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await this.writeHolder(holder, true);
+        this.runId = runId;
+        this.startRefreshTimer();
+        return null;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const raw = await this.readLockFile();
+      const current = this.parseHolder(raw);
+      if (current && !this.isStale(current)) {
+        return current;
+      }
+
+      if (raw !== null) {
+        Utils.log('warn', `Removing stale run lock${current.runId ? ` of run ${current.runId} (pid ${current.pid})` : ''}`);
+        await this.removeStaleLock(raw);
+      }
+    }
+
+    return this.readHolder();
+  }
+
+  /**
+   * Remove the lockfile only if it is still the stale lock that was read.
+   * It is moved aside first, so a fresh lock taken by another waiter in the
+   * meantime is put back instead of deleted.
+   * @param {string} staleRaw Contents of the lock judged stale
+   */
+  async removeStaleLock(staleRaw) {
+    const lockPath = this.getLockPath();
+    const asidePath = `${lockPath}.${process.pid}.stale`;
+
+    try {
+      await fs.rename(lockPath, asidePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const asideRaw = await this.readLockFile(asidePath);
+      if (asideRaw === staleRaw) {
+        return;
+      }
+
+      try {
+        await fs.link(asidePath, lockPath);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        Utils.log('warn', 'Could not restore a run lock taken while removing a stale one');
+      }
+    } finally {
+      await fs.rm(asidePath, { force: true });
+    }
+  }
+
+  /**
+   * Take the lock, applying the overlap policy when another process holds it
+   * @param {string} runId
+   * @param {string} policy skip | queue | cancel (default RUN_LOCK_POLICY)
+   * @returns {Promise<boolean>} false when the run should be skipped
+   */
+  async acquire(runId, policy = config.getRunLockPolicy()) {
+    let waiting = false;
+    let cancelled = null;
+
+    for (;;) {
+      const holder = await this.tryAcquire(runId);
+      if (!holder) {
+        // The cancelled run may have ended before it saw the request
+        if (cancelled) {
+          await fs.rm(this.getCancelPath(cancelled), { force: true });
+        }
+        return true;
+      }
+
+      if (policy === 'skip') {
+        Utils.log('warn', `Skipping run: run ${holder.runId} (pid ${holder.pid}) holds the run lock since ${holder.startedAt}`);
+        return false;
+      }
+
+      if (!waiting) {
+        if (policy === 'cancel') {
+          await this.requestCancel(holder);
+          cancelled = holder.runId;
+          Utils.log('info', `Asked run ${holder.runId} (pid ${holder.pid}) to cancel`);
+        }
+        Utils.log('info', `Waiting for run ${holder.runId} (pid ${holder.pid}) to release the run lock`);
+        waiting = true;
+      }
+
+      await Utils.sleep(RUN_LOCK.POLL_INTERVAL);
+    }
+  }
+
+  /**
+   * Ask the holder's run to cancel; it stops at its next checkpoint.
+   * The lockfile itself is left to its holder.
+   * @param {Object} holder
+   */
+  async requestCancel(holder) {
+    if (!holder.runId) {
+      return;
+    }
+
+    const request = { requestedAt: new Date().toISOString(), requestedBy: process.pid };
+    await Utils.writeFile(this.getCancelPath(holder.runId), JSON.stringify(request, null, 2));
+  }
+
+  /**
+   * Check whether another process asked a run to cancel
+   * @param {string} runId
+   * @returns {Promise<boolean>}
+   */
+  async isCancelRequested(runId) {
+    try {
+      await fs.access(this.getCancelPath(runId));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Rewrite the lock timestamp if this process still holds the lock
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    const runId = this.runId;
+    const refreshed = this.refreshing.then(async () => {
+      if (!runId || runId !== this.runId) {
+        return;
+      }
+
+      const holder = await this.readHolder();
+      if (holder && holder.runId === runId) {
+        await this.writeHolder({ ...holder, updatedAt: new Date().toISOString() });
+      }
+    });
+
+    this.refreshing = refreshed.catch(() => {});
+    return refreshed;
+  }
+
+  /**
+   * Keep the lock fresh while it is held, so a step that takes longer than
+   * RUN_LOCK_STALE_MINUTES (LLM backoff, a slow feed) does not look abandoned
+   */
+  startRefreshTimer() {
+    this.stopRefreshTimer();
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch((error) => {
+        Utils.log('warn', `Could not refresh run lock: ${error.message}`);
+      });
+    }, RUN_LOCK.REFRESH_INTERVAL);
+    // The timer alone must not keep the process running
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Stop refreshing the lock
+   */
+  stopRefreshTimer() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Refresh the lock timestamp and report whether another process asked this run to cancel
+   * @returns {Promise<boolean>} true when cancellation was requested
+   */
+  async heartbeat() {
+    if (!this.runId) {
+      return false;
+    }
+
+    if (await this.isCancelRequested(this.runId)) {
+      return true;
+    }
+
+    await this.refresh();
+    return false;
+  }
+
+  /**
+   * Release the lock if this process still holds it
+   */
+  async release() {
+    if (!this.runId) {
+      return;
+    }
+
+    // A refresh in flight must not write the lockfile back after it is removed
+    this.stopRefreshTimer();
+    await this.refreshing;
+
+    const holder = await this.readHolder();
+    if (holder && holder.runId === this.runId) {
+      await fs.rm(this.getLockPath(), { force: true });
+    }
+    await fs.rm(this.getCancelPath(this.runId), { force: true });
+    this.runId = null;
+  }
+}
+
+module.exports = new RunLock();
@@ -0,0 +1,99 @@
+/**
+ * Run State Store
+ * Persists when the pipeline last ran successfully and when the daemon's next
+ * scheduled run was due, so runs missed while the machine was off or asleep
+ * can be detected and caught up
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Utils = require('./utils');
+const config = require('./config');
+const { PATHS } = require('./constants');
+
+class RunStateStore {
+  constructor() {
+    this.state = null;
+  }
+
+  /**
+   * Get path of the state file
+   * @returns {string}
+   */
+  getStorePath() {
+    return path.join(config.getDataDirectory(), PATHS.RUN_STATE_FILE);
+  }
+
+  /**
+   * Load state from disk (once per process)
+   * @returns {Promise<Object>} { lastSuccessAt, lastSuccessRunId, nextScheduledRunAt }
+   */
+  async load() {
+    if (this.state) {
+      return this.state;
+    }
+
+    try {
+      const raw = await fs.readFile(this.getStorePath(), 'utf8');
+      const data = JSON.parse(raw);
+      this.state = data && typeof data === 'object' ? data : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Utils.log('warn', `Could not read run state, starting empty: ${error.message}`);
+      }
+      this.state = {};
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Write state to disk
+   */
+  async save() {
+    const state = await this.load();
+    await Utils.writeFile(this.getStorePath(), JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Get the time of the last successful run
+   * @returns {Promise<Date|null>}
+   */
+  async getLastSuccessAt() {
+    const { lastSuccessAt } = await this.load();
+    return lastSuccessAt ? new Date(lastSuccessAt) : null;
+  }
+
+  /**
+   * Record a successful run
+   * @param {string} runId
+   * @param {Date} startedAt Articles published before this were covered by the run
+   */
+  async recordSuccess(runId, startedAt) {
+    const state = await this.load();
+    state.lastSuccessAt = startedAt.toISOString();
+    state.lastSuccessRunId = runId;
+    await this.save();
+  }
+
+  /**
+   * Get the scheduled run time the daemon last waited for
+   * @returns {Promise<Date|null>}
+   */
+  async getNextScheduledRunAt() {
+    const { nextScheduledRunAt } = await this.load();
+    return nextScheduledRunAt ? new Date(nextScheduledRunAt) : null;
+  }
+
+  /**
+   * Record the daemon's next scheduled run time
+   * @param {Date} nextRun
+   */
+  async setNextScheduledRunAt(nextRun) {
+    const state = await this.load();
+    state.nextScheduledRunAt = nextRun.toISOString();
+    await this.save();
+  }
+}
+
+module.exports = new RunStateStore();
@@ -6,6 +6,7 @@
 const cron = require('node-cron');
 const config = require('./config');
 const Utils = require('./utils');
+const runStateStore = require('./runStateStore');
 const { INDICES, CRON } = require('./constants');
 
 class Scheduler {
@@ -13,6 +14,7 @@ class Scheduler {
     this.rssFeeder = rssFeeder;
     this.task = null;
     this.isRunning = false;
+    this.isCatchingUp = false;
   }
 
   /**
@@ -39,8 +41,14 @@ class Scheduler {
       timezone: timezone
     });
 
+    // node-cron skips executions missed while the machine was asleep; run once to catch up
+    if (config.isCatchUpEnabled() && typeof this.task.on === 'function') {
+      this.task.on('execution:missed', () => this.catchUpMissedExecution());
+    }
+
     this.task.start();
     this.isRunning = true;
+    this.recordNextRun();
     
     Utils.log('info', '✅ Scheduler started successfully');
   }
@@ -64,6 +72,49 @@ class Scheduler {
     return this.isRunning;
   }
 
+  /**
+   * Get the next scheduled execution time
+   * @returns {Date|null}
+   */
+  getNextRun() {
+    if (!this.task || typeof this.task.getNextRun !== 'function') {
+      return null;
+    }
+    return this.task.getNextRun();
+  }
+
+  /**
+   * Run once for executions missed while the process was suspended
+   * (several missed executions after one sleep lead to a single run)
+   */
+  catchUpMissedExecution() {
+    if (this.isCatchingUp) {
+      return;
+    }
+
+    this.isCatchingUp = true;
+    Utils.log('warn', '⏰ Missed a scheduled execution (system asleep?); running a catch-up execution');
+    this.executeTask().finally(() => {
+      this.isCatchingUp = false;
+    });
+  }
+
+  /**
+   * Persist the next scheduled run time, so a restart can tell that it was missed
+   */
+  async recordNextRun() {
+    const nextRun = this.getNextRun();
+    if (!nextRun) {
+      return;
+    }
+
+    try {
+      await runStateStore.setNextScheduledRunAt(nextRun);
+    } catch (error) {
+      Utils.log('warn', `Could not save next scheduled run time: ${error.message}`);
+    }
+  }
+
   /**
    * Execute RSS feed processing task
    */
@@ -72,7 +123,12 @@ class Scheduler {
     Utils.log('info', `🚀 Scheduled execution started at ${startTime.toLocaleString()}`);
 
     try {
-      await this.rssFeeder.run();
+      const completed = await this.rssFeeder.run();
+      if (completed === false) {
+        Utils.log('warn', '⏭️  Scheduled execution skipped: another run is in progress');
+        return;
+      }
+
       const endTime = new Date();
       const duration = Math.round((endTime - startTime) / 1000);
       Utils.log('info', `✅ Scheduled execution completed in ${duration} seconds`);
@@ -82,6 +138,8 @@ class Scheduler {
       if (config.isDebugMode()) {
         console.error('Full error details:', error);
       }
+    } finally {
+      await this.recordNextRun();
     }
   }
 
@@ -0,0 +1,165 @@
+/**
+ * Seen Article Store
+ * Persists keys of already processed articles so scheduled runs skip them
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Utils = require('./utils');
+const config = require('./config');
+const { PATHS, TIME } = require('./constants');
+
+class SeenStore {
+  constructor() {
+    this.entries = null;
+  }
+
+  /**
+   * Get path of the store file
+   * @returns {string} Absolute or relative file path
+   */
+  getStorePath() {
+    return path.join(config.getDataDirectory(), PATHS.SEEN_STORE_FILE);
+  }
+
+  /**
+   * Build a stable key for an article from its guid or link
+   * @param {Object} article
+   * @returns {string} SHA-1 hex digest
+   */
+  getArticleKey(article) {
+    const identity = article.guid || article.link || `${article.feedLink || ''}_${article.title || ''}`;
+    return crypto.createHash('sha1').update(identity).digest('hex');
+  }
+
+  /**
+   * Load store contents from disk (once per process)
+   * @returns {Promise<Object>} Map of article key -> record
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    try {
+      const raw = await fs.readFile(this.getStorePath(), 'utf8');
+      const data = JSON.parse(raw);
+      this.entries = data.articles && typeof data.articles === 'object' ? data.articles : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Utils.log('warn', `Could not read seen-article store, starting empty: ${error.message}`);
+      }
+      this.entries = {};
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Write store contents to disk
+   */
+  async save() {
+    const entries = await this.load();
+    const data = {
+      updated: new Date().toISOString(),
+      articles: entries
+    };
+    await Utils.writeFile(this.getStorePath(), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Check whether an article was processed in an earlier run
+   * @param {Object} article
+   * @returns {Promise<boolean>}
+   */
+  async has(article) {
+    const entries = await this.load();
+    return Boolean(entries[this.getArticleKey(article)]);
+  }
+
+  /**
+   * Drop articles that were already processed
+   * @param {Array<Object>} articles
+   * @returns {Promise<Array<Object>>} Articles not seen before
+   */
+  async filterUnseen(articles) {
+    const entries = await this.load();
+    const unseen = articles.filter(article => !entries[this.getArticleKey(article)]);
+
+    Utils.log('info', `Skipped ${articles.length - unseen.length} already processed articles, ${unseen.length} new`);
+
+    return unseen;
+  }
+
+  /**
+   * Record articles as processed
+   * @param {Array<Object>} articles
+   * @param {Date} date Processing time
+   */
+  async markSeen(articles, date = new Date()) {
+    const entries = await this.load();
+    const seenAt = date.toISOString();
+
+    for (const article of articles) {
+      const key = this.getArticleKey(article);
+      if (!entries[key]) {
+        entries[key] = {
+          seenAt: seenAt,
+          title: article.title,
+          link: article.link
+        };
+      }
+    }
+  }
+
+  /**
+   * Remove records older than the retention window
+   * @param {number} retentionDays
+   * @returns {Promise<number>} Number of removed records
+   */
+  async prune(retentionDays = config.getSeenRetentionDays()) {
+    const entries = await this.load();
+    const cutoff = Date.now() - retentionDays * TIME.ONE_DAY_MILLISECONDS;
+    let removed = 0;
+
+    for (const [key, record] of Object.entries(entries)) {
+      if (new Date(record.seenAt).getTime() < cutoff) {
+        delete entries[key];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      Utils.log('info', `Pruned ${removed} seen-article records older than ${retentionDays} days`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove every record from the store
+   * @returns {Promise<number>} Number of removed records
+   */
+  async purge() {
+    const entries = await this.load();
+    const count = Object.keys(entries).length;
+
+    this.entries = {};
+    await this.save();
+
+    Utils.log('info', `Purged ${count} seen-article records`);
+    return count;
+  }
+
+  /**
+   * Get number of records in the store
+   * @returns {Promise<number>}
+   */
+  async size() {
+    const entries = await this.load();
+    return Object.keys(entries).length;
+  }
+}
+
+module.exports = new SeenStore();
@@ -0,0 +1,151 @@
+/**
+ * Daemon HTTP status server
+ *   GET  /healthz  Liveness (503 while shutting down)
+ *   GET  /status   Uptime, last run, next scheduled run and per-feed health
+ *   GET  /metrics  Prometheus metrics
+ *   POST /run      Trigger an immediate run (Authorization: Bearer DAEMON_API_TOKEN)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const Utils = require('./utils');
+const metrics = require('./metrics');
+const { METRICS } = require('./constants');
+
+class StatusServer {
+  /**
+   * @param {Object} daemon Daemon exposing isShuttingDown, getDetailedStatus() and triggerRun()
+   * @param {Object} options
+   * @param {number} options.port
+   * @param {string} options.host
+   * @param {string|null} options.token Bearer token required by POST /run (unset disables it)
+   */
+  constructor(daemon, options = {}) {
+    this.daemon = daemon;
+    this.port = options.port;
+    this.host = options.host;
+    this.token = options.token || null;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} Bound port
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        Utils.log('error', `Status server error on ${req.method} ${req.url}:`, error.message);
+        this.sendJson(res, 500, { error: 'Internal server error' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        Utils.log('info', `🌐 Status server listening on http://${this.host}:${port}`);
+        resolve(port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const routes = {
+      '/healthz': { GET: () => this.handleHealthz(res) },
+      '/status': { GET: () => this.handleStatus(res) },
+      '/metrics': { GET: () => this.handleMetrics(res) },
+      '/run': { POST: () => this.handleRun(req, res) }
+    };
+
+    const route = routes[pathname];
+    if (!route) {
+      return this.sendJson(res, 404, { error: 'Not found' });
+    }
+    if (!route[req.method]) {
+      res.setHeader('Allow', Object.keys(route).join(', '));
+      return this.sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    return route[req.method]();
+  }
+
+  handleHealthz(res) {
+    if (this.daemon.isShuttingDown) {
+      return this.sendJson(res, 503, { status: 'shutting_down' });
+    }
+    return this.sendJson(res, 200, { status: 'ok' });
+  }
+
+  async handleStatus(res) {
+    return this.sendJson(res, 200, await this.daemon.getDetailedStatus());
+  }
+
+  handleMetrics(res) {
+    res.writeHead(200, { 'Content-Type': METRICS.CONTENT_TYPE });
+    res.end(metrics.render());
+  }
+
+  handleRun(req, res) {
+    if (!this.token) {
+      return this.sendJson(res, 403, { error: 'POST /run is disabled; set DAEMON_API_TOKEN to enable it' });
+    }
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this.sendJson(res, 401, { error: 'Unauthorized' });
+    }
+    if (this.daemon.isShuttingDown) {
+      return this.sendJson(res, 503, { error: 'Daemon is shutting down' });
+    }
+
+    const run = this.daemon.triggerRun('http');
+    if (!run) {
+      return this.sendJson(res, 409, { error: 'A run is already in progress' });
+    }
+
+    return this.sendJson(res, 202, { status: 'started', runId: run.runId });
+  }
+
+  /**
+   * Compare the bearer token in constant time
+   * @param {http.IncomingMessage} req
+   * @returns {boolean}
+   */
+  isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return false;
+    }
+
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+module.exports = StatusServer;
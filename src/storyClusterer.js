@@ -0,0 +1,265 @@
+/**
+ * Story Clusterer
+ * Merges near-duplicate articles (the same announcement syndicated across
+ * several feeds) into one story that lists every source. Articles are
+ * compared by canonical URL, by shingles of their normalized titles and by
+ * shingles of the start of their text. Articles of the same feed are never
+ * merged: within one feed a shared text is boilerplate, not a shared story.
+ */
+
+const Utils = require('./utils');
+const config = require('./config');
+const { CLUSTERING } = require('./constants');
+
+// CJK characters are compared one by one, since these scripts have no spaces between words
+const CJK_CHARACTER_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+// Separators between a title and an appended site name ("Title | Site", "Title - Site")
+const SITE_NAME_SEPARATORS = [' | ', ' - ', ' – ', ' — ', ' : '];
+
+/**
+ * Split text into comparable tokens: lowercase words, and single CJK characters
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(CJK_CHARACTER_REGEX, ' $& ')
+    .match(WORD_REGEX) || [];
+}
+
+/**
+ * Build the set of n-token shingles of a token list
+ * @param {Array<string>} tokens
+ * @param {number} size
+ * @returns {Set<string>}
+ */
+function shingle(tokens, size) {
+  const shingles = new Set();
+  if (tokens.length > 0 && tokens.length < size) {
+    shingles.add(tokens.join(' '));
+  }
+  for (let i = 0; i + size <= tokens.length; i++) {
+    shingles.add(tokens.slice(i, i + size).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} 0-1 (0 when either set is empty)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) {
+      shared++;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+class StoryClusterer {
+  /**
+   * Normalize an article URL so syndicated and tracked links to the same page
+   * compare equal: scheme, "www."/"m." hosts, AMP paths, trailing slashes,
+   * fragments and tracking parameters are ignored
+   * @param {string} url
+   * @returns {string} Canonical form ('' if no URL)
+   */
+  canonicalizeUrl(url) {
+    if (!url) {
+      return '';
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url.trim();
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+    const pathname = parsed.pathname.replace(/\/amp\/?$/, '').replace(/\/+$/, '');
+    const params = [...parsed.searchParams]
+      .filter(([key]) => !CLUSTERING.TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase())))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const search = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+    return `${host}${pathname}${search}`;
+  }
+
+  /**
+   * Remove a site name appended to a title ("Title | TechCrunch")
+   * @param {string} title
+   * @param {string} feedTitle
+   * @returns {string}
+   */
+  stripSiteName(title, feedTitle) {
+    const siteName = (feedTitle || '').trim().toLowerCase();
+    if (!title || !siteName) {
+      return title || '';
+    }
+
+    for (const separator of SITE_NAME_SEPARATORS) {
+      const index = title.lastIndexOf(separator);
+      if (index > 0) {
+        const suffix = title.slice(index + separator.length).trim().toLowerCase();
+        if (suffix && (siteName.includes(suffix) || suffix.includes(siteName))) {
+          return title.slice(0, index);
+        }
+      }
+    }
+    return title;
+  }
+
+  /**
+   * Identify the feed an article came from
+   * @param {Object} article
+   * @returns {string} '' when the feed is unknown
+   */
+  getFeedKey(article) {
+    return article.feedUrl || article.feedName || '';
+  }
+
+  /**
+   * Build what an article is compared by
+   * @param {Object} article
+   * @returns {{url: string, title: Set<string>, text: Set<string>}}
+   */
+  getSignature(article) {
+    const title = this.stripSiteName(article.title, article.feedTitle);
+    const text = Utils.stripHtml(article.content || article.description || '')
+      .slice(0, CLUSTERING.TEXT_SAMPLE_LENGTH);
+
+    return {
+      url: this.canonicalizeUrl(article.canonicalUrl || article.link),
+      title: shingle(tokenize(title), CLUSTERING.TITLE_SHINGLE_SIZE),
+      text: text.length >= CLUSTERING.MIN_TEXT_LENGTH
+        ? shingle(tokenize(text), CLUSTERING.TEXT_SHINGLE_SIZE)
+        : new Set()
+    };
+  }
+
+  /**
+   * Check whether two article signatures describe the same story
+   * @param {Object} a Signature from getSignature()
+   * @param {Object} b Signature from getSignature()
+   * @param {number} threshold Minimum title or text similarity
+   * @returns {boolean}
+   */
+  isSameStory(a, b, threshold) {
+    if (a.url && a.url === b.url) {
+      return true;
+    }
+    return jaccard(a.title, b.title) >= threshold || jaccard(a.text, b.text) >= threshold;
+  }
+
+  /**
+   * Group near-duplicate articles into stories. The earliest published
+   * article of a story represents it and lists the others in `sources`.
+   * @param {Array<Object>} articles
+   * @param {number} threshold Minimum similarity (default: STORY_SIMILARITY_THRESHOLD)
+   * @returns {Array<Object>} One article per story, in the order stories first appear
+   */
+  clusterArticles(articles, threshold = config.getStorySimilarityThreshold()) {
+    const signatures = articles.map(article => this.getSignature(article));
+    const parents = articles.map((_, index) => index);
+
+    // Feeds in each story; an article of an unknown feed counts as its own feed
+    const feedsByRoot = articles.map((article, index) => new Set([this.getFeedKey(article) || `#${index}`]));
+    const sharesFeed = (a, b) => [...feedsByRoot[a]].some(feed => feedsByRoot[b].has(feed));
+
+    const find = (index) => {
+      while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+      }
+      return index;
+    };
+
+    // Only articles sharing at least one shingle or the URL are compared
+    const candidatesByKey = new Map();
+
+    signatures.forEach((signature, index) => {
+      const keys = [
+        ...(signature.url ? [`url:${signature.url}`] : []),
+        ...[...signature.title].map(item => `title:${item}`),
+        ...[...signature.text].map(item => `text:${item}`)
+      ];
+
+      const candidates = new Set();
+      for (const key of keys) {
+        for (const candidate of candidatesByKey.get(key) || []) {
+          candidates.add(candidate);
+        }
+      }
+
+      for (const candidate of candidates) {
+        const root = find(candidate);
+        const ownRoot = find(index);
+        if (root !== ownRoot && !sharesFeed(root, ownRoot) && this.isSameStory(signature, signatures[candidate], threshold)) {
+          parents[ownRoot] = root;
+          feedsByRoot[ownRoot].forEach(feed => feedsByRoot[root].add(feed));
+        }
+      }
+
+      for (const key of keys) {
+        if (!candidatesByKey.has(key)) {
+          candidatesByKey.set(key, []);
+        }
+        candidatesByKey.get(key).push(index);
+      }
+    });
+
+    const groups = new Map();
+    articles.forEach((article, index) => {
+      const root = find(index);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(article);
+    });
+
+    const publishedAt = (article) => {
+      const time = new Date(article.pubDate).getTime();
+      return Number.isNaN(time) ? Infinity : time;
+    };
+
+    const stories = [...groups.values()].map((members) => {
+      if (members.length === 1) {
+        return members[0];
+      }
+
+      const [primary, ...others] = [...members].sort((a, b) => publishedAt(a) - publishedAt(b));
+      const sources = others
+        .filter(article => article.link !== primary.link)
+        .map(article => ({
+          title: article.title,
+          link: article.link,
+          feedTitle: article.feedTitle || null
+        }));
+
+      return sources.length > 0 ? { ...primary, sources } : primary;
+    });
+
+    const merged = articles.length - stories.length;
+    if (merged > 0) {
+      const multiSource = stories.filter(story => story.sources).length;
+      Utils.log('info', `🧩 Merged ${merged} near-duplicate articles into ${multiSource} multi-source stories`);
+    }
+
+    return stories;
+  }
+}
+
+module.exports = new StoryClusterer();
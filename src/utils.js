@@ -6,6 +6,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const { format, parseISO } = require('date-fns');
 const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
 const { LIMITS, INDICES, TEXT } = require('./constants');
 
 class Utils {
@@ -18,12 +20,12 @@ class Utils {
   }
 
   /**
-   * Format date for file naming
+   * Format date for file naming (in TIMEZONE, not the host's local time)
    * @param {Date} date 
    * @returns {string} YYYY-MM-DD format
    */
   static formatDate(date = new Date()) {
-    return format(date, 'yyyy-MM-dd');
+    return format(this.toZonedWallClock(date), 'yyyy-MM-dd');
   }
 
   /**
@@ -32,7 +34,7 @@ class Utils {
    * @returns {string} YYYY年MM月DD日 format
    */
   static formatDateJapanese(date = new Date()) {
-    return format(date, 'yyyy年MM月dd日');
+    return format(this.toZonedWallClock(date), 'yyyy年MM月dd日');
   }
 
   /**
@@ -41,7 +43,7 @@ class Utils {
    * @returns {string} YYYY-MM-DD-HH format
    */
   static formatDateWithHour(date = new Date()) {
-    return format(date, 'yyyy-MM-dd-HH');
+    return format(this.toZonedWallClock(date), 'yyyy-MM-dd-HH');
   }
 
   /**
@@ -50,7 +52,96 @@ class Utils {
    * @returns {string} HH format
    */
   static getCurrentHour(date = new Date()) {
-    return format(date, 'HH');
+    return format(this.toZonedWallClock(date), 'HH');
+  }
+
+  /**
+   * Date whose host-local fields show the wall clock of a timezone, so
+   * date-fns format() renders the time in that timezone
+   * @param {Date} date
+   * @param {string} timezone IANA timezone name
+   * @returns {Date}
+   */
+  static toZonedWallClock(date, timezone = config.getTimezone()) {
+    const { year, month, day, hour, minute, second } = this.getZonedParts(date, timezone);
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  /**
+   * Calendar and clock fields of an instant in a timezone
+   * @param {Date} date
+   * @param {string} timezone IANA timezone name
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+   */
+  static getZonedParts(date, timezone = config.getTimezone()) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+      if (type !== 'literal') {
+        parts[type] = parseInt(value, 10);
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Calendar date of an instant in a timezone
+   * @param {Date} date
+   * @param {string} timezone IANA timezone name
+   * @returns {string} YYYY-MM-DD
+   */
+  static getDateKey(date, timezone = config.getTimezone()) {
+    const { year, month, day } = this.getZonedParts(date, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Move a calendar date by a number of days
+   * @param {string} dateKey YYYY-MM-DD
+   * @param {number} days
+   * @returns {string} YYYY-MM-DD
+   */
+  static addDaysToDateKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Offset of a timezone from UTC at an instant
+   * @param {Date} date
+   * @param {string} timezone IANA timezone name
+   * @returns {number} Milliseconds (positive east of UTC)
+   */
+  static getTimezoneOffset(date, timezone = config.getTimezone()) {
+    const { year, month, day, hour, minute, second } = this.getZonedParts(date, timezone);
+    const wallClockAsUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Instant at which a calendar day starts in a timezone
+   * @param {string} dateKey YYYY-MM-DD
+   * @param {string} timezone IANA timezone name
+   * @returns {Date}
+   */
+  static startOfDayInTimezone(dateKey, timezone = config.getTimezone()) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const midnightUTC = Date.UTC(year, month - 1, day);
+
+    // The offset at UTC midnight can differ from the offset at local midnight
+    // around DST changes, so correct the guess once
+    const guess = midnightUTC - this.getTimezoneOffset(new Date(midnightUTC), timezone);
+    return new Date(midnightUTC - this.getTimezoneOffset(new Date(guess), timezone));
   }
 
   /**
@@ -63,7 +154,7 @@ class Utils {
     } catch (error) {
       if (error.code === 'ENOENT') {
         await fs.mkdir(dirPath, { recursive: true });
-        console.log(`Created directory: ${dirPath}`);
+        this.log('info', `Created directory: ${dirPath}`);
       } else {
         throw error;
       }
@@ -79,7 +170,7 @@ class Utils {
     const dir = path.dirname(filePath);
     await this.ensureDirectory(dir);
     await fs.writeFile(filePath, content, 'utf8');
-    console.log(`Written file: ${filePath}`);
+    this.log('info', `Written file: ${filePath}`);
   }
 
   /**
@@ -88,41 +179,35 @@ class Utils {
    * @param {number} maxRetries Maximum number of retries
    * @param {number} baseDelay Base delay in milliseconds
    * @param {string} operationName Name for logging
+   * @param {string} operationType Retry metric label (feed, llm, ...)
    */
-  static async retry(fn, maxRetries = config.getMaxRetries(), baseDelay = config.getRetryDelay(), operationName = 'operation') {
+  static async retry(fn, maxRetries = config.getMaxRetries(), baseDelay = config.getRetryDelay(), operationName = 'operation', operationType = 'other') {
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
         return await fn();
       } catch (error) {
         if (attempt === maxRetries) {
-          console.error(`${operationName} failed after ${maxRetries + 1} attempts:`, error.message);
+          this.log('error', `${operationName} failed after ${maxRetries + 1} attempts:`, error.message);
           throw error;
         }
         
         const delay = baseDelay * Math.pow(2, attempt);
-        console.warn(`${operationName} attempt ${attempt + 1} failed, retrying in ${delay}ms:`, error.message);
+        metrics.retriesTotal.inc({ operation: operationType });
+        this.log('warn', `${operationName} attempt ${attempt + 1} failed, retrying in ${delay}ms:`, error.message);
         await this.sleep(delay);
       }
     }
   }
 
   /**
-   * Log with timestamp
-   * @param {string} level 
+   * Log with timestamp (and the current run ID) through the logger
+   * @param {string} level debug | info | warn | error
    * @param {string} message 
    * @param {any} data 
+   * @param {Object} fields Structured fields for JSON output
    */
-  static log(level, message, data = null) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-    
-    if (level === 'error') {
-      console.error(logMessage, data || '');
-    } else if (level === 'warn') {
-      console.warn(logMessage, data || '');
-    } else {
-      console.log(logMessage, data || '');
-    }
+  static log(level, message, data = null, fields = {}) {
+    logger.log(level, message, data, fields);
   }
 
   /**
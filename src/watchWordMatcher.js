@@ -0,0 +1,199 @@
+/**
+ * Watch Word Matcher
+ * Compiles the watch words from feeds.json (or WATCH_WORDS) into matchers.
+ * A watch word is either a plain string (matched as a substring) or an object:
+ *   {
+ *     "name": "MPC",                                  // keyword file name (required)
+ *     "aliases": ["multi-party computation"],         // other terms for the same topic
+ *     "match": "word",                                // "word" (default for objects) or "substring"
+ *     "regex": ["\\bzk-?(snark|stark)s?\\b"],         // extra regular expressions
+ *     "exclude": ["MPC-HC"],                          // articles mentioning these never match
+ *     "caseSensitive": false,
+ *     "llmCheck": true,                               // let the LLM confirm each match
+ *     "description": "secure multi-party computation" // topic description for the LLM check
+ *   }
+ * Instead of aliases and regex, an object can set a boolean query
+ * (see watchWordQuery.js): { "name": "FHE hardware", "query": "FHE AND (GPU OR hardware) NOT survey" }
+ */
+
+const Utils = require('./utils');
+const { parseQuery, evaluateQuery } = require('./watchWordQuery');
+
+const MATCH_MODES = ['word', 'substring'];
+
+// Letters and digits that continue a Latin word ("ZK" must not match inside "zkSync")
+const WORD_CHARACTER = '[\\p{Script=Latin}\\p{N}_]';
+const WORD_EDGE_REGEX = /^[\p{Script=Latin}\p{N}_]/u;
+
+// Spaces and hyphens inside a term match any run of spaces or hyphens, or none
+// ("multi-party" also matches "multiparty" and "multi party")
+const TERM_SEPARATOR_REGEX = /[\s\-‐‑–—]+/;
+const TERM_SEPARATOR_PATTERN = '[\\s\\-‐‑–—]*';
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Wrap a value in an array (undefined becomes an empty array)
+ * @param {*} value
+ * @returns {Array}
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+class WatchWordMatcher {
+  /**
+   * Build the regular expression source for a term
+   * @param {string} term
+   * @param {boolean} wholeWord Only match the term as a whole word
+   * @returns {string}
+   */
+  termToPattern(term, wholeWord) {
+    const trimmed = term.trim();
+    const body = trimmed.split(TERM_SEPARATOR_REGEX).map(escapeRegExp).join(TERM_SEPARATOR_PATTERN);
+    if (!wholeWord) {
+      return body;
+    }
+
+    // Scripts without spaces between words (e.g. Japanese) have no word edges to check
+    const start = WORD_EDGE_REGEX.test(trimmed) ? `(?<!${WORD_CHARACTER})` : '';
+    const end = WORD_EDGE_REGEX.test([...trimmed].pop()) ? `(?!${WORD_CHARACTER})` : '';
+    return `${start}${body}${end}`;
+  }
+
+  /**
+   * Compile one watch word
+   * @param {string|Object} entry Watch word as configured
+   * @returns {Object} { name, matchers, query, excludes, llmCheck, description }
+   * @throws {Error} When the entry is malformed or a regex or query does not compile
+   */
+  compile(entry) {
+    const definition = typeof entry === 'string' ? { name: entry } : entry;
+    if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+      throw new Error(`Watch word needs a name: ${JSON.stringify(entry)}`);
+    }
+
+    const name = definition.name.trim();
+    // Plain strings keep substring matching ("ZK" still matches "zkSync")
+    const mode = definition.match || (typeof entry === 'string' ? 'substring' : 'word');
+    if (!MATCH_MODES.includes(mode)) {
+      throw new Error(`Watch word "${name}" has unknown match mode: ${mode} (use ${MATCH_MODES.join(' or ')})`);
+    }
+
+    const caseFlag = definition.caseSensitive ? '' : 'i';
+    const compileTerms = (terms) => terms
+      .filter(term => typeof term === 'string' && term.trim())
+      .map(term => new RegExp(this.termToPattern(term, mode === 'word'), `u${caseFlag}`));
+    const compileRegex = (patterns) => patterns.map((pattern) => {
+      try {
+        return new RegExp(pattern, caseFlag);
+      } catch (error) {
+        throw new Error(`Watch word "${name}" has an invalid regex: ${error.message}`);
+      }
+    });
+
+    let query = null;
+    if (definition.query !== undefined) {
+      if (definition.aliases !== undefined || definition.regex !== undefined) {
+        throw new Error(`Watch word "${name}" sets "query" together with "aliases" or "regex"; put those terms into the query`);
+      }
+      try {
+        query = parseQuery(definition.query, term => compileTerms([term])[0]);
+      } catch (error) {
+        throw new Error(`Watch word "${name}" has an invalid query: ${error.message}`);
+      }
+    }
+
+    return {
+      name,
+      // A query decides the match on its own, so the name is only the keyword file name
+      matchers: query ? [] : [
+        ...compileTerms([name, ...toArray(definition.aliases)]),
+        ...compileRegex(toArray(definition.regex))
+      ],
+      query,
+      excludes: compileTerms(toArray(definition.exclude)),
+      llmCheck: definition.llmCheck === true,
+      description: typeof definition.description === 'string' ? definition.description : ''
+    };
+  }
+
+  /**
+   * Compile the configured watch words, skipping (and logging) broken ones
+   * @param {Array<string|Object>} entries
+   * @returns {Array<Object>} Compiled watch words
+   */
+  compileAll(entries) {
+    const compiled = [];
+
+    for (const entry of entries || []) {
+      try {
+        compiled.push(this.compile(entry));
+      } catch (error) {
+        Utils.log('warn', `Skipping watch word: ${error.message}`);
+      }
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Check the configured watch words without compiling them for use
+   * @param {Array<string|Object>} entries
+   * @returns {Array<string>} One message per broken watch word
+   */
+  validate(entries) {
+    const errors = [];
+
+    for (const entry of entries || []) {
+      try {
+        this.compile(entry);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Text of an article that watch words are matched against
+   * @param {Object} article
+   * @returns {string}
+   */
+  getArticleText(article) {
+    return [article.title, article.description, article.content]
+      .filter(Boolean)
+      .map(text => Utils.stripHtml(String(text)))
+      .join('\n');
+  }
+
+  /**
+   * Check whether an article matches a compiled watch word
+   * @param {Object} article
+   * @param {Object} watchWord Compiled watch word from compile()
+   * @param {string} text Article text (default: getArticleText(article))
+   * @returns {boolean}
+   */
+  matches(article, watchWord, text = this.getArticleText(article)) {
+    if (watchWord.excludes.some(pattern => pattern.test(text))) {
+      return false;
+    }
+    if (watchWord.query) {
+      return evaluateQuery(watchWord.query, article, text);
+    }
+    return watchWord.matchers.some(pattern => pattern.test(text));
+  }
+}
+
+module.exports = new WatchWordMatcher();
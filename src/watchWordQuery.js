@@ -0,0 +1,211 @@
+/**
+ * Watch Word Query
+ * Parses and evaluates the boolean query language of watch words:
+ *   FHE AND (GPU OR hardware) NOT survey
+ *   "multi-party computation" title:MPC
+ *   feed:zenn AND (ZK OR "zero knowledge")
+ * Operators are AND, OR and NOT (upper case; a missing operator means AND,
+ * NOT binds tightest, then AND, then OR). Phrases are quoted. A term or a
+ * parenthesized group can be scoped to one field with `field:`.
+ */
+
+const Utils = require('./utils');
+
+// Article text a field: prefix restricts a term to
+const QUERY_FIELDS = {
+  title: article => [article.title],
+  description: article => [article.description],
+  content: article => [article.content],
+  feed: article => [article.feedName, article.feedTitle, article.feedLink],
+  category: article => [article.feedParentTag],
+  link: article => [article.link]
+};
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Build a parse error that points at the offending position
+ * @param {string} query
+ * @param {number} position
+ * @param {string} message
+ * @returns {Error}
+ */
+function queryError(query, position, message) {
+  const error = new Error(`${message} at position ${position + 1} in "${query}"`);
+  error.code = 'INVALID_QUERY';
+  error.position = position;
+  return error;
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} query
+ * @returns {Array<Object>} { type: '(' | ')' | 'operator' | 'field' | 'term', value, position }
+ */
+function tokenize(query) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: index });
+      index++;
+    } else if (char === '"') {
+      const end = query.indexOf('"', index + 1);
+      if (end === -1) {
+        throw queryError(query, index, 'Unterminated quote');
+      }
+      const phrase = query.slice(index + 1, end);
+      if (!phrase.trim()) {
+        throw queryError(query, index, 'Empty phrase');
+      }
+      tokens.push({ type: 'term', value: phrase, position: index });
+      index = end + 1;
+    } else {
+      const field = query.slice(index).match(/^([a-z]+):/i);
+      if (field && QUERY_FIELDS[field[1].toLowerCase()]) {
+        tokens.push({ type: 'field', value: field[1].toLowerCase(), position: index });
+        index += field[0].length;
+        continue;
+      }
+
+      const word = query.slice(index).match(/^[^\s()"]+/)[0];
+      tokens.push({
+        type: OPERATORS.includes(word) ? 'operator' : 'term',
+        value: word,
+        position: index
+      });
+      index += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree of { type: 'or' | 'and', children },
+ * { type: 'not', child } and { type: 'term', value, field, pattern } nodes
+ * @param {string} query
+ * @param {Function} compileTerm (term) => RegExp used to match a term
+ * @returns {Object} Root node
+ * @throws {Error} With code INVALID_QUERY and the position of the problem
+ */
+function parseQuery(query, compileTerm) {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw queryError(String(query ?? ''), 0, 'Empty query');
+  }
+
+  const tokens = tokenize(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (token, value) => token && token.type === 'operator' && token.value === value;
+  const startsOperand = (token) => token && (token.type === 'term' || token.type === 'field' || token.type === '(' || isOperator(token, 'NOT'));
+  const positionOf = (token) => (token ? token.position : query.length);
+
+  const parseOr = (field) => {
+    const children = [parseAnd(field)];
+    while (isOperator(peek(), 'OR')) {
+      index++;
+      children.push(parseAnd(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = (field) => {
+    const children = [parseNot(field)];
+    while (isOperator(peek(), 'AND') || startsOperand(peek())) {
+      if (isOperator(peek(), 'AND')) {
+        index++;
+      }
+      children.push(parseNot(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = (field) => {
+    if (isOperator(peek(), 'NOT')) {
+      index++;
+      return { type: 'not', child: parseNot(field) };
+    }
+    return parsePrimary(field);
+  };
+
+  const parsePrimary = (field) => {
+    const token = peek();
+
+    if (!token) {
+      throw queryError(query, query.length, 'Expected a term');
+    }
+
+    if (token.type === 'field') {
+      if (field) {
+        throw queryError(query, token.position, `Field "${token.value}:" inside "${field}:"`);
+      }
+      index++;
+      const next = peek();
+      if (!next || (next.type !== 'term' && next.type !== '(')) {
+        throw queryError(query, positionOf(next), `Expected a term or "(" after "${token.value}:"`);
+      }
+      return parsePrimary(token.value);
+    }
+
+    if (token.type === '(') {
+      index++;
+      const node = parseOr(field);
+      if (!peek() || peek().type !== ')') {
+        throw queryError(query, positionOf(peek()), 'Expected ")"');
+      }
+      index++;
+      return node;
+    }
+
+    if (token.type === 'term') {
+      index++;
+      return { type: 'term', value: token.value, field, pattern: compileTerm(token.value) };
+    }
+
+    throw queryError(query, token.position, `Unexpected "${token.value || token.type}"`);
+  };
+
+  const root = parseOr(null);
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw queryError(query, token.position, `Unexpected "${token.value || token.type}"`);
+  }
+  return root;
+}
+
+/**
+ * Evaluate a parsed query against an article
+ * @param {Object} node Root node from parseQuery()
+ * @param {Object} article
+ * @param {string} text Text matched by terms without a field
+ * @returns {boolean}
+ */
+function evaluateQuery(node, article, text) {
+  switch (node.type) {
+    case 'or':
+      return node.children.some(child => evaluateQuery(child, article, text));
+    case 'and':
+      return node.children.every(child => evaluateQuery(child, article, text));
+    case 'not':
+      return !evaluateQuery(node.child, article, text);
+    default: {
+      const target = node.field
+        ? QUERY_FIELDS[node.field](article).filter(Boolean).map(value => Utils.stripHtml(String(value))).join('\n')
+        : text;
+      return node.pattern.test(target);
+    }
+  }
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  parseQuery,
+  evaluateQuery
+};
@@ -3,6 +3,10 @@
  * Configures global test environment and utilities
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 // Mock environment variables for testing
 if (!process.env.GEMINI_API_KEY) {
   process.env.GEMINI_API_KEY = 'test-gemini-key';
@@ -20,6 +24,20 @@ if (!process.env.TIMEZONE) {
   process.env.TIMEZONE = 'Asia/Tokyo';
 }
 
+// Keep run state, stores and the run lock out of the checkout's ./data
+// (spawned daemons in integration tests inherit this environment)
+let testDataDirectory = null;
+if (!process.env.DATA_DIRECTORY) {
+  testDataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-feeder-test-'));
+  process.env.DATA_DIRECTORY = testDataDirectory;
+}
+
+afterAll(() => {
+  if (testDataDirectory) {
+    fs.rmSync(testDataDirectory, { recursive: true, force: true });
+  }
+});
+
 // Suppress console output during tests unless DEBUG is set
 const originalConsole = console;
 global.console = {
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for ArticleExtractor
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('ArticleExtractor', () => {
+  let articleExtractor;
+  let axios;
+  let dataDir;
+  let originalEnv;
+
+  const paragraph = 'This paragraph explains the actual story in enough detail to be kept.';
+
+  const page = `<!DOCTYPE html>
+<html><head><title>Story</title><script>var tracking = "<p>not text</p>";</script></head>
+<body>
+  <header><p>Site header with navigation and a long enough line</p></header>
+  <nav><ul><li><a href="/">Home</a></li></ul></nav>
+  <article>
+    <h1>Real headline</h1>
+    <p>${paragraph}</p>
+    <p>Second paragraph with &quot;quotes&quot; &amp; entities &#x2014; decoded.</p>
+    <ul><li><a href="/related/1">Related article link one that is long</a></li></ul>
+  </article>
+  <footer><p>Copyright footer text that should not be extracted at all</p></footer>
+</body></html>`;
+
+  const article = (overrides = {}) => ({
+    title: 'Story',
+    link: 'https://example.com/story',
+    description: 'Short teaser',
+    content: '<p>Short teaser</p>',
+    feedFetchFullText: true,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'article-extractor-'));
+    process.env.DATA_DIRECTORY = dataDir;
+
+    jest.resetModules();
+    jest.doMock('axios');
+    axios = require('axios');
+    articleExtractor = require('../../src/articleExtractor');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('extractContent', () => {
+    test('should keep article paragraphs and drop boilerplate', () => {
+      const content = articleExtractor.extractContent(page);
+
+      expect(content).toBe([
+        '## Real headline',
+        paragraph,
+        'Second paragraph with "quotes" & entities — decoded.'
+      ].join('\n\n'));
+    });
+
+    test('should fall back to line breaks for pages without paragraphs', () => {
+      const content = articleExtractor.extractContent(
+        `<body><div>${paragraph}</div><div>ok</div><div>Another long enough line of body text here.</div></body>`
+      );
+
+      expect(content).toBe(`${paragraph}\n\nAnother long enough line of body text here.`);
+    });
+
+    test('should cap the extracted length', () => {
+      const long = `<article>${`<p>${'x'.repeat(1000)}</p>`.repeat(50)}</article>`;
+
+      expect(articleExtractor.extractContent(long).length).toBeLessThanOrEqual(20000);
+    });
+  });
+
+  describe('extractCanonicalUrl', () => {
+    test('should resolve the canonical link against the page URL', () => {
+      const html = '<head><link rel="stylesheet" href="/a.css"><link href="/posts/1?a=1&amp;b=2" rel="canonical"></head>';
+
+      expect(articleExtractor.extractCanonicalUrl(html, 'https://m.example.com/amp/posts/1'))
+        .toBe('https://m.example.com/posts/1?a=1&b=2');
+      expect(articleExtractor.extractCanonicalUrl('<head></head>', 'https://example.com/')).toBeNull();
+    });
+  });
+
+  describe('enrichArticles', () => {
+    test('should replace teaser content for feeds with fetchFullText', async () => {
+      axios.get.mockResolvedValue({ data: page, headers: { 'content-type': 'text/html; charset=utf-8' } });
+
+      const [enriched, untouched] = await articleExtractor.enrichArticles([
+        article(),
+        article({ link: 'https://example.com/other', feedFetchFullText: false })
+      ]);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][1].maxContentLength).toBe(2 * 1024 * 1024);
+      expect(enriched.fullText).toBe(true);
+      expect(enriched.content).toContain(paragraph);
+      expect(enriched.description).toBe('Short teaser');
+      expect(untouched.content).toBe('<p>Short teaser</p>');
+    });
+
+    test('should reuse cached text across runs', async () => {
+      axios.get.mockResolvedValue({ data: page, headers: { 'content-type': 'text/html' } });
+      await articleExtractor.enrichArticles([article()]);
+
+      jest.resetModules();
+      jest.doMock('axios');
+      const freshAxios = require('axios');
+      const freshExtractor = require('../../src/articleExtractor');
+
+      const [enriched] = await freshExtractor.enrichArticles([article()]);
+
+      expect(freshAxios.get).not.toHaveBeenCalled();
+      expect(enriched.content).toContain(paragraph);
+    });
+
+    test('should not write the cache in a dry run', async () => {
+      process.env.DRY_RUN = 'true';
+      jest.resetModules();
+      jest.doMock('axios');
+      const dryRunAxios = require('axios');
+      const dryRunExtractor = require('../../src/articleExtractor');
+      dryRunAxios.get.mockResolvedValue({ data: page, headers: { 'content-type': 'text/html' } });
+
+      const [enriched] = await dryRunExtractor.enrichArticles([article()]);
+
+      expect(enriched.content).toContain(paragraph);
+      expect(fs.readdirSync(dataDir)).toEqual([]);
+    });
+
+    test('should keep feed content when the page cannot be used', async () => {
+      axios.get
+        .mockRejectedValueOnce(new Error('maxContentLength size of 2097152 exceeded'))
+        .mockResolvedValueOnce({ data: '%PDF', headers: { 'content-type': 'application/pdf' } });
+
+      const results = await articleExtractor.enrichArticles([
+        article(),
+        article({ link: 'https://example.com/paper.pdf' })
+      ]);
+
+      expect(results.map(result => result.fullText)).toEqual([undefined, undefined]);
+      expect(results[0].content).toBe('<p>Short teaser</p>');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for relevance scoring and ranking
+ */
+
+describe('ArticleScorer', () => {
+  let articleScorer;
+  let originalEnv;
+
+  const article = (title, overrides = {}) => ({
+    title,
+    link: `https://example.com/${encodeURIComponent(title)}`,
+    description: '',
+    content: '',
+    pubDate: '2024-03-01T00:00:00Z',
+    feedTitle: 'Example',
+    feedParentTag: 'cryptography',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    process.env.WATCH_WORDS = JSON.stringify(['FHE', 'MPC']);
+    process.env.GEMINI_REQUEST_DELAY = '0';
+    process.env.RETRY_DELAY = '0';
+    process.env.MAX_RETRIES = '0';
+
+    jest.resetModules();
+    articleScorer = require('../../src/articleScorer');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should rank watch-word hits, coverage and feed priority above plain articles', () => {
+    const ranked = articleScorer.rankArticles([
+      article('Plain paper', { pubDate: '2024-03-02T00:00:00Z' }),
+      article('FHE meets MPC'),
+      article('Widely covered launch', { sources: [{ link: 'a' }, { link: 'b' }, { link: 'c' }] }),
+      article('Priority feed paper', { feedPriority: 1.5 })
+    ]);
+
+    expect(ranked.map(ranked => ranked.title)).toEqual(['FHE meets MPC', 'Widely covered launch', 'Priority feed paper', 'Plain paper']);
+    expect(ranked.map(ranked => ranked.score)).toEqual([2.33, 2, 1.5, 1]);
+  });
+
+  test('should apply SCORING_WEIGHTS', () => {
+    process.env.SCORING_WEIGHTS = JSON.stringify({ watchWords: 0 });
+
+    const ranked = articleScorer.rankArticles([
+      article('FHE meets MPC', { pubDate: '2024-02-01T00:00:00Z' }),
+      article('Newer plain paper')
+    ]);
+
+    expect(ranked[0].title).toBe('Newer plain paper');
+  });
+
+  test('should rank by LLM importance when SCORING_LLM_IMPORTANCE is true', async () => {
+    process.env.SCORING_LLM_IMPORTANCE = 'true';
+    jest.resetModules();
+    const llmProcessor = require('../../src/llmProcessor');
+    jest.spyOn(llmProcessor, 'makeLLMRequest').mockImplementation(async (prompt) => (
+      prompt.includes('重要度') ? '1: 2\n2: 5\n3: 1' : 'カテゴリ要約'
+    ));
+
+    const result = await llmProcessor.processArticles([
+      article('Minor update'),
+      article('Major break'),
+      article('Press release')
+    ]);
+
+    expect(result.cryptography.articles.map(ranked => ranked.title)).toEqual(['Major break', 'Minor update', 'Press release']);
+  });
+
+  test('should render the top articles as highlights', async () => {
+    process.env.HIGHLIGHTS_COUNT = '1';
+    jest.resetModules();
+    const obsidianAPI = require('../../src/obsidianAPI');
+    const articles = require('../../src/articleScorer').rankArticles([article('Plain paper'), article('FHE at scale')]);
+
+    const content = await obsidianAPI.generateMarkdownContent('cryptography', { articles, summary: '', count: 2 }, new Date());
+
+    expect(content).toContain('## 注目記事\n\n1. **[FHE at scale](https://example.com/FHE%20at%20scale)** - Example');
+    expect(content.indexOf('### 1. FHE at scale')).toBeGreaterThan(content.indexOf('## 注目記事'));
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for timezone-aware day boundaries and the backfill run
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Backfill', () => {
+  let Utils;
+  let dataDir;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+    process.env.DATA_DIRECTORY = dataDir;
+    process.env.TIMEZONE = 'Asia/Tokyo';
+
+    jest.resetModules();
+    Utils = require('../../src/utils');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('Utils timezone helpers', () => {
+    test('should give the calendar date in the configured timezone', () => {
+      expect(Utils.getDateKey(new Date('2024-02-29T15:30:00Z'))).toBe('2024-03-01');
+      expect(Utils.getDateKey(new Date('2024-02-29T15:30:00Z'), 'UTC')).toBe('2024-02-29');
+    });
+
+    test('should format output dates in TIMEZONE regardless of the host timezone', () => {
+      // 00:30 on 2024-03-02 in Tokyo, still 2024-03-01 in UTC
+      const date = new Date('2024-03-01T15:30:00Z');
+
+      expect(Utils.formatDate(date)).toBe('2024-03-02');
+      expect(Utils.formatDateJapanese(date)).toBe('2024年03月02日');
+      expect(Utils.formatDateWithHour(date)).toBe('2024-03-02-00');
+      expect(Utils.getCurrentHour(date)).toBe('00');
+
+      process.env.TIMEZONE = 'America/New_York';
+      expect(Utils.formatDateWithHour(date)).toBe('2024-03-01-10');
+    });
+
+    test('should find the start of a day across DST changes', () => {
+      expect(Utils.startOfDayInTimezone('2024-03-01').toISOString()).toBe('2024-02-29T15:00:00.000Z');
+      expect(Utils.startOfDayInTimezone('2024-03-10', 'America/New_York').toISOString()).toBe('2024-03-10T05:00:00.000Z');
+      expect(Utils.startOfDayInTimezone('2024-03-11', 'America/New_York').toISOString()).toBe('2024-03-11T04:00:00.000Z');
+    });
+  });
+
+  describe('RSSFeeder backfill run', () => {
+    let feeder;
+    let feedFetcher;
+    let seenStore;
+
+    const articles = [
+      { title: 'Late Friday', link: 'https://example.com/1', pubDate: '2024-03-01T14:00:00Z' },
+      { title: 'Early Saturday', link: 'https://example.com/2', pubDate: '2024-03-01T16:00:00Z' },
+      { title: 'Sunday', link: 'https://example.com/3', pubDate: '2024-03-03T01:00:00Z' }
+    ];
+
+    beforeEach(() => {
+      feedFetcher = require('../../src/feedFetcher');
+      seenStore = require('../../src/seenStore');
+      const RSSFeeder = require('../../src/rssFeeder');
+      feeder = new RSSFeeder({ exitOnError: false });
+      feeder.validateConfiguration = jest.fn();
+      feeder.exportMetrics = jest.fn().mockResolvedValue();
+      feeder.processBatch = jest.fn().mockResolvedValue({
+        processedData: { tech: { count: 1 } },
+        keywordData: {}
+      });
+      jest.spyOn(feedFetcher, 'getAllArticles').mockResolvedValue(articles);
+    });
+
+    test('should group articles by publication day in TIMEZONE', () => {
+      const batches = feeder.groupArticlesByDay([articles[2], articles[0], articles[1]]);
+
+      expect(batches.map(batch => Utils.formatDate(batch.date))).toEqual(['2024-03-01', '2024-03-02', '2024-03-03']);
+      expect(batches[1].articles.map(article => article.title)).toEqual(['Early Saturday']);
+    });
+
+    test('should write each day into its own folder, including seen articles', async () => {
+      await seenStore.markSeen(articles, new Date());
+      const since = new Date('2024-02-29T15:00:00Z');
+      const until = new Date('2024-03-03T15:00:00Z');
+
+      await expect(feeder.run({ since, until, backfill: true })).resolves.toBe(true);
+
+      expect(feedFetcher.getAllArticles).toHaveBeenCalledWith(true, { since, until, conditional: false });
+      expect(feeder.processBatch.mock.calls.map(([batch, date, includeHour]) => [batch.length, Utils.formatDate(date), includeHour]))
+        .toEqual([[1, '2024-03-01', false], [1, '2024-03-02', false], [1, '2024-03-03', false]]);
+    });
+
+    test('should not move the catch-up window for a range that ends in the past', async () => {
+      const runStateStore = require('../../src/runStateStore');
+
+      await feeder.run({ since: new Date('2024-02-29T15:00:00Z'), until: new Date('2024-03-03T15:00:00Z'), backfill: true });
+
+      await expect(runStateStore.getLastSuccessAt()).resolves.toBeNull();
+    });
+  });
+});
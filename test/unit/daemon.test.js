@@ -18,6 +18,7 @@ jest.mock('../../src/rssFeeder', () => {
 jest.mock('../../src/scheduler');
 jest.mock('../../src/config');
 jest.mock('../../src/utils');
+jest.mock('../../src/runStateStore');
 
 const { Daemon } = require('../../src/daemon');
 
@@ -25,6 +26,7 @@ const RSSFeeder = require('../../src/rssFeeder');
 const Scheduler = require('../../src/scheduler');
 const config = require('../../src/config');
 const Utils = require('../../src/utils');
+const runStateStore = require('../../src/runStateStore');
 
 describe('Daemon', () => {
   let daemon;
@@ -48,6 +50,8 @@ describe('Daemon', () => {
     // Setup mock RSS feeder - RSSFeeder is already mocked above
     mockRSSFeeder = {
       run: jest.fn().mockResolvedValue(undefined),
+      isRunning: jest.fn().mockReturnValue(false),
+      currentRun: null,
       validateConfiguration: jest.fn(),
       healthCheck: jest.fn().mockResolvedValue(true),
       testRun: jest.fn().mockResolvedValue(undefined)
@@ -65,6 +69,8 @@ describe('Daemon', () => {
     // Setup mock config defaults
     config.isScheduleEnabled.mockReturnValue(true);
     config.getRunOnStart.mockReturnValue(false);
+    config.isCatchUpEnabled.mockReturnValue(true);
+    runStateStore.getNextScheduledRunAt.mockResolvedValue(null);
 
     // Setup mock Utils
     Utils.log = jest.fn();
@@ -154,6 +160,52 @@ describe('Daemon', () => {
     });
   });
 
+  describe('catch-up on start', () => {
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    test('should run once when a scheduled run was missed', async () => {
+      const missedRun = hoursFromNow(-3);
+      runStateStore.getNextScheduledRunAt.mockResolvedValue(missedRun);
+
+      await daemon.start();
+
+      expect(Utils.log).toHaveBeenCalledWith('warn', `⏰ Scheduled run at ${missedRun.toISOString()} was missed while the daemon was not running`);
+      expect(Utils.log).toHaveBeenCalledWith('info', '🚀 Run triggered via catch-up');
+      // No explicit window: the run looks back to the last successful run itself
+      expect(mockRSSFeeder.run).toHaveBeenCalledTimes(1);
+      expect(mockRSSFeeder.run).toHaveBeenCalledWith();
+      expect(mockScheduler.start).toHaveBeenCalled();
+    });
+
+    test('should not catch up when RUN_ON_START already runs', async () => {
+      config.getRunOnStart.mockReturnValue(true);
+      runStateStore.getNextScheduledRunAt.mockResolvedValue(hoursFromNow(-3));
+
+      await daemon.start();
+
+      expect(runStateStore.getNextScheduledRunAt).not.toHaveBeenCalled();
+      expect(mockRSSFeeder.run).toHaveBeenCalledTimes(1);
+      expect(Utils.log).not.toHaveBeenCalledWith('info', '🚀 Run triggered via catch-up');
+    });
+
+    test('should not run when no scheduled run was missed', async () => {
+      runStateStore.getNextScheduledRunAt.mockResolvedValue(hoursFromNow(3));
+
+      await daemon.start();
+
+      expect(mockRSSFeeder.run).not.toHaveBeenCalled();
+    });
+
+    test('should not run when catch-up is disabled', async () => {
+      config.isCatchUpEnabled.mockReturnValue(false);
+      runStateStore.getNextScheduledRunAt.mockResolvedValue(hoursFromNow(-3));
+
+      await daemon.start();
+
+      expect(mockRSSFeeder.run).not.toHaveBeenCalled();
+    });
+  });
+
   describe('stop', () => {
     test('should stop daemon gracefully', async () => {
       // Setup running scheduler
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for weekly and monthly digests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('DigestGenerator', () => {
+  let digestGenerator;
+  let resultsStore;
+  let llmProcessor;
+  let tempDir;
+  let originalEnv;
+
+  const article = (title, pubDate, score = null) => ({
+    title,
+    link: `https://example.com/${title}`,
+    feedTitle: 'Example',
+    pubDate,
+    score
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+    process.env.DATA_DIRECTORY = path.join(tempDir, 'data');
+    process.env.OBSIDIAN_VAULT_PATH = path.join(tempDir, 'vault');
+    process.env.OUTPUT_BACKEND = 'filesystem';
+    process.env.LLM_PROVIDER = 'stub';
+    process.env.TIMEZONE = 'Asia/Tokyo';
+    process.env.GEMINI_REQUEST_DELAY = '0';
+    process.env.RETRY_DELAY = '0';
+    process.env.MAX_RETRIES = '0';
+
+    jest.resetModules();
+    digestGenerator = require('../../src/digestGenerator');
+    resultsStore = require('../../src/resultsStore');
+    llmProcessor = require('../../src/llmProcessor');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getPeriod', () => {
+    test('should use ISO weeks, including weeks that span two years', () => {
+      expect(digestGenerator.getPeriod('week', '2024-03-08'))
+        .toEqual({ period: 'week', label: '2024-W10', start: '2024-03-04', end: '2024-03-10' });
+      expect(digestGenerator.getPeriod('week', '2021-01-03').label).toBe('2020-W53');
+      expect(digestGenerator.getPeriod('week', '2024-12-30').label).toBe('2025-W01');
+    });
+
+    test('should cover the whole calendar month', () => {
+      expect(digestGenerator.getPeriod('month', '2024-02-10'))
+        .toEqual({ period: 'month', label: '2024-02', start: '2024-02-01', end: '2024-02-29' });
+    });
+
+    test('should reject unknown periods', () => {
+      expect(() => digestGenerator.getPeriod('year', '2024-02-10')).toThrow('Unknown digest period: year');
+    });
+  });
+
+  describe('generate', () => {
+    test('should summarize the stored days of the week into RSS/weekly', async () => {
+      await resultsStore.recordDay(new Date('2024-03-04T03:00:00Z'), {
+        tech: { summary: '月曜の要約', articles: [article('low', '2024-03-04T01:00:00Z', 1)], count: 1 }
+      }, {
+        MPC: { summary: 'MPCの要約', articles: [article('low', '2024-03-04T01:00:00Z')], count: 1 }
+      });
+      await resultsStore.recordDay(new Date('2024-03-06T03:00:00Z'), {
+        tech: { summary: '水曜の要約', articles: [article('high', '2024-03-06T01:00:00Z', 3)], count: 1 }
+      }, {});
+      // The following week is not part of the digest
+      await resultsStore.recordDay(new Date('2024-03-11T03:00:00Z'), {
+        tech: { summary: '次週の要約', articles: [article('next', '2024-03-11T01:00:00Z')], count: 1 }
+      }, {});
+
+      const prompts = [];
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockImplementation(async (prompt) => {
+        prompts.push(prompt);
+        return 'トレンド要約';
+      });
+
+      const vaultPath = await digestGenerator.generate('week', '2024-03-08');
+
+      expect(vaultPath).toBe('RSS/weekly/2024-W10.md');
+      const techPrompt = prompts.find(prompt => prompt.includes('「tech」'));
+      expect(techPrompt).toContain('### 2024-03-04\n月曜の要約');
+      expect(techPrompt).toContain('### 2024-03-06\n水曜の要約');
+      expect(techPrompt).not.toContain('次週の要約');
+
+      const content = fs.readFileSync(path.join(tempDir, 'vault', vaultPath), 'utf8');
+      expect(content).toContain('# 週間ダイジェスト 2024-W10');
+      expect(content).toContain('### TECH (2件)\n\nトレンド要約');
+      expect(content.indexOf('[high]')).toBeLessThan(content.indexOf('[low]'));
+      expect(content).toContain('## ウォッチワード\n\n### MPC (1件)');
+    });
+
+    test('should write nothing when no results are stored for the period', async () => {
+      await expect(digestGenerator.generate('month', '2024-03-08')).resolves.toBeNull();
+      expect(fs.existsSync(path.join(tempDir, 'vault'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,332 @@
+/**
+ * Unit tests for FeedFetcher
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RSS_XML = `<?xml version="1.0"?>
+<rss version="2.0">
+  <channel>
+    <title>Example Feed</title>
+    <link>https://example.com</link>
+    <description>Example</description>
+    <item>
+      <title>First</title>
+      <link>https://example.com/1</link>
+      <guid>https://example.com/1</guid>
+      <pubDate>Mon, 01 Jan 2024 00:00:00 GMT</pubDate>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM_XML = `<?xml version="1.0" encoding="utf-8"?>
+<!-- generated -->
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom Example</title>
+  <subtitle>Atom subtitle</subtitle>
+  <link href="https://atom.example.com/feed.xml" rel="self"/>
+  <link href="https://atom.example.com/"/>
+  <entry>
+    <id>urn:uuid:1225c695-cfb8-4ebb-aaaa-80da344efa6a</id>
+    <title>Atom Entry</title>
+    <link rel="replies" href="https://atom.example.com/entry/comments"/>
+    <link rel="alternate" type="text/html" href="https://atom.example.com/entry"/>
+    <published>2024-01-01T00:00:00Z</published>
+    <updated>2024-01-02T00:00:00Z</updated>
+    <author><name>Alice</name></author>
+    <author><name>Bob</name></author>
+    <category term="crypto" label="Cryptography"/>
+    <category term="zk"/>
+    <summary>Short &lt;b&gt;summary&lt;/b&gt;</summary>
+    <content type="html">&lt;p&gt;Full content&lt;/p&gt;</content>
+  </entry>
+</feed>`;
+
+const JSON_FEED = {
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'JSON Example',
+  home_page_url: 'https://json.example.com/',
+  description: 'JSON description',
+  items: [
+    {
+      id: 42,
+      url: 'https://json.example.com/42',
+      title: 'JSON Item',
+      summary: 'JSON summary',
+      content_html: '<p>JSON content</p>',
+      date_published: '2024-01-01T00:00:00Z',
+      date_modified: '2024-01-03T00:00:00Z',
+      authors: [{ name: 'Carol' }],
+      tags: ['fhe', 'mpc']
+    }
+  ]
+};
+
+describe('FeedFetcher', () => {
+  let feedFetcher;
+  let feedCache;
+  let axios;
+  let dataDir;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-fetcher-'));
+    process.env.DATA_DIRECTORY = dataDir;
+
+    jest.resetModules();
+    jest.doMock('axios');
+    axios = require('axios');
+    feedCache = require('../../src/feedCache');
+    feedFetcher = require('../../src/feedFetcher');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('fetchFeed with conditional GET', () => {
+    test('should send cached validators after commit', async () => {
+      axios.get.mockResolvedValueOnce({
+        status: 200,
+        data: RSS_XML,
+        headers: { etag: '"abc"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }
+      });
+      await feedFetcher.fetchFeed('https://example.com/feed', { conditional: true });
+      await feedCache.commit();
+
+      axios.get.mockResolvedValueOnce({ status: 304, data: '', headers: {} });
+      await feedFetcher.fetchFeed('https://example.com/feed', { conditional: true });
+
+      const headers = axios.get.mock.calls[1][1].headers;
+      expect(headers['If-None-Match']).toBe('"abc"');
+      expect(headers['If-Modified-Since']).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+    });
+
+    test('should not use staged validators before commit', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: RSS_XML, headers: { etag: '"abc"' } });
+
+      await feedFetcher.fetchFeed('https://example.com/feed', { conditional: true });
+      await feedFetcher.fetchFeed('https://example.com/feed', { conditional: true });
+
+      expect(axios.get.mock.calls[1][1].headers['If-None-Match']).toBeUndefined();
+    });
+
+    test('should treat 304 as a feed with no new items', async () => {
+      axios.get.mockResolvedValueOnce({ status: 200, data: RSS_XML, headers: { etag: '"abc"' } });
+      await feedFetcher.fetchFeed('https://example.com/feed', { conditional: true });
+      await feedCache.commit();
+
+      axios.get.mockResolvedValueOnce({ status: 304, data: '', headers: {} });
+      const feed = await feedFetcher.fetchFeed('https://example.com/feed', { conditional: true });
+
+      expect(feed.notModified).toBe(true);
+      expect(feed.items).toEqual([]);
+      expect(feed.title).toBe('Example Feed');
+    });
+
+    test('should accept 304 as a valid status', async () => {
+      axios.get.mockResolvedValueOnce({ status: 200, data: RSS_XML, headers: {} });
+
+      await feedFetcher.fetchFeed('https://example.com/feed');
+
+      const { validateStatus } = axios.get.mock.calls[0][1];
+      expect(validateStatus(304)).toBe(true);
+      expect(validateStatus(200)).toBe(true);
+      expect(validateStatus(404)).toBe(false);
+    });
+
+    test('should not send validators for unconditional fetches', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: RSS_XML, headers: { etag: '"abc"' } });
+      await feedFetcher.fetchFeed('https://example.com/feed', { conditional: true });
+      await feedCache.commit();
+
+      await feedFetcher.fetchFeed('https://example.com/feed');
+
+      expect(axios.get.mock.calls[1][1].headers['If-None-Match']).toBeUndefined();
+    });
+  });
+
+  describe('fetchMultipleFeeds health tracking', () => {
+    const notFound = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+
+    beforeEach(() => {
+      process.env.MAX_RETRIES = '0';
+      process.env.RETRY_DELAY = '0';
+    });
+
+    test('should record failure streaks and back off repeatedly failing feeds', async () => {
+      const feedStatusStore = require('../../src/feedStatusStore');
+      axios.get.mockRejectedValue(notFound());
+
+      await feedFetcher.fetchMultipleFeeds(['https://example.com/broken']);
+      let status = await feedStatusStore.get('https://example.com/broken');
+      expect(status).toMatchObject({ consecutiveFailures: 1, lastHttpStatus: 404, nextAttemptAt: null });
+
+      await feedFetcher.fetchMultipleFeeds(['https://example.com/broken']);
+      status = await feedStatusStore.get('https://example.com/broken');
+      expect(status.consecutiveFailures).toBe(2);
+      expect(new Date(status.nextAttemptAt) - Date.now()).toBeGreaterThan(59 * 60 * 1000);
+
+      // Backing off: the third run does not request the feed at all
+      await feedFetcher.fetchMultipleFeeds(['https://example.com/broken']);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reset the streak and keep item count after success', async () => {
+      const feedStatusStore = require('../../src/feedStatusStore');
+      axios.get.mockRejectedValueOnce(notFound());
+      await feedFetcher.fetchMultipleFeeds(['https://example.com/feed']);
+
+      axios.get.mockResolvedValueOnce({ status: 200, data: RSS_XML, headers: {} });
+      const [feed] = await feedFetcher.fetchMultipleFeeds(['https://example.com/feed']);
+
+      expect(feed.url).toBe('https://example.com/feed');
+      expect(await feedStatusStore.get('https://example.com/feed')).toMatchObject({
+        consecutiveFailures: 0,
+        lastHttpStatus: 200,
+        itemCount: 1,
+        lastResult: 'ok',
+        nextAttemptAt: null
+      });
+    });
+
+    test('should not commit validators staged by an earlier failed run', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: RSS_XML, headers: { etag: '"abc"' } });
+
+      // The first run fetches both feeds, then fails before committing
+      await feedFetcher.fetchMultipleFeeds(['https://example.com/feed', 'https://example.com/other']);
+
+      // The next run cannot fetch the second feed and commits
+      axios.get.mockReset();
+      axios.get.mockImplementation(async (url) => {
+        if (url === 'https://example.com/other') {
+          throw notFound();
+        }
+        return { status: 200, data: RSS_XML, headers: { etag: '"def"' } };
+      });
+      await feedFetcher.fetchMultipleFeeds(['https://example.com/feed', 'https://example.com/other']);
+      await feedCache.commit();
+
+      expect((await feedCache.get('https://example.com/feed')).etag).toBe('"def"');
+      expect(await feedCache.get('https://example.com/other')).toBeNull();
+    });
+
+    test('should grow the backoff exponentially up to the cap', () => {
+      const feedStatusStore = require('../../src/feedStatusStore');
+      const hour = 60 * 60 * 1000;
+
+      expect(feedStatusStore.getBackoffDelay(1)).toBe(0);
+      expect(feedStatusStore.getBackoffDelay(2)).toBe(hour);
+      expect(feedStatusStore.getBackoffDelay(4)).toBe(4 * hour);
+      expect(feedStatusStore.getBackoffDelay(20)).toBe(7 * 24 * hour);
+    });
+  });
+
+  describe('filterTodayArticles', () => {
+    test('should keep articles since midnight of yesterday by default', () => {
+      const start = feedFetcher.getDefaultLookbackStart();
+      const articles = [
+        { title: 'Recent', pubDate: new Date().toISOString() },
+        { title: 'Old', pubDate: new Date(start.getTime() - 1000).toISOString() }
+      ];
+
+      expect(feedFetcher.filterTodayArticles(articles).map(article => article.title)).toEqual(['Recent']);
+    });
+
+    test('should start the default window at midnight of yesterday in TIMEZONE', () => {
+      process.env.TIMEZONE = 'Asia/Tokyo';
+
+      // 2024-03-02 00:30 in Tokyo
+      expect(feedFetcher.getDefaultLookbackStart(new Date('2024-03-01T15:30:00Z')).toISOString())
+        .toBe('2024-02-29T15:00:00.000Z');
+    });
+
+    test('should widen the window to a given start', () => {
+      const since = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+      const articles = [
+        { title: 'Two days ago', pubDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() },
+        { title: 'Four days ago', pubDate: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString() }
+      ];
+
+      expect(feedFetcher.filterTodayArticles(articles, since).map(article => article.title)).toEqual(['Two days ago']);
+    });
+
+    test('should exclude articles published at or after until', () => {
+      const since = new Date('2024-03-01T00:00:00Z');
+      const until = new Date('2024-03-02T00:00:00Z');
+      const articles = [
+        { title: 'In range', pubDate: '2024-03-01T23:59:59Z' },
+        { title: 'At until', pubDate: '2024-03-02T00:00:00Z' }
+      ];
+
+      expect(feedFetcher.filterTodayArticles(articles, since, until).map(article => article.title)).toEqual(['In range']);
+    });
+  });
+
+  describe('detectFormat', () => {
+    test('should detect RSS, Atom and JSON Feed documents', () => {
+      expect(feedFetcher.detectFormat(RSS_XML)).toBe('rss');
+      expect(feedFetcher.detectFormat(ATOM_XML)).toBe('atom');
+      expect(feedFetcher.detectFormat(JSON_FEED)).toBe('json');
+      expect(feedFetcher.detectFormat(JSON.stringify(JSON_FEED))).toBe('json');
+    });
+  });
+
+  describe('parseFeed', () => {
+    test('should map Atom-specific fields into the normalized shape', async () => {
+      const feed = await feedFetcher.parseFeed(ATOM_XML);
+      const [item] = feed.items;
+
+      expect(feed.format).toBe('atom');
+      expect(feed.title).toBe('Atom Example');
+      expect(feed.description).toBe('Atom subtitle');
+      expect(item.link).toBe('https://atom.example.com/entry');
+      expect(item.guid).toBe('urn:uuid:1225c695-cfb8-4ebb-aaaa-80da344efa6a');
+      expect(item.creator).toBe('Alice, Bob');
+      expect(item.categories).toEqual(['Cryptography', 'zk']);
+      expect(item.description).toBe('Short summary');
+      expect(item.content).toBe('<p>Full content</p>');
+      expect(item.pubDate.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+      expect(item.updated.toISOString()).toBe('2024-01-02T00:00:00.000Z');
+    });
+
+    test('should parse JSON Feed natively', async () => {
+      const feed = await feedFetcher.parseFeed(JSON.stringify(JSON_FEED));
+      const [item] = feed.items;
+
+      expect(feed.format).toBe('json');
+      expect(feed.title).toBe('JSON Example');
+      expect(feed.link).toBe('https://json.example.com/');
+      expect(item).toMatchObject({
+        title: 'JSON Item',
+        link: 'https://json.example.com/42',
+        description: 'JSON summary',
+        content: '<p>JSON content</p>',
+        creator: 'Carol',
+        categories: ['fhe', 'mpc'],
+        guid: '42'
+      });
+      expect(item.updated.toISOString()).toBe('2024-01-03T00:00:00.000Z');
+    });
+
+    test('should reject JSON documents without items', async () => {
+      await expect(feedFetcher.parseFeed({ title: 'x' })).rejects.toThrow('Invalid JSON Feed');
+    });
+
+    test('should keep RSS 2.0 normalization unchanged', async () => {
+      const feed = await feedFetcher.parseFeed(RSS_XML);
+
+      expect(feed.format).toBe('rss');
+      expect(feed.items[0]).toMatchObject({
+        title: 'First',
+        link: 'https://example.com/1',
+        guid: 'https://example.com/1',
+        updated: null
+      });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for FeedManager
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('FeedManager', () => {
+  let feedManager;
+  let feedFetcher;
+  let workDir;
+  let feedsPath;
+  let originalEnv;
+
+  const readFeeds = () => JSON.parse(fs.readFileSync(feedsPath, 'utf8'));
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-manager-'));
+    process.env.DATA_DIRECTORY = path.join(workDir, 'data');
+    jest.spyOn(process, 'cwd').mockReturnValue(workDir);
+
+    fs.mkdirSync(path.join(workDir, 'config'));
+    feedsPath = path.join(workDir, 'config', 'feeds.json');
+    fs.writeFileSync(feedsPath, JSON.stringify({
+      watchWords: ['ZK'],
+      feeds: [
+        { name: 'TechCrunch', url: 'https://techcrunch.com/feed/', category: 'tech/startup', enabled: true }
+      ]
+    }));
+
+    jest.resetModules();
+    jest.doMock('../../src/feedFetcher', () => ({ fetchFeed: jest.fn() }));
+    feedFetcher = require('../../src/feedFetcher');
+    feedManager = require('../../src/feedManager');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('addFeed', () => {
+    test('should validate the feed and save it with the given options', async () => {
+      feedFetcher.fetchFeed.mockResolvedValue({
+        format: 'rss',
+        title: 'Zenn Go',
+        description: 'Go articles',
+        items: [{}, {}]
+      });
+
+      const feed = await feedManager.addFeed('https://zenn.dev/topics/go/feed', { category: 'tech/go' });
+
+      expect(feedFetcher.fetchFeed).toHaveBeenCalledWith('https://zenn.dev/topics/go/feed');
+      expect(feed).toEqual({
+        name: 'Zenn Go',
+        url: 'https://zenn.dev/topics/go/feed',
+        description: 'Go articles',
+        category: 'tech/go',
+        enabled: true
+      });
+
+      const saved = readFeeds();
+      expect(saved.feeds).toHaveLength(2);
+      expect(saved.watchWords).toEqual(['ZK']);
+    });
+
+    test('should not save a feed that fails to fetch', async () => {
+      feedFetcher.fetchFeed.mockRejectedValue(new Error('Status code 404'));
+
+      await expect(feedManager.addFeed('https://example.com/missing.xml'))
+        .rejects.toThrow('Feed validation failed for https://example.com/missing.xml: Status code 404');
+      expect(readFeeds().feeds).toHaveLength(1);
+    });
+
+    test('should reject duplicate and malformed URLs', async () => {
+      await expect(feedManager.addFeed('https://techcrunch.com/feed/')).rejects.toThrow('already configured');
+      await expect(feedManager.addFeed('not a url')).rejects.toThrow('Invalid feed URL');
+      expect(feedFetcher.fetchFeed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setFeedEnabled', () => {
+    test('should find feeds by case-insensitive name', () => {
+      feedManager.setFeedEnabled('techcrunch', false);
+
+      expect(readFeeds().feeds[0].enabled).toBe(false);
+    });
+
+    test('should throw for unknown feeds', () => {
+      expect(() => feedManager.setFeedEnabled('missing', true)).toThrow('No feed named or with URL "missing"');
+    });
+  });
+
+  describe('removeFeed', () => {
+    test('should remove a feed by URL', () => {
+      feedManager.removeFeed('https://techcrunch.com/feed/');
+
+      expect(readFeeds().feeds).toEqual([]);
+    });
+  });
+
+  describe('listFeeds', () => {
+    test('should include last fetch status', async () => {
+      const feedStatusStore = require('../../src/feedStatusStore');
+      await feedStatusStore.recordSuccess('https://techcrunch.com/feed/', { items: [{}] });
+
+      const [feed] = await feedManager.listFeeds();
+
+      expect(feed.status).toMatchObject({ lastResult: 'ok', itemCount: 1 });
+    });
+  });
+});
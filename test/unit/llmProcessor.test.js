@@ -0,0 +1,239 @@
+/**
+ * Unit tests for LLMProcessor
+ */
+
+describe('LLMProcessor', () => {
+  let llmProcessor;
+  let originalEnv;
+
+  const article = (title, feedParentTag = 'tech/startup') => ({
+    title,
+    link: `https://example.com/${encodeURIComponent(title)}`,
+    description: `${title} description`,
+    content: '',
+    pubDate: new Date('2024-01-01T00:00:00Z'),
+    feedParentTag
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    process.env.GEMINI_REQUEST_DELAY = '0';
+    process.env.RETRY_DELAY = '0';
+    process.env.MAX_RETRIES = '0';
+
+    jest.resetModules();
+    llmProcessor = require('../../src/llmProcessor');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getArticleTagPath', () => {
+    test('should combine parent tag and subtag', () => {
+      expect(llmProcessor.getArticleTagPath({ tags: ['ai', 'llm'] })).toBe('ai/llm');
+    });
+
+    test('should use the parent tag alone when no subtag matches', () => {
+      expect(llmProcessor.getArticleTagPath({ tags: ['business'] })).toBe('business');
+    });
+
+    test('should fall back to the feed category for unknown tags', () => {
+      expect(llmProcessor.getArticleTagPath({ tags: ['uncategorized'], feedParentTag: 'tech/startup' }))
+        .toBe('tech/startup');
+    });
+  });
+
+  describe('processArticles', () => {
+    test('should group by feed category by default', async () => {
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockResolvedValue('カテゴリ要約');
+
+      const result = await llmProcessor.processArticles([article('OpenAI ships a model')]);
+
+      expect(Object.keys(result)).toEqual(['tech/startup']);
+      expect(result['tech/startup'].articles[0].tags).toBeUndefined();
+    });
+
+    test('should tag and summarize each article when ARTICLE_TAGGING_ENABLED is true', async () => {
+      process.env.ARTICLE_TAGGING_ENABLED = 'true';
+      jest.resetModules();
+      llmProcessor = require('../../src/llmProcessor');
+
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockImplementation(async (prompt) => {
+        if (prompt.includes('階層的タグ')) return 'ai, llm';
+        if (prompt.includes('一段落')) return '記事の要約です。';
+        return 'カテゴリ要約';
+      });
+
+      const result = await llmProcessor.processArticles([article('OpenAI ships a model')]);
+
+      expect(Object.keys(result)).toEqual(['ai/llm']);
+      const [processed] = result['ai/llm'].articles;
+      expect(processed.tags).toEqual(['ai', 'llm']);
+      expect(processed.aiSummary).toBe('記事の要約です。');
+      expect(result['ai/llm'].summary).toBe('カテゴリ要約');
+    });
+
+    test('should keep an article without summary when summarization fails', async () => {
+      process.env.ARTICLE_TAGGING_ENABLED = 'true';
+      jest.resetModules();
+      llmProcessor = require('../../src/llmProcessor');
+
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockImplementation(async (prompt) => {
+        if (prompt.includes('階層的タグ')) return 'business, startup';
+        if (prompt.includes('一段落')) throw new Error('quota exceeded');
+        return 'カテゴリ要約';
+      });
+
+      const result = await llmProcessor.processArticles([article('Funding round')]);
+
+      expect(result['business/startup'].articles[0].aiSummary).toBeUndefined();
+    });
+  });
+
+  describe('generateSummary', () => {
+    const manyArticles = (count) => Array.from({ length: count }, (_, i) => article(`Paper ${i + 1}`, 'crypto'));
+
+    test('should summarize a small group in a single request', async () => {
+      const request = jest.spyOn(llmProcessor, 'makeLLMRequest').mockResolvedValue('カテゴリ要約');
+
+      await expect(llmProcessor.generateSummary('crypto', manyArticles(3))).resolves.toBe('カテゴリ要約');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    test('should cover every article in chunks and merge the partial summaries', async () => {
+      process.env.SUMMARY_MODE = 'map-reduce';
+      process.env.SUMMARY_CHUNK_TOKENS = '100';
+      const prompts = [];
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockImplementation(async (prompt) => {
+        prompts.push(prompt);
+        return prompt.includes('番目です') ? '- 中間要約' : '統合要約';
+      });
+
+      const summary = await llmProcessor.generateSummary('crypto', manyArticles(60));
+
+      expect(summary).toBe('統合要約');
+      const chunkPrompts = prompts.filter(prompt => prompt.includes('番目です'));
+      expect(chunkPrompts.length).toBeGreaterThan(1);
+      for (let i = 1; i <= 60; i++) {
+        expect(chunkPrompts.some(prompt => prompt.includes(`- Paper ${i}\n`))).toBe(true);
+      }
+      expect(prompts[prompts.length - 1]).toContain('記事 60件');
+    });
+
+    test('should merge the remaining chunks when one chunk fails', async () => {
+      process.env.SUMMARY_MODE = 'map-reduce';
+      process.env.SUMMARY_CHUNK_TOKENS = '100';
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockImplementation(async (prompt) => {
+        if (prompt.includes('- Paper 1\n')) throw new Error('quota exceeded');
+        return prompt.includes('番目です') ? '- 中間要約' : '統合要約';
+      });
+
+      await expect(llmProcessor.generateSummary('crypto', manyArticles(20))).resolves.toBe('統合要約');
+    });
+
+    test('should only summarize the first articles by default', async () => {
+      process.env.SUMMARY_CHUNK_TOKENS = '100';
+      const request = jest.spyOn(llmProcessor, 'makeLLMRequest').mockResolvedValue('カテゴリ要約');
+
+      await llmProcessor.generateSummary('crypto', manyArticles(20));
+
+      expect(request).toHaveBeenCalledTimes(1);
+      const [prompt] = request.mock.calls[0];
+      expect(prompt).toContain('- Paper 10\n');
+      expect(prompt).not.toContain('- Paper 11\n');
+    });
+  });
+
+  describe('chunkByTokens', () => {
+    test('should keep entries in order within the budget', () => {
+      const entries = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40), 'd'.repeat(400)];
+
+      expect(llmProcessor.chunkByTokens(entries, 20)).toEqual([
+        [entries[0], entries[1]],
+        [entries[2]],
+        [entries[3]]
+      ]);
+    });
+  });
+
+  describe('processKeywordArticles', () => {
+    const keywordsOf = async (articles) => Object.keys(await llmProcessor.processKeywordArticles(articles)).sort();
+
+    test('should match plain string watch words as substrings', async () => {
+      process.env.WATCH_WORDS = JSON.stringify(['ZK']);
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockResolvedValue('キーワード要約');
+
+      const result = await llmProcessor.processKeywordArticles([
+        article('A new ZK proof system'),
+        article('zkSync raises funds'),
+        article('Rollup news')
+      ]);
+
+      expect(result.ZK.articles.map(matched => matched.title)).toEqual(['A new ZK proof system', 'zkSync raises funds']);
+    });
+
+    test('should match object watch words as whole words', async () => {
+      process.env.WATCH_WORDS = JSON.stringify([{ name: 'ZK' }]);
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockResolvedValue('キーワード要約');
+
+      const result = await llmProcessor.processKeywordArticles([
+        article('A new ZK proof system'),
+        article('zkSync raises funds'),
+        article('Zkittles review')
+      ]);
+
+      expect(result.ZK.articles.map(matched => matched.title)).toEqual(['A new ZK proof system']);
+    });
+
+    test('should support aliases, regex and exclusions', async () => {
+      process.env.WATCH_WORDS = JSON.stringify([
+        { name: 'MPC', aliases: ['multi-party computation'], exclude: ['MPC-HC'] },
+        { name: 'zkVM', regex: '\\bzk-?vms?\\b' }
+      ]);
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockResolvedValue('キーワード要約');
+
+      const result = await llmProcessor.processKeywordArticles([
+        article('Practical multiparty computation at scale'),
+        article('MPC-HC media player update'),
+        article('Benchmarking zk-VMs')
+      ]);
+
+      expect(result.MPC.articles.map(matched => matched.title)).toEqual(['Practical multiparty computation at scale']);
+      expect(result.zkVM.count).toBe(1);
+    });
+
+    test('should drop matches the LLM check rejects', async () => {
+      process.env.WATCH_WORDS = JSON.stringify([{ name: 'VOLE', llmCheck: true, description: 'vector oblivious linear evaluation' }]);
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockImplementation(async (prompt) => (
+        prompt.includes('該当する記事の番号') ? '2' : 'キーワード要約'
+      ));
+
+      const result = await llmProcessor.processKeywordArticles([
+        article('Vole populations in the wild'),
+        article('Faster VOLE-based zero knowledge')
+      ]);
+
+      expect(result.VOLE.articles.map(matched => matched.title)).toEqual(['Faster VOLE-based zero knowledge']);
+    });
+
+    test('should match an article the LLM check rejects against the next watch words', async () => {
+      process.env.WATCH_WORDS = JSON.stringify([{ name: 'VOLE', llmCheck: true }, 'FHE']);
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockImplementation(async (prompt) => (
+        prompt.includes('該当する記事の番号') ? '0' : 'キーワード要約'
+      ));
+
+      const result = await llmProcessor.processKeywordArticles([article('VOLE and FHE compilers')]);
+
+      expect(Object.keys(result)).toEqual(['FHE']);
+      expect(result.FHE.articles.map(matched => matched.title)).toEqual(['VOLE and FHE compilers']);
+    });
+
+    test('should skip watch words that do not compile', async () => {
+      process.env.WATCH_WORDS = JSON.stringify([{ name: 'Broken', regex: '(' }, 'FHE']);
+      jest.spyOn(llmProcessor, 'makeLLMRequest').mockResolvedValue('キーワード要約');
+
+      await expect(keywordsOf([article('FHE compilers'), article('Broken (')])).resolves.toEqual(['FHE']);
+    });
+  });
+});
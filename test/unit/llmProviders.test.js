@@ -0,0 +1,120 @@
+/**
+ * Unit tests for LLM providers
+ */
+
+describe('LLM Providers', () => {
+  let providers;
+  let axios;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    jest.resetModules();
+    jest.doMock('axios');
+    axios = require('axios');
+    providers = require('../../src/llmProviders');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('GeminiProvider', () => {
+    test('should return the first candidate text', async () => {
+      axios.post.mockResolvedValue({
+        data: { candidates: [{ content: { parts: [{ text: 'こんにちは' }] } }] }
+      });
+      const provider = new providers.GeminiProvider({ apiKey: 'k', model: 'gemini-2.5-flash' });
+
+      await expect(provider.generate('hi')).resolves.toBe('こんにちは');
+      expect(axios.post.mock.calls[0][0]).toContain('models/gemini-2.5-flash:generateContent?key=k');
+    });
+
+    test('should reject unexpected response shapes', async () => {
+      axios.post.mockResolvedValue({ data: {} });
+      const provider = new providers.GeminiProvider({ apiKey: 'k', model: 'm' });
+
+      await expect(provider.generate('hi')).rejects.toThrow('Invalid response format from Gemini API');
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    test('should call chat completions with the configured model', async () => {
+      axios.post.mockResolvedValue({
+        data: { choices: [{ message: { content: 'OK' } }] }
+      });
+      const provider = new providers.OpenAICompatibleProvider({
+        baseUrl: 'http://localhost:11434/v1/',
+        model: 'llama3'
+      });
+
+      await expect(provider.generate('ping')).resolves.toBe('OK');
+
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(body).toEqual({ model: 'llama3', messages: [{ role: 'user', content: 'ping' }] });
+      expect(options.headers.Authorization).toBeUndefined();
+    });
+
+    test('should send the API key as a bearer token', async () => {
+      axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'OK' } }] } });
+      const provider = new providers.OpenAICompatibleProvider({ baseUrl: 'https://api.openai.com/v1', apiKey: 'sk', model: 'm' });
+
+      await provider.generate('ping');
+
+      expect(axios.post.mock.calls[0][2].headers.Authorization).toBe('Bearer sk');
+    });
+  });
+
+  describe('StubProvider', () => {
+    test('should be deterministic and offline', async () => {
+      const provider = new providers.StubProvider();
+
+      const first = await provider.generate('same prompt');
+      const second = await provider.generate('same prompt');
+
+      expect(first).toBe(second);
+      expect(first).not.toBe(await provider.generate('other prompt'));
+      expect(provider.calls).toHaveLength(3);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should return a fixed response when configured', async () => {
+      const provider = new providers.StubProvider({ response: 'ai, llm' });
+
+      await expect(provider.generate('anything')).resolves.toBe('ai, llm');
+    });
+  });
+
+  describe('createLLMProvider', () => {
+    test('should select the provider from LLM_PROVIDER', () => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.OPENAI_MODEL = 'qwen2.5';
+      jest.resetModules();
+      const { createLLMProvider, OpenAICompatibleProvider } = require('../../src/llmProviders');
+
+      const provider = createLLMProvider();
+
+      expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+      expect(provider.model).toBe('qwen2.5');
+    });
+
+    test('should default to Gemini', () => {
+      expect(providers.createLLMProvider()).toBeInstanceOf(providers.GeminiProvider);
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => providers.createLLMProvider('claude-local')).toThrow('Unknown LLM provider: claude-local');
+    });
+  });
+
+  describe('config', () => {
+    test('should not require GEMINI_API_KEY for other providers', () => {
+      delete process.env.GEMINI_API_KEY;
+      process.env.LLM_PROVIDER = 'stub';
+      jest.resetModules();
+
+      expect(() => require('../../src/config')).not.toThrow();
+    });
+  });
+});
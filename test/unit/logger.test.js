@@ -0,0 +1,113 @@
+/**
+ * Unit tests for Logger
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Logger', () => {
+  let logger;
+  let logDir;
+  let originalEnv;
+
+  const lastLine = (mock) => mock.mock.calls[mock.mock.calls.length - 1][0];
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_FORMAT;
+    delete process.env.LOG_FILE;
+
+    jest.resetModules();
+    logger = require('../../src/logger');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  test('should keep the text format by default', () => {
+    logger.log('info', 'Fetching feed', 'https://example.com/feed');
+
+    expect(lastLine(console.log)).toMatch(/^\[\d{4}-\d\d-\d\dT[\d:.]+Z\] \[INFO\] Fetching feed https:\/\/example\.com\/feed$/);
+  });
+
+  test('should drop entries below LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+
+    logger.log('info', 'quiet');
+    logger.log('debug', 'quieter');
+    logger.log('warn', 'loud');
+
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should write JSON lines with the run ID across async calls', async () => {
+    process.env.LOG_FORMAT = 'json';
+
+    await logger.runWithContext({ runId: 'abcd1234' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      logger.log('info', 'Fetched feed', { items: 3 }, { feedUrl: 'https://example.com/feed' });
+    });
+
+    const entry = JSON.parse(lastLine(console.log));
+    expect(entry).toMatchObject({
+      level: 'info',
+      message: 'Fetched feed',
+      runId: 'abcd1234',
+      feedUrl: 'https://example.com/feed',
+      data: { items: 3 }
+    });
+
+    logger.log('info', 'outside');
+    expect(JSON.parse(lastLine(console.log)).runId).toBeUndefined();
+  });
+
+  test('should serialize errors', () => {
+    process.env.LOG_FORMAT = 'json';
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    logger.log('error', 'Failed', new Error('boom'));
+
+    expect(JSON.parse(lastLine(errorSpy)).data.message).toBe('boom');
+    errorSpy.mockRestore();
+  });
+
+  test('should rotate the log file when it exceeds LOG_MAX_SIZE', () => {
+    const logFile = path.join(logDir, 'rss-feeder.log');
+    process.env.LOG_FILE = logFile;
+    process.env.LOG_MAX_SIZE = '300';
+    process.env.LOG_MAX_FILES = '2';
+
+    for (let i = 0; i < 12; i++) {
+      logger.log('info', `entry ${i} ${'x'.repeat(40)}`);
+    }
+
+    expect(fs.existsSync(`${logFile}.1`)).toBe(true);
+    expect(fs.existsSync(`${logFile}.2`)).toBe(true);
+    expect(fs.existsSync(`${logFile}.3`)).toBe(false);
+    expect(fs.statSync(logFile).size).toBeLessThanOrEqual(300);
+
+    const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n');
+    expect(JSON.parse(lines[lines.length - 1]).message).toMatch(/^entry 11 /);
+  });
+
+  test('should measure LOG_MAX_SIZE in bytes for multibyte text', () => {
+    const logFile = path.join(logDir, 'rss-feeder.log');
+    process.env.LOG_FILE = logFile;
+    process.env.LOG_MAX_SIZE = '400';
+    process.env.LOG_MAX_FILES = '2';
+
+    for (let i = 0; i < 6; i++) {
+      logger.log('info', `記事 ${i} ${'あ'.repeat(60)}`);
+    }
+
+    for (const file of [logFile, `${logFile}.1`, `${logFile}.2`]) {
+      expect(fs.statSync(file).size).toBeLessThanOrEqual(400);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the metrics registry
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Metrics', () => {
+  let metrics;
+  let tempDir;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+
+    jest.resetModules();
+    metrics = require('../../src/metrics');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should render counters per label set in the Prometheus text format', () => {
+    metrics.feedFetchesTotal.inc({ feed: 'https://example.com/feed', result: 'success' });
+    metrics.feedFetchesTotal.inc({ feed: 'https://example.com/feed', result: 'success' });
+    metrics.feedFetchesTotal.inc({ feed: 'https://example.com/"odd"\\feed', result: 'error' });
+
+    const output = metrics.render();
+
+    expect(output).toContain('# TYPE rss_feeder_feed_fetches_total counter');
+    expect(output).toContain('rss_feeder_feed_fetches_total{feed="https://example.com/feed",result="success"} 2');
+    expect(output).toContain('rss_feeder_feed_fetches_total{feed="https://example.com/\\"odd\\"\\\\feed",result="error"} 1');
+  });
+
+  test('should render cumulative histogram buckets', () => {
+    metrics.llmRequestDuration.observe({ provider: 'stub' }, 0.2);
+    metrics.llmRequestDuration.observe({ provider: 'stub' }, 3);
+
+    const output = metrics.render();
+
+    expect(output).toContain('rss_feeder_llm_request_duration_seconds_bucket{provider="stub",le="0.1"} 0');
+    expect(output).toContain('rss_feeder_llm_request_duration_seconds_bucket{provider="stub",le="0.25"} 1');
+    expect(output).toContain('rss_feeder_llm_request_duration_seconds_bucket{provider="stub",le="5"} 2');
+    expect(output).toContain('rss_feeder_llm_request_duration_seconds_bucket{provider="stub",le="+Inf"} 2');
+    expect(output).toContain('rss_feeder_llm_request_duration_seconds_sum{provider="stub"} 3.2');
+    expect(output).toContain('rss_feeder_llm_request_duration_seconds_count{provider="stub"} 2');
+  });
+
+  test('should count retries by operation type', async () => {
+    const Utils = require('../../src/utils');
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('temporary'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(Utils.retry(fn, 2, 1, 'Feed fetch', 'feed')).resolves.toBe('ok');
+
+    expect(metrics.render()).toContain('rss_feeder_retries_total{operation="feed"} 1');
+  });
+
+  test('should write the textfile collector file when METRICS_TEXTFILE is set', async () => {
+    const textfile = path.join(tempDir, 'collector', 'rss_feeder.prom');
+    process.env.METRICS_TEXTFILE = textfile;
+    metrics.recordRun('success', 1500);
+
+    await expect(metrics.writeTextfile()).resolves.toBe(true);
+
+    const written = fs.readFileSync(textfile, 'utf8');
+    expect(written).toContain('rss_feeder_runs_total{result="success"} 1');
+    expect(written).toContain('rss_feeder_last_run_duration_seconds 1.5');
+    expect(fs.readdirSync(path.dirname(textfile))).toEqual(['rss_feeder.prom']);
+  });
+
+  test('should skip the textfile without METRICS_TEXTFILE', async () => {
+    delete process.env.METRICS_TEXTFILE;
+
+    await expect(metrics.writeTextfile()).resolves.toBe(false);
+  });
+});
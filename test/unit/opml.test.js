@@ -0,0 +1,81 @@
+/**
+ * Unit tests for OPML conversion
+ */
+
+const Opml = require('../../src/opml');
+
+describe('Opml', () => {
+  describe('parse', () => {
+    test('should turn nested outlines into category paths', async () => {
+      const xml = `<?xml version="1.0"?>
+<opml version="2.0">
+  <head><title>Export</title></head>
+  <body>
+    <outline text="cryptography">
+      <outline text="attacks">
+        <outline type="rss" text="eprint ATTACKS" xmlUrl="https://eprint.iacr.org/rss/attacks" description="Attacks"/>
+      </outline>
+    </outline>
+    <outline type="rss" title="Top level" xmlUrl="https://example.com/feed" enabled="false"/>
+  </body>
+</opml>`;
+
+      const feeds = await Opml.parse(xml);
+
+      expect(feeds).toEqual([
+        {
+          name: 'eprint ATTACKS',
+          url: 'https://eprint.iacr.org/rss/attacks',
+          description: 'Attacks',
+          category: 'cryptography/attacks'
+        },
+        {
+          name: 'Top level',
+          url: 'https://example.com/feed',
+          enabled: false
+        }
+      ]);
+    });
+
+    test('should fall back to the category attribute for flat outlines', async () => {
+      const xml = `<opml version="2.0"><body>
+        <outline text="Go" xmlUrl="https://zenn.dev/topics/go/feed" category="/tech/go,/misc"/>
+      </body></opml>`;
+
+      const [feed] = await Opml.parse(xml);
+
+      expect(feed.category).toBe('tech/go');
+    });
+
+    test('should reject documents without a body', async () => {
+      await expect(Opml.parse('<opml version="2.0"></opml>')).rejects.toThrow('Invalid OPML');
+    });
+  });
+
+  describe('build', () => {
+    test('should round-trip name, url, description, category and enabled', async () => {
+      const feeds = [
+        {
+          name: 'Feed for ATTACKS',
+          url: 'https://eprint.iacr.org/rss/rss.xml?order=recent&category=ATTACKS',
+          description: 'Cryptography news(ATTACKS)',
+          category: 'cryptography/attacks',
+          enabled: true
+        },
+        {
+          name: 'Zenn Go',
+          url: 'https://zenn.dev/topics/go/feed',
+          description: 'zenn(Go)',
+          category: 'tech/go',
+          enabled: false
+        }
+      ];
+
+      const xml = Opml.build(feeds, 'Test');
+      const parsed = await Opml.parse(xml);
+
+      expect(xml).toContain('<outline text="cryptography" title="cryptography">');
+      expect(parsed).toEqual(feeds);
+    });
+  });
+});
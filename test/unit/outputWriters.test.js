@@ -0,0 +1,116 @@
+/**
+ * Unit tests for output writers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Output Writers', () => {
+  let writers;
+  let vaultDir;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    vaultDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+    process.env.OBSIDIAN_VAULT_PATH = vaultDir;
+
+    jest.resetModules();
+    writers = require('../../src/outputWriters');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(vaultDir, { recursive: true, force: true });
+  });
+
+  describe('FileSystemWriter', () => {
+    test('should write vault-relative paths under the vault directory', async () => {
+      const writer = new writers.FileSystemWriter();
+
+      await expect(writer.testConnection()).resolves.toBe(true);
+      await writer.write('RSS/2024-01-01/tech/ai.md', '# AI');
+
+      expect(fs.readFileSync(path.join(vaultDir, 'RSS/2024-01-01/tech/ai.md'), 'utf8')).toBe('# AI');
+    });
+
+    test('should refuse paths outside the vault directory', async () => {
+      const writer = new writers.FileSystemWriter();
+
+      await expect(writer.write('../escape.md', 'x')).rejects.toThrow('outside the vault directory');
+      expect(fs.existsSync(path.join(vaultDir, '..', 'escape.md'))).toBe(false);
+    });
+  });
+
+  describe('DryRunWriter', () => {
+    test('should print vault path and content to stdout', async () => {
+      const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      const writer = new writers.DryRunWriter(null);
+
+      await writer.write('RSS/2024-01-01/index.md', '# Index');
+
+      const printed = stdout.mock.calls.map(([chunk]) => chunk).join('');
+      stdout.mockRestore();
+      expect(printed).toContain('[dry-run] RSS/2024-01-01/index.md');
+      expect(printed).toContain('# Index');
+      expect(writer.files).toEqual(['RSS/2024-01-01/index.md']);
+    });
+
+    test('should write into the dry-run directory when one is given', async () => {
+      const dryRunDir = path.join(vaultDir, 'preview');
+      const writer = new writers.DryRunWriter(dryRunDir);
+
+      await expect(writer.testConnection()).resolves.toBe(true);
+      await writer.write('RSS/2024-01-01/tech.md', '# Tech');
+
+      expect(fs.readFileSync(path.join(dryRunDir, 'RSS/2024-01-01/tech.md'), 'utf8')).toBe('# Tech');
+    });
+
+    test('should be selected by DRY_RUN without an Obsidian API key', () => {
+      delete process.env.OBSIDIAN_API_KEY;
+      process.env.DRY_RUN = 'true';
+      process.env.DRY_RUN_DIRECTORY = vaultDir;
+      jest.resetModules();
+      const { createOutputWriter, DryRunWriter } = require('../../src/outputWriters');
+
+      const writer = createOutputWriter();
+
+      expect(writer).toBeInstanceOf(DryRunWriter);
+      expect(writer.outputDirectory).toBe(vaultDir);
+    });
+  });
+
+  describe('createOutputWriter', () => {
+    test('should default to the Obsidian REST API', () => {
+      expect(writers.createOutputWriter()).toBeInstanceOf(writers.ObsidianRestWriter);
+    });
+
+    test('should select the filesystem writer without an Obsidian API key', () => {
+      delete process.env.OBSIDIAN_API_KEY;
+      process.env.OUTPUT_BACKEND = 'filesystem';
+      jest.resetModules();
+      const { createOutputWriter, FileSystemWriter } = require('../../src/outputWriters');
+
+      const writer = createOutputWriter();
+
+      expect(writer).toBeInstanceOf(FileSystemWriter);
+      expect(writer.rootDirectory).toBe(vaultDir);
+    });
+
+    test('should reject unknown backends', () => {
+      expect(() => writers.createOutputWriter('dropbox')).toThrow('Unknown output backend: dropbox');
+    });
+  });
+
+  describe('ObsidianAPI', () => {
+    test('should route generated files through the selected writer', async () => {
+      const obsidianAPI = require('../../src/obsidianAPI');
+      obsidianAPI.setWriter(new writers.FileSystemWriter(vaultDir));
+
+      await obsidianAPI.writeVaultFile('RSS/2024-01-01/index.md', '# Index');
+
+      expect(fs.existsSync(path.join(vaultDir, 'RSS/2024-01-01/index.md'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for RequestScheduler
+ */
+
+const RequestScheduler = require('../../src/requestScheduler');
+
+describe('RequestScheduler', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  const rateLimitError = (retryAfter) => {
+    const error = new Error('Request failed with status code 429');
+    error.response = { status: 429, headers: { 'retry-after': retryAfter } };
+    return error;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should run at most `concurrency` tasks at once and keep results', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = gates.map((gate, i) => scheduler.schedule(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await gate.promise;
+      running--;
+      return i;
+    }));
+
+    expect(running).toBe(2);
+    gates.forEach((gate) => gate.resolve());
+
+    await expect(Promise.all(results)).resolves.toEqual([0, 1, 2]);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('should space task starts by minInterval', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 5, minInterval: 1000 });
+    const started = [];
+
+    scheduler.schedule(async () => started.push('a'));
+    scheduler.schedule(async () => started.push('b'));
+
+    expect(started).toEqual(['a']);
+    await jest.advanceTimersByTimeAsync(999);
+    expect(started).toEqual(['a']);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(started).toEqual(['a', 'b']);
+  });
+
+  test('should wait for the requests-per-minute bucket to refill', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 5, requestsPerMinute: 2 });
+    const started = [];
+
+    for (const name of ['a', 'b', 'c']) {
+      scheduler.schedule(async () => started.push(name));
+    }
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(started).toEqual(['a', 'b']);
+    await jest.advanceTimersByTimeAsync(30000);
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should wait for the tokens-per-minute bucket to refill', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 5, tokensPerMinute: 600 });
+    const started = [];
+
+    scheduler.schedule(async () => started.push('a'), { tokens: 500 });
+    scheduler.schedule(async () => started.push('b'), { tokens: 200 });
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(started).toEqual(['a']);
+    // 100 tokens left, 100 more needed at 10 tokens/second
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(started).toEqual(['a', 'b']);
+  });
+
+  test('should pause queued tasks for Retry-After on 429', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const started = [];
+
+    const first = scheduler.schedule(async () => {
+      started.push('a');
+      throw rateLimitError('5');
+    });
+    scheduler.schedule(async () => started.push('b'));
+
+    await expect(first).rejects.toThrow('429');
+    expect(started).toEqual(['a']);
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(started).toEqual(['a']);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(started).toEqual(['a', 'b']);
+  });
+
+  describe('getRetryAfter', () => {
+    test('should parse seconds and HTTP dates', () => {
+      jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+
+      expect(RequestScheduler.getRetryAfter(rateLimitError('2'))).toBe(2000);
+      expect(RequestScheduler.getRetryAfter(rateLimitError('Mon, 01 Jan 2024 00:00:30 GMT'))).toBe(30000);
+    });
+
+    test('should ignore other errors', () => {
+      expect(RequestScheduler.getRetryAfter(new Error('timeout'))).toBeNull();
+      expect(RequestScheduler.getRetryAfter({ response: { status: 500, headers: { 'retry-after': '1' } } })).toBeNull();
+      expect(RequestScheduler.getRetryAfter({ response: { status: 429, headers: {} } })).toBeNull();
+    });
+  });
+});
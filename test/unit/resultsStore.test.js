@@ -0,0 +1,79 @@
+/**
+ * Unit tests for ResultsStore
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('ResultsStore', () => {
+  let resultsStore;
+  let dataDir;
+  let originalEnv;
+
+  const article = (title, pubDate = '2024-03-04T01:00:00Z') => ({
+    title,
+    link: `https://example.com/${title}`,
+    feedTitle: 'Example',
+    pubDate,
+    description: `<p>${title} description</p>`
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'results-store-'));
+    process.env.DATA_DIRECTORY = dataDir;
+    process.env.TIMEZONE = 'Asia/Tokyo';
+
+    jest.resetModules();
+    resultsStore = require('../../src/resultsStore');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should add the runs of a day and persist them', async () => {
+    const morning = new Date('2024-03-04T00:00:00Z');
+    const evening = new Date('2024-03-04T12:00:00Z');
+
+    await resultsStore.recordDay(morning, { tech: { summary: '朝の要約', articles: [article('a')], count: 1 } }, {});
+    await resultsStore.recordDay(evening, { tech: { summary: '夜の要約', articles: [article('a'), article('b')], count: 2 } }, {
+      MPC: { summary: 'MPC要約', articles: [article('b')], count: 1 }
+    });
+    await resultsStore.save();
+
+    jest.resetModules();
+    const [day] = await require('../../src/resultsStore').getDays('2024-03-01', '2024-03-31');
+
+    expect(day.date).toBe('2024-03-04');
+    expect(day.categories.tech.summaries).toEqual(['朝の要約', '夜の要約']);
+    expect(day.categories.tech.articles.map(record => record.title)).toEqual(['a', 'b']);
+    expect(day.categories.tech.articles[0]).toMatchObject({ feedTitle: 'Example', description: 'a description' });
+    expect(day.keywords.MPC.articles).toHaveLength(1);
+  });
+
+  test('should replace a day regenerated by a backfill', async () => {
+    const date = new Date('2024-03-04T00:00:00Z');
+
+    await resultsStore.recordDay(date, { tech: { summary: '古い要約', articles: [article('a')], count: 1 } }, {});
+    await resultsStore.recordDay(date, { ai: { summary: '新しい要約', articles: [article('b')], count: 1 } }, {}, { replace: true });
+
+    const [day] = await resultsStore.getDays('2024-03-04', '2024-03-04');
+    expect(Object.keys(day.categories)).toEqual(['ai']);
+  });
+
+  test('should file results under the date in TIMEZONE and prune old days', async () => {
+    const today = new Date();
+    const old = new Date(today.getTime() - 100 * 24 * 60 * 60 * 1000);
+
+    await resultsStore.recordDay(new Date('2024-03-03T15:30:00Z'), { tech: { summary: '要約', articles: [], count: 0 } }, {});
+    await resultsStore.recordDay(today, { tech: { summary: '要約', articles: [], count: 0 } }, {});
+    await resultsStore.recordDay(old, { tech: { summary: '要約', articles: [], count: 0 } }, {});
+
+    await expect(resultsStore.getDays('2024-03-04', '2024-03-04')).resolves.toHaveLength(1);
+    await expect(resultsStore.prune(90)).resolves.toBe(2);
+    await expect(resultsStore.getDays('0000-01-01', '9999-12-31')).resolves.toHaveLength(1);
+  });
+});
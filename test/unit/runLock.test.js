@@ -0,0 +1,254 @@
+/**
+ * Unit tests for the run lock and overlapping run policies
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('RunLock', () => {
+  let runLock;
+  let dataDir;
+  let lockPath;
+  let originalEnv;
+
+  const writeLock = (holder) => {
+    fs.writeFileSync(lockPath, JSON.stringify({
+      runId: 'other',
+      pid: process.ppid,
+      hostname: os.hostname(),
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      ...holder
+    }));
+  };
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-lock-'));
+    lockPath = path.join(dataDir, 'run.lock');
+    process.env.DATA_DIRECTORY = dataDir;
+
+    jest.resetModules();
+    runLock = require('../../src/runLock');
+  });
+
+  afterEach(async () => {
+    // Stop the refresh timer of runs a test left holding the lock
+    await runLock.release();
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should create and remove the lockfile', async () => {
+    await expect(runLock.acquire('run-1')).resolves.toBe(true);
+
+    const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    expect(holder).toMatchObject({ runId: 'run-1', pid: process.pid });
+
+    await runLock.release();
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('should skip while a live process holds the lock', async () => {
+    writeLock({});
+
+    await expect(runLock.acquire('run-1', 'skip')).resolves.toBe(false);
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).runId).toBe('other');
+  });
+
+  test('should take over a lock whose process is gone', async () => {
+    writeLock({ pid: 2 ** 22 + 1 });
+
+    await expect(runLock.acquire('run-1', 'skip')).resolves.toBe(true);
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).runId).toBe('run-1');
+  });
+
+  test('should take over a lock not refreshed within RUN_LOCK_STALE_MINUTES', async () => {
+    process.env.RUN_LOCK_STALE_MINUTES = '30';
+    writeLock({ hostname: 'other-host', updatedAt: new Date(Date.now() - 31 * 60 * 1000).toISOString() });
+
+    await expect(runLock.acquire('run-1', 'skip')).resolves.toBe(true);
+  });
+
+  test('should not release a lock taken over by another run', async () => {
+    await runLock.acquire('run-1');
+    writeLock({ runId: 'newer' });
+
+    await runLock.release();
+
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).runId).toBe('newer');
+  });
+
+  test('should keep refreshing the lock during a step longer than RUN_LOCK_STALE_MINUTES', async () => {
+    process.env.RUN_LOCK_STALE_MINUTES = '30';
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+
+    try {
+      await runLock.acquire('run-1');
+
+      // No checkpoint for 31 minutes: only the timer refreshes the lock
+      const longAgo = new Date(Date.now() - 31 * 60 * 1000).toISOString();
+      writeLock({ runId: 'run-1', pid: process.pid, updatedAt: longAgo });
+      expect(runLock.isStale(await runLock.readHolder())).toBe(true);
+
+      jest.advanceTimersByTime(60 * 1000);
+      await runLock.refreshing;
+
+      expect(runLock.isStale(await runLock.readHolder())).toBe(false);
+      await runLock.release();
+      expect(runLock.refreshTimer).toBeNull();
+      expect(fs.existsSync(lockPath)).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should report a cancel request through the heartbeat', async () => {
+    await runLock.acquire('run-1');
+    await expect(runLock.heartbeat()).resolves.toBe(false);
+
+    await runLock.requestCancel(await runLock.readHolder());
+
+    await expect(runLock.heartbeat()).resolves.toBe(true);
+  });
+
+  test('should leave the lockfile to its holder when asking it to cancel', async () => {
+    await runLock.acquire('run-1');
+    const holder = await runLock.readHolder();
+
+    // The holder releases while another process is about to ask it to cancel
+    await runLock.release();
+    await runLock.requestCancel(holder);
+
+    expect(fs.existsSync(lockPath)).toBe(false);
+    await expect(runLock.acquire('run-2', 'skip')).resolves.toBe(true);
+  });
+
+  test('should remove the cancel request when the cancelled run releases', async () => {
+    await runLock.acquire('run-1');
+    await runLock.requestCancel(await runLock.readHolder());
+
+    await runLock.release();
+
+    expect(fs.readdirSync(dataDir)).toEqual([]);
+  });
+
+  test('should not delete a fresh lock taken after the stale one was read', async () => {
+    writeLock({ runId: 'stale', pid: 2 ** 22 + 1 });
+    const staleRaw = fs.readFileSync(lockPath, 'utf8');
+
+    // Another waiter already replaced the stale lock with its own
+    writeLock({ runId: 'fresh' });
+    await runLock.removeStaleLock(staleRaw);
+
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).runId).toBe('fresh');
+    expect(fs.readdirSync(dataDir)).toEqual(['run.lock']);
+  });
+
+  describe('RSSFeeder.run', () => {
+    let RSSFeeder;
+
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise((res) => {
+        resolve = res;
+      });
+      return { promise, resolve };
+    };
+
+    const createFeeder = () => {
+      const feeder = new RSSFeeder({ exitOnError: false });
+      feeder.exportMetrics = jest.fn().mockResolvedValue();
+      return feeder;
+    };
+
+    beforeEach(() => {
+      RSSFeeder = require('../../src/rssFeeder');
+    });
+
+    test('should skip a run that overlaps one in progress with RUN_LOCK_POLICY=skip', async () => {
+      const feeder = createFeeder();
+      const first = deferred();
+      feeder.runPipeline = jest.fn().mockReturnValueOnce(first.promise);
+
+      const running = feeder.run();
+      await expect(feeder.run()).resolves.toBe(false);
+
+      first.resolve();
+      await expect(running).resolves.toBe(true);
+      expect(feeder.runPipeline).toHaveBeenCalledTimes(1);
+    });
+
+    test('should run overlapping runs one after another with RUN_LOCK_POLICY=queue', async () => {
+      process.env.RUN_LOCK_POLICY = 'queue';
+      const feeder = createFeeder();
+      const first = deferred();
+      const order = [];
+      feeder.runPipeline = jest.fn()
+        .mockImplementationOnce(async () => {
+          await first.promise;
+          order.push('first');
+        })
+        .mockImplementationOnce(async () => {
+          order.push('second');
+        });
+
+      const running = feeder.run();
+      const queued = feeder.run();
+      first.resolve();
+
+      await expect(Promise.all([running, queued])).resolves.toEqual([true, true]);
+      expect(order).toEqual(['first', 'second']);
+      expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    test('should refuse a triggered run while the previous one exports metrics', async () => {
+      process.env.RUN_LOCK_POLICY = 'queue';
+      const { Daemon } = require('../../src/daemon');
+      const processOn = jest.spyOn(process, 'on').mockImplementation();
+      const daemon = new Daemon();
+      processOn.mockRestore();
+
+      const feeder = daemon.rssFeeder;
+      const exporting = deferred();
+      const exported = deferred();
+      feeder.runPipeline = jest.fn().mockResolvedValue();
+      feeder.exportMetrics = jest.fn(() => {
+        exporting.resolve();
+        return exported.promise;
+      });
+
+      const running = feeder.run();
+      await exporting.promise;
+      const run = jest.spyOn(feeder, 'run');
+
+      expect(feeder.currentRun).toBeNull();
+      expect(daemon.triggerRun('http')).toBeNull();
+      expect(run).not.toHaveBeenCalled();
+
+      exported.resolve();
+      await expect(running).resolves.toBe(true);
+    });
+
+    test('should cancel the older run with RUN_LOCK_POLICY=cancel', async () => {
+      process.env.RUN_LOCK_POLICY = 'cancel';
+      const feeder = createFeeder();
+      const first = deferred();
+      feeder.runPipeline = jest.fn()
+        .mockImplementationOnce(async () => {
+          await first.promise;
+          await feeder.throwIfCancelled();
+        })
+        .mockResolvedValueOnce();
+
+      const running = feeder.run();
+      const newer = feeder.run();
+      first.resolve();
+
+      await expect(running).rejects.toThrow('Run cancelled by a newer run');
+      await expect(newer).resolves.toBe(true);
+      expect(feeder.lastRun.result).toBe('success');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for RunStateStore and the catch-up lookback window
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('RunStateStore', () => {
+  let runStateStore;
+  let dataDir;
+  let originalEnv;
+
+  const daysAgo = (days, from = new Date()) => new Date(from.getTime() - days * 24 * 60 * 60 * 1000);
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-state-'));
+    process.env.DATA_DIRECTORY = dataDir;
+
+    jest.resetModules();
+    runStateStore = require('../../src/runStateStore');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should persist the last successful run and next scheduled run', async () => {
+    const startedAt = new Date('2024-03-01T08:00:00.000Z');
+    const nextRun = new Date('2024-03-01T20:00:00.000Z');
+
+    await runStateStore.recordSuccess('abcd1234', startedAt);
+    await runStateStore.setNextScheduledRunAt(nextRun);
+
+    jest.resetModules();
+    const reloaded = require('../../src/runStateStore');
+
+    await expect(reloaded.getLastSuccessAt()).resolves.toEqual(startedAt);
+    await expect(reloaded.getNextScheduledRunAt()).resolves.toEqual(nextRun);
+  });
+
+  test('should start empty without a state file', async () => {
+    await expect(runStateStore.getLastSuccessAt()).resolves.toBeNull();
+    await expect(runStateStore.getNextScheduledRunAt()).resolves.toBeNull();
+  });
+
+  describe('RSSFeeder.getLookbackStart', () => {
+    let feeder;
+
+    beforeEach(() => {
+      const RSSFeeder = require('../../src/rssFeeder');
+      feeder = new RSSFeeder();
+      feeder.startTime = new Date();
+    });
+
+    test('should keep the regular window after a recent run', async () => {
+      await runStateStore.recordSuccess('recent', new Date(feeder.startTime.getTime() - 12 * 60 * 60 * 1000));
+
+      await expect(feeder.getLookbackStart()).resolves.toBeNull();
+    });
+
+    test('should look back to the last successful run after downtime', async () => {
+      const lastSuccessAt = daysAgo(3, feeder.startTime);
+      await runStateStore.recordSuccess('before-weekend', lastSuccessAt);
+
+      await expect(feeder.getLookbackStart()).resolves.toEqual(lastSuccessAt);
+    });
+
+    test('should cap the window at CATCH_UP_MAX_DAYS', async () => {
+      process.env.CATCH_UP_MAX_DAYS = '2';
+      await runStateStore.recordSuccess('long-ago', daysAgo(30, feeder.startTime));
+
+      await expect(feeder.getLookbackStart()).resolves.toEqual(daysAgo(2, feeder.startTime));
+    });
+
+    test('should ignore the run state when catch-up is disabled', async () => {
+      process.env.CATCH_UP_ENABLED = 'false';
+      await runStateStore.recordSuccess('before-weekend', daysAgo(3, feeder.startTime));
+
+      await expect(feeder.getLookbackStart()).resolves.toBeNull();
+    });
+
+    test('should not advance the last successful run when no feed was fetched', async () => {
+      const lastSuccessAt = daysAgo(3, feeder.startTime);
+      await runStateStore.recordSuccess('before-weekend', lastSuccessAt);
+      feeder.runId = 'offline';
+
+      await feeder.recordSuccessfulRun();
+
+      await expect(runStateStore.getLastSuccessAt()).resolves.toEqual(lastSuccessAt);
+    });
+  });
+
+  describe('Daemon catch-up run', () => {
+    test('should fetch from the persisted last successful run after a missed schedule', async () => {
+      process.env.SCHEDULE_ENABLED = 'true';
+      const lastSuccessAt = daysAgo(3);
+      await runStateStore.recordSuccess('before-weekend', lastSuccessAt);
+      await runStateStore.setNextScheduledRunAt(daysAgo(2));
+
+      jest.resetModules();
+      const { Daemon } = require('../../src/daemon');
+      const feedFetcher = require('../../src/feedFetcher');
+      const getAllArticles = jest.spyOn(feedFetcher, 'getAllArticles').mockResolvedValue([]);
+
+      const processOn = jest.spyOn(process, 'on').mockImplementation();
+      const daemon = new Daemon();
+      processOn.mockRestore();
+      daemon.scheduler.start = jest.fn();
+      daemon.keepAlive = jest.fn();
+      daemon.rssFeeder.exportMetrics = jest.fn().mockResolvedValue();
+
+      await daemon.start();
+      await daemon.rssFeeder.activeRun;
+
+      expect(getAllArticles).toHaveBeenCalledTimes(1);
+      expect(getAllArticles.mock.calls[0][1].since).toEqual(lastSuccessAt);
+      expect(daemon.rssFeeder.lastRun.result).toBe('success');
+    });
+  });
+});
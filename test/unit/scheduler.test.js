@@ -87,6 +87,22 @@ describe('Scheduler', () => {
       expect(scheduler.task).toBe(mockTask);
     });
 
+    test('should run one catch-up execution for executions missed while asleep', async () => {
+      const listeners = {};
+      mockTask.on = jest.fn((event, listener) => {
+        listeners[event] = listener;
+      });
+      config.isCatchUpEnabled.mockReturnValue(true);
+      scheduler.start();
+
+      listeners['execution:missed']();
+      listeners['execution:missed']();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockRSSFeeder.run).toHaveBeenCalledTimes(1);
+      expect(Utils.log).toHaveBeenCalledWith('warn', expect.stringContaining('running a catch-up execution'));
+    });
+
     test('should log startup information', () => {
       scheduler.start();
 
@@ -158,6 +174,15 @@ describe('Scheduler', () => {
       expect(Utils.log).toHaveBeenCalledWith('info', expect.stringContaining('✅ Scheduled execution completed in'));
     });
 
+    test('should log a skipped execution when another run holds the lock', async () => {
+      mockRSSFeeder.run.mockResolvedValue(false);
+
+      await scheduler.executeTask();
+
+      expect(Utils.log).toHaveBeenCalledWith('warn', expect.stringContaining('Scheduled execution skipped'));
+      expect(Utils.log).not.toHaveBeenCalledWith('info', expect.stringContaining('✅ Scheduled execution completed in'));
+    });
+
     test('should handle RSS feeder errors gracefully', async () => {
       const error = new Error('RSS feeder failed');
       mockRSSFeeder.run.mockRejectedValue(error);
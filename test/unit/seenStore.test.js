@@ -0,0 +1,108 @@
+/**
+ * Unit tests for SeenStore
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('SeenStore', () => {
+  let seenStore;
+  let dataDir;
+  let originalEnv;
+
+  const article = (id, title = `Article ${id}`) => ({
+    title,
+    link: `https://example.com/${id}`,
+    guid: `guid-${id}`
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seen-store-'));
+    process.env.DATA_DIRECTORY = dataDir;
+
+    jest.resetModules();
+    seenStore = require('../../src/seenStore');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('getArticleKey', () => {
+    test('should use guid when available', () => {
+      const a = { guid: 'same', link: 'https://a.example.com' };
+      const b = { guid: 'same', link: 'https://b.example.com' };
+      expect(seenStore.getArticleKey(a)).toBe(seenStore.getArticleKey(b));
+    });
+
+    test('should fall back to link', () => {
+      const a = { link: 'https://a.example.com' };
+      const b = { link: 'https://b.example.com' };
+      expect(seenStore.getArticleKey(a)).not.toBe(seenStore.getArticleKey(b));
+    });
+  });
+
+  describe('filterUnseen', () => {
+    test('should return all articles when store is empty', async () => {
+      const articles = [article(1), article(2)];
+      await expect(seenStore.filterUnseen(articles)).resolves.toEqual(articles);
+    });
+
+    test('should drop articles marked as seen', async () => {
+      await seenStore.markSeen([article(1)]);
+
+      const unseen = await seenStore.filterUnseen([article(1), article(2)]);
+
+      expect(unseen).toEqual([article(2)]);
+    });
+  });
+
+  describe('persistence', () => {
+    test('should survive a reload from disk', async () => {
+      await seenStore.markSeen([article(1)]);
+      await seenStore.save();
+
+      jest.resetModules();
+      const reloaded = require('../../src/seenStore');
+
+      await expect(reloaded.has(article(1))).resolves.toBe(true);
+      await expect(reloaded.has(article(2))).resolves.toBe(false);
+    });
+
+    test('should start empty when store file is corrupt', async () => {
+      fs.writeFileSync(path.join(dataDir, 'seen-articles.json'), '{not json');
+
+      await expect(seenStore.size()).resolves.toBe(0);
+    });
+  });
+
+  describe('prune', () => {
+    test('should remove records older than the retention window', async () => {
+      const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+      await seenStore.markSeen([article(1)], old);
+      await seenStore.markSeen([article(2)]);
+
+      const removed = await seenStore.prune(30);
+
+      expect(removed).toBe(1);
+      await expect(seenStore.has(article(1))).resolves.toBe(false);
+      await expect(seenStore.has(article(2))).resolves.toBe(true);
+    });
+  });
+
+  describe('purge', () => {
+    test('should remove every record and persist the empty store', async () => {
+      await seenStore.markSeen([article(1), article(2)]);
+      await seenStore.save();
+
+      const removed = await seenStore.purge();
+
+      expect(removed).toBe(2);
+      const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'seen-articles.json'), 'utf8'));
+      expect(stored.articles).toEqual({});
+    });
+  });
+});
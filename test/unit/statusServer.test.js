@@ -0,0 +1,104 @@
+/**
+ * Unit tests for StatusServer
+ */
+
+const StatusServer = require('../../src/statusServer');
+
+describe('StatusServer', () => {
+  let server;
+  let daemon;
+  let baseUrl;
+
+  const request = async (method, pathname, headers = {}) => {
+    const response = await fetch(`${baseUrl}${pathname}`, { method, headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  const startServer = async (token) => {
+    server = new StatusServer(daemon, { port: 0, host: '127.0.0.1', token });
+    const port = await server.start();
+    baseUrl = `http://127.0.0.1:${port}`;
+  };
+
+  beforeEach(() => {
+    daemon = {
+      isShuttingDown: false,
+      getDetailedStatus: jest.fn().mockResolvedValue({
+        uptimeSeconds: 42,
+        lastRun: { runId: 'abc', result: 'success' },
+        nextScheduledRun: '2024-01-01T08:00:00.000Z',
+        feeds: [{ url: 'https://example.com/feed', health: 'healthy' }]
+      }),
+      triggerRun: jest.fn().mockReturnValue({ runId: 'run-1', startedAt: '2024-01-01T00:00:00.000Z' })
+    };
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should report liveness on /healthz', async () => {
+    await startServer(null);
+
+    expect(await request('GET', '/healthz')).toMatchObject({ status: 200, body: { status: 'ok' } });
+
+    daemon.isShuttingDown = true;
+    expect((await request('GET', '/healthz')).status).toBe(503);
+  });
+
+  test('should return the detailed daemon status on /status', async () => {
+    await startServer(null);
+
+    const { status, body } = await request('GET', '/status');
+
+    expect(status).toBe(200);
+    expect(body.lastRun.runId).toBe('abc');
+    expect(body.feeds[0].health).toBe('healthy');
+  });
+
+  test('should serve Prometheus metrics on /metrics', async () => {
+    await startServer(null);
+
+    const response = await fetch(`${baseUrl}/metrics`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+    expect(await response.text()).toContain('# TYPE rss_feeder_runs_total counter');
+  });
+
+  test('should disable POST /run without a configured token', async () => {
+    await startServer(null);
+
+    expect((await request('POST', '/run')).status).toBe(403);
+    expect(daemon.triggerRun).not.toHaveBeenCalled();
+  });
+
+  test('should require the bearer token for POST /run', async () => {
+    await startServer('secret');
+
+    expect((await request('POST', '/run')).status).toBe(401);
+    expect((await request('POST', '/run', { Authorization: 'Bearer wrong' })).status).toBe(401);
+    expect(daemon.triggerRun).not.toHaveBeenCalled();
+
+    const accepted = await request('POST', '/run', { Authorization: 'Bearer secret' });
+    expect(accepted).toMatchObject({ status: 202, body: { status: 'started', runId: 'run-1' } });
+    expect(daemon.triggerRun).toHaveBeenCalledWith('http');
+  });
+
+  test('should reject POST /run while a run is in progress', async () => {
+    daemon.triggerRun.mockReturnValue(null);
+    await startServer('secret');
+
+    expect((await request('POST', '/run', { Authorization: 'Bearer secret' })).status).toBe(409);
+  });
+
+  test('should answer unknown routes and methods', async () => {
+    await startServer(null);
+
+    expect((await request('GET', '/nope')).status).toBe(404);
+
+    const wrongMethod = await request('GET', '/run');
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.get('allow')).toBe('POST');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for StoryClusterer
+ */
+
+describe('StoryClusterer', () => {
+  let storyClusterer;
+  let originalEnv;
+
+  const teaser = 'Acme today announced Rocket 2, a reusable launch vehicle that cuts the cost of reaching orbit in half, with first flights planned for next spring from its new site.';
+
+  const article = (overrides = {}) => ({
+    title: 'Acme announces Rocket 2 reusable launcher',
+    link: 'https://acme.example.com/news/rocket-2',
+    description: '',
+    pubDate: '2024-03-01T09:00:00Z',
+    feedTitle: 'Acme Blog',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    jest.resetModules();
+    storyClusterer = require('../../src/storyClusterer');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('canonicalizeUrl', () => {
+    test('should ignore scheme, www, AMP paths, trailing slashes and tracking parameters', () => {
+      expect(storyClusterer.canonicalizeUrl('http://www.example.com/post/1/amp/?utm_source=rss&id=2#top'))
+        .toBe(storyClusterer.canonicalizeUrl('https://example.com/post/1?id=2&fbclid=abc'));
+    });
+  });
+
+  describe('clusterArticles', () => {
+    test('should merge syndicated copies into the earliest article with sources', () => {
+      const stories = storyClusterer.clusterArticles([
+        article({ title: 'Acme announces Rocket 2 reusable launcher | TechCrunch', link: 'https://techcrunch.example.com/acme', feedTitle: 'TechCrunch', pubDate: '2024-03-01T10:00:00Z' }),
+        article(),
+        article({ title: 'Unrelated database release', link: 'https://db.example.com/release' })
+      ]);
+
+      expect(stories).toHaveLength(2);
+      expect(stories[0].link).toBe('https://acme.example.com/news/rocket-2');
+      expect(stories[0].sources).toEqual([
+        { title: 'Acme announces Rocket 2 reusable launcher | TechCrunch', link: 'https://techcrunch.example.com/acme', feedTitle: 'TechCrunch' }
+      ]);
+      expect(stories[1].sources).toBeUndefined();
+    });
+
+    test('should merge articles sharing most of their text despite different titles', () => {
+      const stories = storyClusterer.clusterArticles([
+        article({ description: teaser }),
+        article({ title: 'Rocket 2: what we know', link: 'https://blog.example.com/r2', description: `${teaser} More soon.` })
+      ]);
+
+      expect(stories).toHaveLength(1);
+      expect(stories[0].sources).toHaveLength(1);
+    });
+
+    test('should merge links to the same canonical URL', () => {
+      const stories = storyClusterer.clusterArticles([
+        article({ title: 'Completely different headline' }),
+        article({ title: 'Another headline', link: 'https://news.example.com/x', canonicalUrl: 'https://www.acme.example.com/news/rocket-2/?utm_medium=feed' })
+      ]);
+
+      expect(stories).toHaveLength(1);
+    });
+
+    test('should keep similar but distinct stories apart', () => {
+      const stories = storyClusterer.clusterArticles([
+        article({ title: 'Apple releases new iPhone 15' }),
+        article({ title: 'Apple releases new iPad Pro', link: 'https://apple.example.com/ipad' })
+      ]);
+
+      expect(stories).toHaveLength(2);
+    });
+
+    test('should keep articles of the same feed apart even when they share a description', () => {
+      const boilerplate = 'Acme Weekly is the newsletter of the Acme engineering team. Subscribe to get every new post delivered to your inbox.';
+      const stories = storyClusterer.clusterArticles([
+        article({ title: 'MPC survey', link: 'https://acme.example.com/mpc', description: boilerplate, feedUrl: 'https://acme.example.com/feed', feedName: 'Acme' }),
+        article({ title: 'Lattice signatures in practice', link: 'https://acme.example.com/lattice', description: boilerplate, feedUrl: 'https://acme.example.com/feed', feedName: 'Acme' })
+      ]);
+
+      expect(stories).toHaveLength(2);
+    });
+
+    test('should compare Japanese titles by character', () => {
+      const stories = storyClusterer.clusterArticles([
+        article({ title: 'Acme社が再利用型ロケットRocket 2を発表', link: 'https://zenn.example.com/a' }),
+        article({ title: 'Acme社、再利用型ロケットRocket 2を発表', link: 'https://note.example.com/b' })
+      ]);
+
+      expect(stories).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the watch word query language
+ */
+
+describe('Watch word queries', () => {
+  let watchWordMatcher;
+  let originalEnv;
+
+  const article = (title, overrides = {}) => ({
+    title,
+    description: '',
+    content: '',
+    feedName: 'IACR ePrint',
+    feedTitle: 'Cryptology ePrint Archive',
+    feedLink: 'https://eprint.iacr.org',
+    feedParentTag: 'cryptography/applications',
+    ...overrides
+  });
+
+  const query = (text) => watchWordMatcher.compile({ name: 'query', query: text });
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    jest.resetModules();
+    watchWordMatcher = require('../../src/watchWordMatcher');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should evaluate AND, OR and NOT with parentheses', () => {
+    const watchWord = query('FHE AND (GPU OR hardware) NOT survey');
+
+    expect(watchWordMatcher.matches(article('FHE bootstrapping on the GPU'), watchWord)).toBe(true);
+    expect(watchWordMatcher.matches(article('Hardware accelerators for FHE'), watchWord)).toBe(true);
+    expect(watchWordMatcher.matches(article('A survey of FHE on GPUs and hardware'), watchWord)).toBe(false);
+    expect(watchWordMatcher.matches(article('FHE without acceleration'), watchWord)).toBe(false);
+  });
+
+  test('should bind AND tighter than OR and treat a missing operator as AND', () => {
+    const watchWord = query('MPC threshold OR VOLE');
+
+    expect(watchWordMatcher.matches(article('Threshold MPC in practice'), watchWord)).toBe(true);
+    expect(watchWordMatcher.matches(article('MPC in practice'), watchWord)).toBe(false);
+    expect(watchWordMatcher.matches(article('Silent VOLE'), watchWord)).toBe(true);
+  });
+
+  test('should match quoted phrases and field-scoped terms', () => {
+    const watchWord = query('title:"zero knowledge" feed:(eprint OR zenn) NOT category:attacks');
+
+    expect(watchWordMatcher.matches(article('Zero-knowledge proofs for ML'), watchWord)).toBe(true);
+    expect(watchWordMatcher.matches(article('Proofs for ML', { description: 'zero knowledge' }), watchWord)).toBe(false);
+    expect(watchWordMatcher.matches(article('Zero knowledge', { feedName: 'Blog', feedTitle: 'Blog', feedLink: 'https://blog.example.com' }), watchWord)).toBe(false);
+    expect(watchWordMatcher.matches(article('Zero knowledge', { feedParentTag: 'cryptography/attacks' }), watchWord)).toBe(false);
+  });
+
+  test.each([
+    ['FHE AND (GPU', 'Expected ")" at position 13'],
+    ['FHE OR', 'Expected a term at position 7'],
+    ['"open phrase', 'Unterminated quote at position 1'],
+    ['FHE )', 'Unexpected ")" at position 5'],
+    ['title: AND x', 'Expected a term or "(" after "title:" at position 8'],
+    ['', 'Empty query']
+  ])('should report a clear error for %j', (text, message) => {
+    expect(() => query(text)).toThrow(`Watch word "query" has an invalid query: ${message}`);
+  });
+
+  test('should fail validateConfiguration on invalid queries', () => {
+    process.env.LLM_PROVIDER = 'stub';
+    process.env.OUTPUT_BACKEND = 'filesystem';
+    process.env.RSS_FEEDS = JSON.stringify(['https://example.com/feed.xml']);
+    process.env.WATCH_WORDS = JSON.stringify(['FHE', { name: 'FHE hardware', query: 'FHE AND (GPU' }]);
+    jest.resetModules();
+    const RSSFeeder = require('../../src/rssFeeder');
+
+    expect(() => new RSSFeeder().validateConfiguration())
+      .toThrow('Invalid watch words:\n  - Watch word "FHE hardware" has an invalid query: Expected ")" at position 13 in "FHE AND (GPU"');
+  });
+});